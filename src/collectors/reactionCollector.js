@@ -325,7 +325,7 @@ class ReactionCollector {
         if (!pages || pages.length === 0) return Promise.reject(new Error('Invalid input: pages is null or empty'));
 
         pages.index = 0;
-        await botMessage.edit({ embed: pages[pages.index] });
+        await botMessage.edit({ embeds: [pages[pages.index]] });
         const collector = this.__createReactionCollector(
             {
                 botMessage,
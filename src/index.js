@@ -1,12 +1,33 @@
 module.exports = {
-    ReactionCollector: require('./collectors/reactionCollector.js').ReactionCollector,
-    ReactionController: require('./collectors/reactionCollector.js').Controller,
-    MessageCollector: require('./collectors/messageCollector.js').MessageCollector,
-    ReactionRoleManager: require('./reaction-role/manager.js').ReactionRoleManager,
-    ReactionRole: require('./reaction-role/reactionRole.js').ReactionRole,
-    ReactionRoleEvent: require('./reaction-role/constants.js').ReactionRoleEvent,
-    ReactionRoleType: require('./reaction-role/constants.js').ReactionRoleType,
-    RequirementType: require('./reaction-role/constants.js').RequirementType,
-    ActionType: require('./reaction-role/constants.js').ActionType,
+    ReactionCollector: require('./collectors/reactionCollector').ReactionCollector,
+    ReactionController: require('./collectors/reactionCollector').Controller,
+    MessageCollector: require('./collectors/messageCollector').MessageCollector,
+    ReactionRoleManager: require('./reaction-role/manager').ReactionRoleManager,
+    ReactionRole: require('./reaction-role/reactionRole').ReactionRole,
+    ReactionRoleEvent: require('./reaction-role/constants').ReactionRoleEvent,
+    ReactionRoleType: require('./reaction-role/constants').ReactionRoleType,
+    RequirementType: require('./reaction-role/constants').RequirementType,
+    ActionType: require('./reaction-role/constants').ActionType,
+    ActionTrigger: require('./reaction-role/constants').ActionTrigger,
+    SelectionPolicy: require('./reaction-role/constants').SelectionPolicy,
+    CaptchaMode: require('./reaction-role/constants').CaptchaMode,
+    CaptchaFailReason: require('./reaction-role/constants').CaptchaFailReason,
+    ClosePolicy: require('./reaction-role/constants').ClosePolicy,
+    SwapRemovePolicy: require('./reaction-role/constants').SwapRemovePolicy,
+    NotificationType: require('./reaction-role/constants').NotificationType,
+    NotificationMode: require('./reaction-role/constants').NotificationMode,
+    ReactionRoleComponent: require('./reaction-role/constants').ReactionRoleComponent,
+    textCaptchaGenerator: require('./reaction-role/captcha').textCaptchaGenerator,
+    DEFAULT_NOTIFICATION_TEMPLATES: require('./reaction-role/notifications').DEFAULT_NOTIFICATION_TEMPLATES,
+    formatMissingRequirement: require('./reaction-role/notifications').formatMissingRequirement,
+    ComponentReaction: require('./reaction-role/components').ComponentReaction,
+    ReactionRoleCommands: require('./reaction-role/commands').ReactionRoleCommands,
+    StorageAdapter: require('./reaction-role/storage/storageAdapter').StorageAdapter,
+    JsonStorageAdapter: require('./reaction-role/storage/jsonAdapter').JsonStorageAdapter,
+    MongoStorageAdapter: require('./reaction-role/storage/mongoAdapter').MongoStorageAdapter,
+    SqliteStorageAdapter: require('./reaction-role/storage/sqliteAdapter').SqliteStorageAdapter,
+    MemoryStorageAdapter: require('./reaction-role/storage/memoryAdapter').MemoryStorageAdapter,
+    migrateReactionRole: require('./reaction-role/migrations').migrateReactionRole,
+    REACTION_ROLE_SCHEMA_VERSION: require('./reaction-role/migrations').SCHEMA_VERSION,
     findRecursively: require('./util/find').findRecursively,
 };
@@ -0,0 +1,49 @@
+/**
+ * Characters used in captcha codes, without ambiguous ones (like 0/O and 1/I).
+ * @private
+ */
+const CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Captcha challenge sent to a member.
+ * @typedef {object} ICaptchaChallenge
+ * @property {string|object} question - Message content (or message options) sent to member.
+ * @property {string|Function} answer - Expected answer (case insensitive), or a function receiving member answer and returning if it's right.
+ */
+
+/**
+ * Default captcha generator: a random text code what member must type.
+ * @param {import('discord.js').GuildMember} member - Member who will solve the captcha.
+ * @param {import('./reactionRole').ReactionRole} reactionRole - Reaction role what member reacted.
+ * @param {number} attempt - Attempt number, starting by 1.
+ * @param {number} attempts - Max attempts.
+ * @return {ICaptchaChallenge}
+ */
+function textCaptchaGenerator(member, reactionRole, attempt, attempts) {
+    let code = '';
+    for (let i = 0; i < 6; i += 1) code += CODE_CHARACTERS[Math.floor(Math.random() * CODE_CHARACTERS.length)];
+
+    const roles = reactionRole.roles.map((role) => member.guild.roles.cache.get(role)).filter((role) => role);
+    return {
+        question: `To win ${roles.map((role) => `**${role.name}**`).join(', ') || 'the role'} in **${member.guild.name}**, `
+            + `type this code: \`${code}\` (attempt ${attempt} of ${attempts}).`,
+        answer: code,
+    };
+}
+
+/**
+ * Check if member answer is right.
+ * @private
+ * @param {ICaptchaChallenge} challenge - Challenge sent to member.
+ * @param {string} content - Member answer.
+ * @return {Promise<boolean>}
+ */
+async function checkCaptchaAnswer(challenge, content) {
+    if (typeof challenge.answer === 'function') return Boolean(await challenge.answer(content));
+    return String(content).trim().toLowerCase() === String(challenge.answer).trim().toLowerCase();
+}
+
+module.exports = {
+    textCaptchaGenerator,
+    checkCaptchaAnswer,
+};
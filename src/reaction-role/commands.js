@@ -0,0 +1,454 @@
+const { ReactionRoleType, ReactionRoleComponent } = require('./constants');
+
+/**
+ * Custom ID prefix of reaction roles list buttons, followed by page.
+ * @private
+ */
+const LIST_CUSTOM_ID_PREFIX = 'reaction-role-list:';
+
+/**
+ * Application command option types, like Discord API.
+ * @private
+ */
+const OptionType = Object.freeze({
+    SUB_COMMAND: 1,
+    STRING: 3,
+    INTEGER: 4,
+    BOOLEAN: 5,
+    CHANNEL: 7,
+    ROLE: 8,
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Choices of an enum, like `Normal` for `ReactionRoleType.NORMAL`.
+ * @private
+ * @param {object} enumObject - Enum object, like `ReactionRoleType`.
+ * @return {Array<{ name: string, value: number }>}
+ */
+const enumChoices = (enumObject) => Object.entries(enumObject)
+    .filter(([key]) => key !== 'UNKNOWN')
+    .map(([key, value]) => ({ name: key.charAt(0) + key.slice(1).toLowerCase().replace(/_/g, ' '), value }));
+
+/**
+ * Check if member who interacted can manage these roles: they must be lower than its highest role, unless it's the guild owner.
+ * @private
+ * @param {import('discord.js').Interaction} interaction - Some interaction.
+ * @param {string[]} roleIds - Roles to manage.
+ * @return {void}
+ */
+const checkHierarchy = (interaction, roleIds) => {
+    const { guild, member } = interaction;
+    if (guild.ownerId === interaction.user.id || !member || !member.roles || !member.roles.highest) return;
+
+    const higher = roleIds
+        .map((roleId) => guild.roles.cache.get(roleId))
+        .filter((role) => role && member.roles.highest.comparePositionTo(role) <= 0);
+    if (higher.length > 0) throw new Error(`You cannot manage ${higher.map((role) => `**${role.name}**`).join(', ')}, it's not lower than your highest role.`);
+};
+
+/**
+ * Reaction role option, with autocomplete of existing reaction roles.
+ * @private
+ */
+const REACTION_ROLE_OPTION = {
+    type: OptionType.STRING, name: 'reaction-role', description: 'Reaction role', required: true, autocomplete: true,
+};
+
+/**
+ * Slash command to manage reaction roles from Discord: create, delete, list, disable, enable and edit requirements.
+ * Members need `permissions` to use it, and they can only manage roles lower than their highest role.
+ * @example
+ * const { ReactionRoleManager, ReactionRoleCommands } = require('discord-collector');
+ *
+ * const reactionRoleManager = new ReactionRoleManager(client, { storage: true });
+ * const commands = new ReactionRoleCommands(reactionRoleManager);
+ * client.on('ready', () => commands.register(guildId)); // Without guild, it's registered globally.
+ */
+class ReactionRoleCommands {
+    /**
+     * Reaction role commands constructor. Interactions are handled since it's created.
+     * @param {import('./manager').ReactionRoleManager} reactionRoleManager - Manager of reaction roles.
+     * @param {object} [options] -
+     * @param {string} [options.name='reaction-role'] - Command name.
+     * @param {import('discord.js').PermissionResolvable[]} [options.permissions=['MANAGE_ROLES']] - Permissions members need to use command.
+     * @param {number} [options.pageSize=10] - Reaction roles listed by page.
+     * @return {ReactionRoleCommands}
+     */
+    constructor(reactionRoleManager, { name = 'reaction-role', permissions = ['MANAGE_ROLES'], pageSize = 10 } = {}) {
+        if (!reactionRoleManager || !reactionRoleManager.client) throw new Error('Bad input: reactionRoleManager must be a ReactionRoleManager.');
+        if (typeof name !== 'string' || !/^[\w-]{1,32}$/.test(name)) throw new Error(`Bad input: '${name}' is not a valid command name.`);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 25) throw new Error('Bad input: pageSize must be an integer between 1 and 25.');
+
+        /**
+         * Manager of reaction roles.
+         * @type {import('./manager').ReactionRoleManager}
+         * @readonly
+         */
+        this.manager = reactionRoleManager;
+        /**
+         * Command name.
+         * @type {string}
+         * @readonly
+         */
+        this.name = name;
+        /**
+         * Permissions members need to use command.
+         * @type {import('discord.js').PermissionResolvable[]}
+         * @readonly
+         */
+        this.permissions = permissions;
+        /**
+         * Reaction roles listed by page.
+         * @type {number}
+         * @readonly
+         */
+        this.pageSize = pageSize;
+
+        this.manager.client.on('interactionCreate', (interaction) => this.handle(interaction));
+    }
+
+    /**
+     * Command data, like Discord API. Use it to register command by yourself.
+     * @type {object}
+     * @readonly
+     */
+    get data() {
+        return {
+            name: this.name,
+            description: 'Manage reaction roles',
+            options: [
+                {
+                    type: OptionType.SUB_COMMAND,
+                    name: 'create',
+                    description: 'Create a reaction role',
+                    options: [
+                        {
+                            type: OptionType.STRING, name: 'message', description: 'Message ID or link', required: true,
+                        },
+                        {
+                            type: OptionType.ROLE, name: 'role', description: 'Role to give', required: true,
+                        },
+                        {
+                            type: OptionType.STRING, name: 'emoji', description: 'Emoji to react (or of button)', required: true,
+                        },
+                        {
+                            type: OptionType.CHANNEL, name: 'channel', description: 'Channel of message, this channel by default',
+                        },
+                        {
+                            type: OptionType.INTEGER, name: 'type', description: 'Reaction role type', choices: enumChoices(ReactionRoleType),
+                        },
+                        {
+                            type: OptionType.INTEGER, name: 'max', description: 'Max members who can win it', min_value: 0,
+                        },
+                        {
+                            type: OptionType.INTEGER,
+                            name: 'component',
+                            description: 'Reaction, button or select menu',
+                            choices: enumChoices(ReactionRoleComponent),
+                        },
+                        {
+                            type: OptionType.STRING, name: 'label', description: 'Label of button or select menu option',
+                        },
+                    ],
+                },
+                {
+                    type: OptionType.SUB_COMMAND, name: 'delete', description: 'Delete a reaction role', options: [REACTION_ROLE_OPTION],
+                },
+                {
+                    type: OptionType.SUB_COMMAND,
+                    name: 'list',
+                    description: 'List reaction roles of this server',
+                    options: [{
+                        type: OptionType.INTEGER, name: 'page', description: 'Page', min_value: 1,
+                    }],
+                },
+                {
+                    type: OptionType.SUB_COMMAND, name: 'disable', description: 'Disable a reaction role', options: [REACTION_ROLE_OPTION],
+                },
+                {
+                    type: OptionType.SUB_COMMAND, name: 'enable', description: 'Enable a disabled reaction role', options: [REACTION_ROLE_OPTION],
+                },
+                {
+                    type: OptionType.SUB_COMMAND,
+                    name: 'requirements',
+                    description: 'Edit requirements of a reaction role',
+                    options: [
+                        REACTION_ROLE_OPTION,
+                        { type: OptionType.BOOLEAN, name: 'boost', description: 'Members must be boosters' },
+                        { type: OptionType.BOOLEAN, name: 'verified-developer', description: 'Members must be verified bot developers' },
+                        {
+                            type: OptionType.INTEGER, name: 'account-age', description: 'Min age of member account, in days', min_value: 0,
+                        },
+                        {
+                            type: OptionType.INTEGER, name: 'member-age', description: 'Min days member must be in the server', min_value: 0,
+                        },
+                        { type: OptionType.ROLE, name: 'allow-role', description: 'Members must have this role' },
+                        { type: OptionType.ROLE, name: 'deny-role', description: 'Members cannot have this role' },
+                        { type: OptionType.ROLE, name: 'remove-role', description: 'Remove this role from allowed and denied roles' },
+                        { type: OptionType.BOOLEAN, name: 'clear', description: 'Remove all requirements' },
+                    ],
+                },
+            ],
+        };
+    }
+
+    /**
+     * Register command in Discord.
+     * @param {import('discord.js').GuildResolvable} [guildResolvable] - Guild to register command, if not given it's registered globally.
+     * @return {Promise<import('discord.js').ApplicationCommand>}
+     */
+    async register(guildResolvable) {
+        const { client } = this.manager;
+        if (!guildResolvable) return client.application.commands.create(this.data);
+
+        const guild = client.guilds.resolve(guildResolvable);
+        if (!guild) throw new Error('Bad input: I cannot resolve this guild.');
+        return guild.commands.create(this.data);
+    }
+
+    /**
+     * Handle an interaction of this command: slash command, autocomplete or list page button. Other interactions are ignored.
+     * @param {import('discord.js').Interaction} interaction - Some interaction.
+     * @return {Promise<boolean>} True if interaction was handled.
+     */
+    async handle(interaction) {
+        if (!interaction.guild) return false;
+
+        const isList = typeof interaction.customId === 'string' && interaction.customId.startsWith(LIST_CUSTOM_ID_PREFIX);
+        const isCommand = interaction.commandName === this.name;
+        if (!isList && !isCommand) return false;
+
+        try {
+            if (interaction.isAutocomplete && interaction.isAutocomplete()) {
+                await interaction.respond(this.__allowed(interaction) ? this.__autocomplete(interaction) : []);
+                return true;
+            }
+
+            if (!this.__allowed(interaction)) {
+                const content = `You need the permissions ${this.permissions.map((permission) => `\`${permission}\``).join(', ')} to manage reaction roles.`;
+                await interaction.reply({ content, ephemeral: true });
+                return true;
+            }
+
+            if (isList) {
+                await interaction.update(this.__listPage(interaction.guild, Number(interaction.customId.slice(LIST_CUSTOM_ID_PREFIX.length))));
+                return true;
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+            const reply = await this.__run(interaction.options.getSubcommand(), interaction);
+            await interaction.editReply(typeof reply === 'string' ? { content: reply } : reply);
+        } catch (error) {
+            const content = error.message;
+            if (interaction.deferred) await interaction.editReply({ content }).catch(() => null);
+            else if (interaction.isAutocomplete && interaction.isAutocomplete()) await interaction.respond([]).catch(() => null);
+            else await interaction.reply({ content, ephemeral: true }).catch(() => null);
+        }
+        return true;
+    }
+
+    /**
+     * Run a subcommand.
+     * @private
+     * @param {string} subcommand - Subcommand name.
+     * @param {import('discord.js').CommandInteraction} interaction - Command interaction.
+     * @return {Promise<string|object>} Reply content (or options).
+     */
+    async __run(subcommand, interaction) {
+        const { options, guild } = interaction;
+        if (subcommand === 'list') return this.__listPage(guild, (options.getInteger('page') || 1) - 1);
+        if (subcommand === 'create') return this.__create(interaction);
+
+        const reactionRole = this.manager.reactionRoles.get(options.getString('reaction-role'));
+        if (!reactionRole || reactionRole.guild !== guild.id) throw new Error('I cannot find this reaction role.');
+        checkHierarchy(interaction, reactionRole.roles);
+
+        switch (subcommand) {
+        case 'delete':
+            await this.manager.deleteReactionRole({ reactionRole });
+            return `Reaction role ${this.__describe(reactionRole)} was deleted.`;
+        case 'disable':
+        case 'enable':
+            await this.manager.setReactionRoleDisabled(reactionRole, subcommand === 'disable');
+            return `Reaction role ${this.__describe(reactionRole)} is ${reactionRole.disabled ? 'disabled' : 'enabled'}.`;
+        case 'requirements':
+            return this.__editRequirements(interaction, reactionRole);
+        default:
+            throw new Error(`Unknown subcommand '${subcommand}'.`);
+        }
+    }
+
+    /**
+     * Create a reaction role, from `create` subcommand.
+     * @private
+     * @param {import('discord.js').CommandInteraction} interaction - Command interaction.
+     * @return {Promise<string>}
+     */
+    async __create(interaction) {
+        const { options, guild } = interaction;
+        const role = options.getRole('role');
+        checkHierarchy(interaction, [role.id]);
+        if (!guild.roles.cache.has(role.id) || !guild.roles.cache.get(role.id).editable) {
+            throw new Error(`I cannot manage the role **${role.name}**, it must be lower than my highest role.`);
+        }
+
+        // Message links are like https://discord.com/channels/guildId/channelId/messageId.
+        const [channelId, messageId] = (options.getString('message').match(/(\d+)\/(\d+)\/?$/) || []).slice(1);
+        const channel = guild.channels.cache.get(channelId) || options.getChannel('channel') || interaction.channel;
+        if (!channel || !channel.messages) throw new Error('I cannot find the channel of message.');
+        const message = await channel.messages.fetch(messageId || options.getString('message').trim());
+
+        const reactionRole = await this.manager.createReactionRole({
+            message,
+            roles: [role],
+            emoji: options.getString('emoji').trim(),
+            type: options.getInteger('type') || ReactionRoleType.NORMAL,
+            max: options.getInteger('max') || 0,
+            component: options.getInteger('component') || ReactionRoleComponent.REACTION,
+            label: options.getString('label'),
+        });
+        return `Reaction role ${this.__describe(reactionRole)} was created.`;
+    }
+
+    /**
+     * Edit requirements of a reaction role, from `requirements` subcommand.
+     * @private
+     * @param {import('discord.js').CommandInteraction} interaction - Command interaction.
+     * @param {import('./reactionRole').ReactionRole} reactionRole - Reaction role to edit.
+     * @return {Promise<string>}
+     */
+    async __editRequirements(interaction, reactionRole) {
+        const { options } = interaction;
+        const { requirements } = reactionRole;
+        if (options.getBoolean('clear')) {
+            Object.assign(requirements, {
+                boost: false,
+                verifiedDeveloper: false,
+                roles: { allowList: [], denyList: [] },
+                accountAge: 0,
+                memberAge: 0,
+            });
+        }
+
+        const boost = options.getBoolean('boost');
+        const verifiedDeveloper = options.getBoolean('verified-developer');
+        const accountAge = options.getInteger('account-age');
+        const memberAge = options.getInteger('member-age');
+        if (boost !== null) requirements.boost = boost;
+        if (verifiedDeveloper !== null) requirements.verifiedDeveloper = verifiedDeveloper;
+        if (accountAge !== null) requirements.accountAge = accountAge * DAY;
+        if (memberAge !== null) requirements.memberAge = memberAge * DAY;
+
+        const [allowRole, denyRole, removeRole] = ['allow-role', 'deny-role', 'remove-role'].map((name) => options.getRole(name));
+        const { allowList, denyList } = requirements.roles;
+        [removeRole, allowRole, denyRole].filter((role) => role).forEach((role) => {
+            [allowList, denyList].forEach((list) => {
+                if (list.includes(role.id)) list.splice(list.indexOf(role.id), 1);
+            });
+        });
+        if (allowRole) allowList.push(allowRole.id);
+        if (denyRole) denyList.push(denyRole.id);
+
+        await this.manager.store(reactionRole);
+
+        const lines = [`Requirements of ${this.__describe(reactionRole)}:`];
+        if (requirements.boost) lines.push('• Server booster');
+        if (requirements.verifiedDeveloper) lines.push('• Verified bot developer');
+        if (requirements.accountAge > 0) lines.push(`• Account older than ${Math.round(requirements.accountAge / DAY)} days`);
+        if (requirements.memberAge > 0) lines.push(`• In the server for ${Math.round(requirements.memberAge / DAY)} days`);
+        if (allowList.length > 0) lines.push(`• With roles ${allowList.map((roleId) => `<@&${roleId}>`).join(', ')}`);
+        if (denyList.length > 0) lines.push(`• Without roles ${denyList.map((roleId) => `<@&${roleId}>`).join(', ')}`);
+        if (requirements.custom.length > 0 || requirements.expression) lines.push('• Custom requirements (edit them in code)');
+        if (lines.length === 1) lines.push('• None');
+        return lines.join('\n');
+    }
+
+    /**
+     * Build a page of reaction roles list, with buttons to previous and next pages.
+     * @private
+     * @param {import('discord.js').Guild} guild - Guild of reaction roles.
+     * @param {number} page - Page index, starting by 0.
+     * @return {object} Reply options.
+     */
+    __listPage(guild, page) {
+        const reactionRoles = [...this.manager.reactionRoles.filter((rr) => rr.guild === guild.id).values()];
+        if (reactionRoles.length === 0) return { content: 'There are no reaction roles in this server.', components: [] };
+
+        const pages = Math.ceil(reactionRoles.length / this.pageSize);
+        const index = Math.min(Math.max(Number.isInteger(page) ? page : 0, 0), pages - 1);
+        const lines = reactionRoles
+            .slice(index * this.pageSize, (index + 1) * this.pageSize)
+            .map((rr, i) => `${index * this.pageSize + i + 1}. ${this.__describe(rr)} in <#${rr.channel}>`
+                + ` — ${rr.winners.length}/${rr.max <= 0 || rr.max >= Number.MAX_SAFE_INTEGER ? '∞' : rr.max} members${rr.disabled ? ' (disabled)' : ''}`);
+
+        return {
+            content: `**Reaction roles** (page ${index + 1} of ${pages})\n${lines.join('\n')}`,
+            components: pages > 1 ? [{
+                type: 1,
+                components: [
+                    {
+                        type: 2, style: 2, label: 'Previous', custom_id: `${LIST_CUSTOM_ID_PREFIX}${index - 1}`, disabled: index === 0,
+                    },
+                    {
+                        type: 2, style: 2, label: 'Next', custom_id: `${LIST_CUSTOM_ID_PREFIX}${index + 1}`, disabled: index === pages - 1,
+                    },
+                ],
+            }] : [],
+        };
+    }
+
+    /**
+     * Autocomplete choices of reaction role option: reaction roles of guild matching what member typed.
+     * @private
+     * @param {import('discord.js').AutocompleteInteraction} interaction - Autocomplete interaction.
+     * @return {Array<{ name: string, value: string }>}
+     */
+    __autocomplete(interaction) {
+        const typed = String(interaction.options.getFocused() || '').toLowerCase();
+        return this.manager.reactionRoles
+            .filter((rr) => rr.guild === interaction.guild.id)
+            .map((rr) => ({ name: this.__describe(rr, false).slice(0, 100), value: rr.id }))
+            .filter((choice) => choice.name.toLowerCase().includes(typed) || choice.value.includes(typed))
+            .slice(0, 25);
+    }
+
+    /**
+     * Describe a reaction role to members, like `🔴 Red (#roles)`.
+     * @private
+     * @param {import('./reactionRole').ReactionRole} reactionRole - Reaction role to describe.
+     * @param {boolean} [markdown=true] - Use markdown and mentions? Autocomplete choices cannot use them.
+     * @return {string}
+     */
+    __describe(reactionRole, markdown = true) {
+        const { client } = this.manager;
+        const guild = client.guilds.cache.get(reactionRole.guild);
+        const customEmoji = client.emojis.resolve(reactionRole.emoji);
+        const emoji = customEmoji ? customEmoji.toString() : decodeURIComponent(reactionRole.emoji);
+        const roles = reactionRole.roles
+            .map((roleId) => (guild ? guild.roles.cache.get(roleId) : null))
+            .filter((role) => role)
+            .map((role) => (markdown ? `**${role.name}**` : role.name))
+            .join(', ');
+        if (markdown) return `${emoji} ${roles || 'deleted role'}`;
+
+        const channel = guild ? guild.channels.cache.get(reactionRole.channel) : null;
+        return `${customEmoji ? customEmoji.name : emoji} ${roles || 'deleted role'} (#${channel ? channel.name : 'deleted channel'})`;
+    }
+
+    /**
+     * Has member who interacted the permissions to use command?
+     * @private
+     * @param {import('discord.js').Interaction} interaction - Some interaction.
+     * @return {boolean}
+     */
+    __allowed(interaction) {
+        const permissions = interaction.memberPermissions || (interaction.member && interaction.member.permissions);
+        return Boolean(permissions && permissions.has(this.permissions));
+    }
+}
+
+module.exports = {
+    ReactionRoleCommands,
+};
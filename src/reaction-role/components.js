@@ -0,0 +1,144 @@
+const { ReactionRoleComponent } = require('./constants');
+
+/**
+ * Custom ID prefix of reaction role buttons, followed by reaction role ID.
+ * @private
+ */
+const BUTTON_CUSTOM_ID_PREFIX = 'reaction-role:';
+
+/**
+ * Custom ID prefix of reaction roles select menus, followed by message ID.
+ * @private
+ */
+const SELECT_MENU_CUSTOM_ID_PREFIX = 'reaction-role-menu:';
+
+/**
+ * Max components of a message: 5 rows, 5 buttons by row or 25 options by select menu.
+ * @private
+ */
+const MAX_ROWS = 5;
+const MAX_BUTTONS_BY_ROW = 5;
+const MAX_SELECT_MENU_OPTIONS = 25;
+
+/**
+ * Reaction of a button or select menu reaction role. Components haven't reactions, so it works like one for the manager:
+ * its users are members who pressed the component (winners, waitlisted and member interacting), and removing them does nothing.
+ */
+class ComponentReaction {
+    /**
+     * Component reaction constructor.
+     * @param {import('discord.js').Message} message - Message with the component.
+     * @param {import('discord.js').Collection<string, import('discord.js').User>} users - Members who pressed the component.
+     * @return {ComponentReaction}
+     */
+    constructor(message, users) {
+        /**
+         * Message with the component.
+         * @type {import('discord.js').Message}
+         * @readonly
+         */
+        this.message = message;
+        /**
+         * Component reactions are never partial.
+         * @type {boolean}
+         * @readonly
+         */
+        this.partial = false;
+        /**
+         * Members who pressed the component, like `MessageReaction#users`.
+         * @type {{ cache: import('discord.js').Collection<string, import('discord.js').User>, fetch: Function, remove: Function }}
+         * @readonly
+         */
+        this.users = {
+            cache: users,
+            fetch: async () => users,
+            remove: async (user) => {
+                users.delete(user && user.id ? user.id : user);
+                return this;
+            },
+        };
+    }
+
+    /**
+     * @return {Promise<ComponentReaction>}
+     */
+    async fetch() {
+        return this;
+    }
+
+    /**
+     * Components are removed when message components are updated, not like reactions.
+     * @return {Promise<ComponentReaction>}
+     */
+    async remove() {
+        return this;
+    }
+}
+
+/**
+ * Parse reaction role emoji (emoji ID or url encoded unicode emoji) to component emoji.
+ * @private
+ * @param {string} emoji - Reaction role emoji.
+ * @return {{ id?: string, name?: string }}
+ */
+function toComponentEmoji(emoji) {
+    return /^\d+$/.test(emoji) ? { id: emoji } : { name: decodeURIComponent(emoji) };
+}
+
+/**
+ * Build message components (action rows with buttons and select menu) of reaction roles of a message.
+ * Buttons are added first, select menu options are in the last row. Components over Discord limits are ignored.
+ * @param {import('./reactionRole').ReactionRole[]} reactionRoles - Button and select menu reaction roles of the message.
+ * @param {import('discord.js').Guild} guild - Guild of message, used to find role names.
+ * @return {object[]} Action rows, like Discord API.
+ */
+function buildComponentRows(reactionRoles, guild) {
+    const label = (reactionRole) => reactionRole.label
+        || reactionRole.roles.map((role) => guild.roles.cache.get(role)).filter((role) => role).map((role) => role.name).join(', ')
+        || null;
+
+    const buttons = reactionRoles.filter((rr) => rr.component === ReactionRoleComponent.BUTTON);
+    const options = reactionRoles.filter((rr) => rr.component === ReactionRoleComponent.SELECT_MENU).slice(0, MAX_SELECT_MENU_OPTIONS);
+    const buttonRows = MAX_ROWS - (options.length > 0 ? 1 : 0);
+
+    const rows = [];
+    for (let i = 0; i < buttons.length && rows.length < buttonRows; i += MAX_BUTTONS_BY_ROW) {
+        rows.push({
+            type: 1,
+            components: buttons.slice(i, i + MAX_BUTTONS_BY_ROW).map((reactionRole) => ({
+                type: 2,
+                style: reactionRole.buttonStyle,
+                custom_id: `${BUTTON_CUSTOM_ID_PREFIX}${reactionRole.id}`,
+                label: reactionRole.label || undefined,
+                emoji: toComponentEmoji(reactionRole.emoji),
+            })),
+        });
+    }
+
+    if (options.length > 0) {
+        rows.push({
+            type: 1,
+            components: [{
+                type: 3,
+                custom_id: `${SELECT_MENU_CUSTOM_ID_PREFIX}${options[0].message}`,
+                placeholder: 'Pick your roles',
+                min_values: 0,
+                max_values: options.length,
+                options: options.map((reactionRole) => ({
+                    label: label(reactionRole) || decodeURIComponent(reactionRole.emoji),
+                    value: reactionRole.id,
+                    description: reactionRole.description || undefined,
+                    emoji: toComponentEmoji(reactionRole.emoji),
+                })),
+            }],
+        });
+    }
+    return rows;
+}
+
+module.exports = {
+    BUTTON_CUSTOM_ID_PREFIX,
+    SELECT_MENU_CUSTOM_ID_PREFIX,
+    ComponentReaction,
+    buildComponentRows,
+};
@@ -8,6 +8,20 @@
  * @property {string} MISSING_PERMISSIONS='missingPermissions' - Triggered when the bot doesn't have permissions to manage this role.
  * @property {string} DEBUG='debug' - Triggered for debug messages.
  * @property {string} READY='ready' - Triggered when reation role manager is ready.
+ * @property {string} STORAGE_MIGRATED='storageMigrated' - Triggered when stored reaction roles were migrated to current schema version.
+ * @property {string} STORAGE_DISCONNECTED='storageDisconnected' - Triggered when storage (like mongodb) is disconnected, writes are queued.
+ * @property {string} STORAGE_RECONNECTED='storageReconnected' - Triggered when storage is reconnected and queued writes were written.
+ * @property {string} STORAGE_ERROR='storageError' - Triggered when storage failed to load reaction roles or to write changes in background.
+ * @property {string} RECONCILED='reconciled' - Triggered when reaction roles were reconciled with message reactions and member roles.
+ * @property {string} REACTION_ROLE_EXPIRE='reactionRoleExpire' - Triggered when a temporary reaction role expired for a member.
+ * @property {string} REACTION_THROTTLED='reactionThrottled' - Triggered when a member reacted again before cooldown is over.
+ * @property {string} MAX_SELECTIONS_REACHED='maxSelectionsReached' - Triggered when a member reached max selections of a message or group.
+ * @property {string} CAPTCHA_SOLVED='captchaSolved' - Triggered when a member solved the captcha of a reaction role.
+ * @property {string} CAPTCHA_FAILED='captchaFailed' - Triggered when a member failed the captcha of a reaction role.
+ * @property {string} REACTION_ROLE_OPENED='reactionRoleOpened' - Triggered when a scheduled reaction role starts accepting reactions.
+ * @property {string} REACTION_ROLE_CLOSED='reactionRoleClosed' - Triggered when a scheduled reaction role stops accepting reactions.
+ * @property {string} WAITLIST_QUEUED='waitlistQueued' - Triggered when a member reacted in a full reaction role and was added to its waitlist.
+ * @property {string} WAITLIST_PROMOTED='waitlistPromoted' - Triggered when a waitlisted member won the roles of a reaction role.
  * @readonly
  */
 const ReactionRoleEvent = Object.freeze({
@@ -17,7 +31,21 @@ const ReactionRoleEvent = Object.freeze({
     MISSING_REQUIREMENTS: 'missingRequirements',
     MISSING_PERMISSIONS: 'missingPermissions',
     DEBUG: 'debug',
-    READY: 'ready'
+    READY: 'ready',
+    STORAGE_MIGRATED: 'storageMigrated',
+    STORAGE_DISCONNECTED: 'storageDisconnected',
+    STORAGE_RECONNECTED: 'storageReconnected',
+    STORAGE_ERROR: 'storageError',
+    RECONCILED: 'reconciled',
+    REACTION_ROLE_EXPIRE: 'reactionRoleExpire',
+    REACTION_THROTTLED: 'reactionThrottled',
+    MAX_SELECTIONS_REACHED: 'maxSelectionsReached',
+    CAPTCHA_SOLVED: 'captchaSolved',
+    CAPTCHA_FAILED: 'captchaFailed',
+    REACTION_ROLE_OPENED: 'reactionRoleOpened',
+    REACTION_ROLE_CLOSED: 'reactionRoleClosed',
+    WAITLIST_QUEUED: 'waitlistQueued',
+    WAITLIST_PROMOTED: 'waitlistPromoted',
 });
 
 /**
@@ -29,6 +57,10 @@ const ReactionRoleEvent = Object.freeze({
  * @property {number} [PERMISSION=3] - Need has some permissions to win this role.
  * @property {number} [ROLES=4] - Need has all allow listed roles and hasn't all denied listed roles.
  * @property {number} [USERS=5] - Need be inluded in allow list and not included in deny list to win this role.
+ * @property {number} [ACCOUNT_AGE=6] - Need a discord account older than some time to win this role.
+ * @property {number} [MEMBER_AGE=7] - Need be in the server for some time to win this role.
+ * @property {number} [EXPRESSION=8] - Need pass requirement expression (and/or/not) to win this role.
+ * @property {number} [CUSTOM=9] - Need pass custom requirement, registered in manager, to win this role.
  * @readonly
  */
 const RequirementType = Object.freeze({
@@ -38,6 +70,10 @@ const RequirementType = Object.freeze({
     PERMISSION: 3,
     ROLES: 4,
     USERS: 5,
+    ACCOUNT_AGE: 6,
+    MEMBER_AGE: 7,
+    EXPRESSION: 8,
+    CUSTOM: 9,
 });
 
 /**
@@ -48,6 +84,7 @@ const RequirementType = Object.freeze({
  * @property {number} JUST_WIN - This role you'll only win, not lose.
  * @property {number} JUST_LOSE - This role you'll only lose, not win.
  * @property {number} REVERSED - This is reversed role. When react, you'll lose it, when you take off reaction you'll win it.
+ * @property {number} SWAP - When react, you'll win its roles and lose its swap roles (like "Unverified" to "Member").
  * @readonly
  */
 const ReactionRoleType = Object.freeze({
@@ -56,7 +93,8 @@ const ReactionRoleType = Object.freeze({
     TOGGLE: 2,
     JUST_WIN: 3,
     JUST_LOSE: 4,
-    REVERSED: 5
+    REVERSED: 5,
+    SWAP: 6,
 });
 
 /**
@@ -73,17 +111,190 @@ const ActionType = Object.freeze({
     TAKE: 2
 });
 
+/**
+ * What triggered a reaction role action.
+ * @typedef {object} ActionTrigger
+ * @property {number} UNKNOWN - Unknown trigger.
+ * @property {number} REACTION - A member added or removed a reaction.
+ * @property {number} TOGGLE - Toggled roles check, after a member reacted in a toggle reaction role.
+ * @property {number} BOOT - Reaction roles check when the bot turns on.
+ * @property {number} ALL_REACTIONS_REMOVE - All reactions were removed from message.
+ * @property {number} RECONCILE - Scheduled or on-demand reconcile of reaction roles.
+ * @property {number} EXPIRE - Temporary reaction role expired.
+ * @property {number} WAITLIST - Waitlisted member was promoted, after a winner lost the roles.
+ * @property {number} INTERACTION - A member pressed a button or picked options of a select menu.
+ * @readonly
+ */
+const ActionTrigger = Object.freeze({
+    UNKNOWN: 0,
+    REACTION: 1,
+    TOGGLE: 2,
+    BOOT: 3,
+    ALL_REACTIONS_REMOVE: 4,
+    RECONCILE: 5,
+    EXPIRE: 6,
+    WAITLIST: 7,
+    INTERACTION: 8,
+});
+
+/**
+ * What to do when a member reached max selections of a message or group.
+ * @typedef {object} SelectionPolicy
+ * @property {number} UNKNOWN - Unknown policy.
+ * @property {number} REJECT - New reaction is removed, member keeps its selections.
+ * @property {number} DROP_OLDEST - Oldest selection is removed, member wins the new one.
+ * @readonly
+ */
+const SelectionPolicy = Object.freeze({
+    UNKNOWN: 0,
+    REJECT: 1,
+    DROP_OLDEST: 2,
+});
+
+/**
+ * Where members solve the captcha of a reaction role.
+ * @typedef {object} CaptchaMode
+ * @property {number} NONE - No captcha, roles are given when member reacts.
+ * @property {number} DM - Captcha is sent in member DM.
+ * @property {number} CHANNEL - Captcha is sent in a temporary channel, only visible to member.
+ * @readonly
+ */
+const CaptchaMode = Object.freeze({
+    NONE: 0,
+    DM: 1,
+    CHANNEL: 2,
+});
+
+/**
+ * Why a member failed a captcha.
+ * @typedef {object} CaptchaFailReason
+ * @property {number} UNKNOWN - Unknown reason.
+ * @property {number} TIMEOUT - Member didn't answer in time.
+ * @property {number} WRONG_ANSWER - Member answered wrong in all attempts.
+ * @property {number} UNREACHABLE - Captcha couldn't be sent (DM closed, missing permissions...).
+ * @readonly
+ */
+const CaptchaFailReason = Object.freeze({
+    UNKNOWN: 0,
+    TIMEOUT: 1,
+    WRONG_ANSWER: 2,
+    UNREACHABLE: 3,
+});
+
+/**
+ * What to do with reactions added while a scheduled reaction role isn't open.
+ * @typedef {object} ClosePolicy
+ * @property {number} UNKNOWN - Unknown policy.
+ * @property {number} IGNORE - Reactions are kept, but members don't win the roles.
+ * @property {number} REMOVE - Reactions are removed.
+ * @readonly
+ */
+const ClosePolicy = Object.freeze({
+    UNKNOWN: 0,
+    IGNORE: 1,
+    REMOVE: 2,
+});
+
+/**
+ * What to do when a member takes off the reaction of a swap reaction role.
+ * @typedef {object} SwapRemovePolicy
+ * @property {number} UNKNOWN - Unknown policy.
+ * @property {number} KEEP - Nothing changes, member keeps the roles (like just win roles).
+ * @property {number} REVERT - Member loses the roles and wins the swap roles again.
+ * @property {number} TAKE - Member loses the roles, but doesn't win the swap roles again.
+ * @readonly
+ */
+const SwapRemovePolicy = Object.freeze({
+    UNKNOWN: 0,
+    KEEP: 1,
+    REVERT: 2,
+    TAKE: 3,
+});
+
+/**
+ * How members win/lose a reaction role.
+ * @typedef {object} ReactionRoleComponent
+ * @property {number} REACTION - Members react in message.
+ * @property {number} BUTTON - Members press a button of message, pressing again takes off the roles.
+ * @property {number} SELECT_MENU - Members pick options of a select menu of message, unpicked options are taken off.
+ * @readonly
+ */
+const ReactionRoleComponent = Object.freeze({
+    REACTION: 0,
+    BUTTON: 1,
+    SELECT_MENU: 2,
+});
+
+/**
+ * Why a member is notified, also used as template names.
+ * @typedef {object} NotificationType
+ * @property {string} MISSING_REQUIREMENTS='missingRequirements' - Member hasn't all requirements to win the roles.
+ * @property {string} MAX_REACHED='maxReached' - Max winners of reaction role was reached.
+ * @property {string} MISSING_PERMISSIONS='missingPermissions' - Bot cannot manage some roles of reaction role.
+ * @property {string} JUST_LOSE='justLose' - Member reacted in a just lose reaction role, so nothing was given.
+ * @property {string} ROLES_WON='rolesWon' - Member won roles, only in button and select menu replies.
+ * @property {string} ROLES_LOST='rolesLost' - Member lost roles, only in button and select menu replies.
+ * @property {string} WAITLISTED='waitlisted' - Member is in the waitlist, only in button and select menu replies.
+ * @property {string} WAITLIST_LEFT='waitlistLeft' - Member left the waitlist, only in button and select menu replies.
+ * @property {string} NOT_OPEN='notOpen' - Scheduled reaction role isn't open, only in button and select menu replies.
+ * @property {string} THROTTLED='throttled' - Member picked it again before cooldown is over, only in button and select menu replies.
+ * @property {string} CAPTCHA_PENDING='captchaPending' - Member must solve a captcha to win roles, only in button and select menu replies.
+ * @property {string} NOTHING_CHANGED='nothingChanged' - Button or select menu didn't change anything.
+ * @property {string} UNAVAILABLE='unavailable' - Button or select menu reaction roles were deleted or disabled.
+ * @property {string} INTERACTION_FAILED='interactionFailed' - Button or select menu failed with an error.
+ * @readonly
+ */
+const NotificationType = Object.freeze({
+    MISSING_REQUIREMENTS: 'missingRequirements',
+    MAX_REACHED: 'maxReached',
+    MISSING_PERMISSIONS: 'missingPermissions',
+    JUST_LOSE: 'justLose',
+    ROLES_WON: 'rolesWon',
+    ROLES_LOST: 'rolesLost',
+    WAITLISTED: 'waitlisted',
+    WAITLIST_LEFT: 'waitlistLeft',
+    NOT_OPEN: 'notOpen',
+    THROTTLED: 'throttled',
+    CAPTCHA_PENDING: 'captchaPending',
+    NOTHING_CHANGED: 'nothingChanged',
+    UNAVAILABLE: 'unavailable',
+    INTERACTION_FAILED: 'interactionFailed',
+});
+
+/**
+ * Where members are notified.
+ * @typedef {object} NotificationMode
+ * @property {number} NONE - Members are not notified.
+ * @property {number} DM - Notifications are sent in member DM.
+ * @property {number} CHANNEL - Notifications are sent in reaction role channel, and deleted after some time.
+ * @readonly
+ */
+const NotificationMode = Object.freeze({
+    NONE: 0,
+    DM: 1,
+    CHANNEL: 2,
+});
+
 /**
  * Check if a number is valid reaction role type.
  * @param {ReactionRoleType} number - Type of reaction role to check if it's valid.
  * @return {boolean}
  */
-const isValidReactionRoleType = (number) => !isNaN(number) && (number >= ReactionRoleType.NORMAL && number <= ReactionRoleType.REVERSED);
+const isValidReactionRoleType = (number) => !isNaN(number) && (number >= ReactionRoleType.NORMAL && number <= ReactionRoleType.SWAP);
 
 module.exports = {
     RequirementType,
     ReactionRoleEvent,
     ReactionRoleType,
     ActionType,
+    ActionTrigger,
+    SelectionPolicy,
+    CaptchaMode,
+    CaptchaFailReason,
+    ClosePolicy,
+    SwapRemovePolicy,
+    NotificationType,
+    NotificationMode,
+    ReactionRoleComponent,
     isValidReactionRoleType,
 };
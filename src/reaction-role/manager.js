@@ -12,17 +12,152 @@ const {
     User,
 } = require('discord.js');
 const { EventEmitter } = require('events');
-const fs = require('fs');
 const AsyncLock = require('async-lock');
 const Constants = require('../util/constants');
 const { ReactionRole, IRequirementType } = require('./reactionRole');
+const { migrateReactionRole, IMigrationReport } = require('./migrations');
 const {
-    ReactionRoleEvent, ReactionRoleType, RequirementType, ActionType, isValidReactionRoleType,
+    ReactionRoleEvent, ReactionRoleType, RequirementType, ActionType, ActionTrigger, SelectionPolicy, CaptchaMode, CaptchaFailReason,
+    ClosePolicy, SwapRemovePolicy, NotificationType, NotificationMode, ReactionRoleComponent, isValidReactionRoleType,
 } = require('./constants');
+const { textCaptchaGenerator, checkCaptchaAnswer } = require('./captcha');
+const { DEFAULT_NOTIFICATION_TEMPLATES, renderNotification } = require('./notifications');
+const {
+    BUTTON_CUSTOM_ID_PREFIX, SELECT_MENU_CUSTOM_ID_PREFIX, ComponentReaction, buildComponentRows,
+} = require('./components');
+const { buildPanelEmbed } = require('./panels');
+const { MessageCollector } = require('../collectors/messageCollector');
+const {
+    checkCustomRequirement, evaluateRequirementExpression, mapRequirementExpressionRoles, fetchJoinedTimestamp,
+} = require('./requirements');
+const { StorageAdapter, IHistoryEntry, IHistoryFilter } = require('./storage/storageAdapter');
+const { JsonStorageAdapter } = require('./storage/jsonAdapter');
+const { MongoStorageAdapter } = require('./storage/mongoAdapter');
+const { MemoryStorageAdapter } = require('./storage/memoryAdapter');
+const { SqliteStorageAdapter } = require('./storage/sqliteAdapter');
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 const locker = new AsyncLock();
 
+/**
+ * Are these reaction roles in same message (or group, if it has one)?
+ * @private
+ * @param {ReactionRole} reactionRole - Some reaction role.
+ * @param {ReactionRole} other - Other reaction role, its group is used.
+ * @return {boolean}
+ */
+const isSameSelection = (reactionRole, other) => {
+    if (other.group) return reactionRole.group === other.group && reactionRole.guild === other.guild;
+    return reactionRole.message === other.message;
+};
+
+/**
+ * Remove member from reaction role waitlist.
+ * @private
+ * @param {ReactionRole} reactionRole - Reaction role with waitlist.
+ * @param {string} memberId - Member to remove.
+ * @return {boolean} False if member wasn't waitlisted.
+ */
+const removeFromWaitlist = (reactionRole, memberId) => {
+    const index = reactionRole.waitlisted.indexOf(memberId);
+    if (index < 0) return false;
+    reactionRole.waitlisted.splice(index, 1);
+    return true;
+};
+
+/**
+ * Is button or select menu option of this reaction role pressed by member?
+ * Members pressed it if they have the roles (or lost them, for reversed roles) or they are waitlisted.
+ * @private
+ * @param {ReactionRole} reactionRole - Button or select menu reaction role.
+ * @param {GuildMember} member - Member who is interacting.
+ * @return {boolean}
+ */
+const isPressed = (reactionRole, member) => {
+    if (reactionRole.waitlisted.includes(member.id)) return true;
+    const hasRoles = reactionRole.roles.every((role) => member.roles.cache.has(role));
+    return reactionRole.isReversed ? !hasRoles : hasRoles || reactionRole.winners.includes(member.id);
+};
+
+/**
+ * Roles without duplicates, skipping roles of other list. Used to reply roles won and lost by same interaction.
+ * @private
+ * @param {Role[]} roles - Roles to filter.
+ * @param {Role[]} [skipped=[]] - Roles to skip, like roles won and lost again.
+ * @return {Role[]}
+ */
+const uniqueRoles = (roles, skipped = []) => {
+    const unique = new Map(roles.map((role) => [role.id, role]));
+    skipped.forEach((role) => unique.delete(role.id));
+    return [...unique.values()];
+};
+
+/**
+ * Edit deferred reply of a button or select menu with rendered lines. Reply is deleted if all lines are empty (like null templates).
+ * @private
+ * @param {import('discord.js').Interaction} interaction - Deferred interaction.
+ * @param {Array<Promise<string|object|null>>} lines - Rendered reply lines.
+ * @return {Promise<void>}
+ */
+const editInteractionReply = async (interaction, lines) => {
+    const contents = (await Promise.all(lines))
+        .map((line) => (line && typeof line === 'object' ? line.content : line))
+        .filter((content) => content);
+    if (contents.length > 0) await interaction.editReply({ content: contents.join('\n') });
+    else await interaction.deleteReply();
+};
+
+/**
+ * Version of reaction roles export document.
+ * @private
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Reaction roles of a guild, exported to import in other guilds.
+ * @typedef {object} IReactionRoleExport
+ * @property {number} version - Export document version.
+ * @property {string} exportedAt - ISO date of export.
+ * @property {{ id: string, name: string }} guild - Exported guild.
+ * @property {IExportedMessage[]} messages - Messages with reaction roles.
+ */
+
+/**
+ * Exported message with reaction roles.
+ * @typedef {object} IExportedMessage
+ * @property {string} id - Original message ID.
+ * @property {{ id: string, name: string }} channel - Original channel.
+ * @property {string?} content - Message content, used to create it again.
+ * @property {object[]} embeds - Message embeds, used to create it again.
+ * @property {object[]} reactionRoles - Reaction roles of this message. Roles, channels and emojis have ID and name.
+ */
+
+/**
+ * Result of a reaction roles import.
+ * @typedef {object} IImportReport
+ * @property {ReactionRole[]} created - Reaction roles created.
+ * @property {Object<string, string>} messages - Imported message ID's, by exported message ID.
+ * @property {object[]} unresolved - Things not found in target guild, like `{ type: 'role', id, name, message }`.
+ * Messages and reaction roles what failed to be created are listed too, with the error `reason`.
+ */
+
+/**
+ * Fixes applied by a reaction roles reconcile.
+ * @typedef {object} IReconcileSummary
+ * @property {string?} guild - Reconciled guild ID, null if all guilds were reconciled.
+ * @property {string?} message - Reconciled message ID, null if all messages were reconciled.
+ * @property {number} reactionRoles - How many reaction roles were checked.
+ * @property {number} rolesGiven - Roles given to members who reacted but didn't have them.
+ * @property {number} rolesTaken - Roles taken from winners who aren't reacting anymore.
+ * @property {number} winnersAdded - Members added to winners lists.
+ * @property {number} winnersRemoved - Members removed from winners lists (including members who left the guild).
+ * @property {number} reactionsRemoved - Reactions removed because member left the guild.
+ * @property {number} expired - Temporary roles expired while the bot was offline.
+ * @property {string[]} deleted - Reaction roles deleted because guild, channel or message wasn't found.
+ * @property {string[]} failed - Reaction roles what failed to reconcile (see debug event).
+ * @property {number} duration - Time spent, in ms.
+ */
+
 /**
  * Example in {@link https://github.com/IDjinn/Discord.js-Collector/blob/master/examples/reaction-role-manager/basic.js}
  * @extends EventEmitter
@@ -89,7 +224,10 @@ class ReactionRoleManager extends EventEmitter {
      * @property {RequirementType} requirementType - The missing requirement to win this role.
      * @property {GuildMember} member - Member who will not win this role.
      * @property {ReactionRole} reactionRole - This reaction role what the member hasn't the requirements.
-     * @property {object?} requirementsMissing - All things missing to win this role (e.g roles)
+     * @property {object?} requirementsMissing - All things missing to win this role (e.g roles).
+     * For account age and member age requirements, it's the remaining time in ms to win this role.
+     * For requirement expressions, it's an `IRequirementFailure` explaining which branch failed.
+     * For custom requirements, it's `{ name, options, reason }`, where reason is what the predicate returned (or threw).
      *
      * @example
      * reactionRoleManager.on('missingRequirements', (type, member, reactionRole) => {
@@ -97,6 +235,161 @@ class ReactionRoleManager extends EventEmitter {
      * });
      */
 
+    /**
+     * Triggered when stored reaction roles were upgraded to current schema version. Migrated data is stored again, so it's done only once.
+     * @event ReactionRoleManager#storageMigrated
+     * @property {IMigrationReport[]} reports - What was changed in each migrated reaction role.
+     * @example
+     * reactionRoleManager.on('storageMigrated', (reports) => {
+     *   reports.forEach(({ data, from, to, changes }) => console.log(`${data.id}: v${from} -> v${to}, ${changes.join(', ')}`));
+     * });
+     */
+
+    /**
+     * Triggered when storage (like mongodb) is disconnected. Writes are queued until it reconnects.
+     * @event ReactionRoleManager#storageDisconnected
+     * @example
+     * reactionRoleManager.on('storageDisconnected', () => {
+     *   console.log('Reaction roles storage is offline, changes will be saved when it is back.');
+     * });
+     */
+
+    /**
+     * Triggered when storage is reconnected and queued writes were written.
+     * @event ReactionRoleManager#storageReconnected
+     * @property {number} written - How many queued writes were written.
+     * @example
+     * reactionRoleManager.on('storageReconnected', (written) => {
+     *   console.log(`Reaction roles storage is back, ${written} changes saved.`);
+     * });
+     */
+
+    /**
+     * Triggered when storage failed to load reaction roles on boot, or to write changes in background (like delayed json writes).
+     * Changes what failed to be written are kept and written again later.
+     * @event ReactionRoleManager#storageError
+     * @property {Error} error - Storage error.
+     * @example
+     * reactionRoleManager.on('storageError', (error) => {
+     *   console.error('Reaction roles storage failed:', error);
+     * });
+     */
+
+    /**
+     * Triggered when reaction roles were reconciled (each `reconcile.interval` ms or by `reconcile()`).
+     * @event ReactionRoleManager#reconciled
+     * @property {IReconcileSummary} summary - Fixes applied.
+     * @example
+     * reactionRoleManager.on('reconciled', (summary) => {
+     *   console.log(`Reconcile: ${summary.rolesGiven} roles given, ${summary.rolesTaken} taken, ${summary.failed.length} failed.`);
+     * });
+     */
+
+    /**
+     * Triggered when a temporary reaction role expired, so its roles and reaction were taken from member.
+     * @event ReactionRoleManager#reactionRoleExpire
+     * @property {GuildMember} member - Member who lost the roles.
+     * @property {Role[]} roles - Roles taken from member.
+     * @property {ReactionRole} reactionRole - Temporary reaction role.
+     * @example
+     * reactionRoleManager.on('reactionRoleExpire', (member, roles, reactionRole) => {
+     *   console.log(`${member.displayName} lost ${roles.map((role) => role.name).join(', ')}, it's time is over.`);
+     * });
+     */
+
+    /**
+     * Triggered when a member reacted again before cooldown is over, so the reaction was ignored.
+     * @event ReactionRoleManager#reactionThrottled
+     * @property {GuildMember} member - Member who reacted too fast.
+     * @property {ReactionRole} reactionRole - Reaction role what member reacted.
+     * @property {number} remaining - Time in ms to wait before react again.
+     * @example
+     * reactionRoleManager.on('reactionThrottled', (member, reactionRole, remaining) => {
+     *   console.log(`${member.displayName} must wait ${Math.ceil(remaining / 1000)}s to react again.`);
+     * });
+     */
+
+    /**
+     * Triggered when a member reacted in a message (or group) but it already won max selections.
+     * @event ReactionRoleManager#maxSelectionsReached
+     * @property {GuildMember} member - Member who reacted.
+     * @property {ReactionRole} reactionRole - Reaction role what member reacted.
+     * @property {ReactionRole[]} selected - Reaction roles already won by member, oldest first.
+     * @property {SelectionPolicy} policy - What was done: new reaction rejected or oldest selections dropped.
+     * @example
+     * reactionRoleManager.on('maxSelectionsReached', (member, reactionRole, selected, policy) => {
+     *   console.log(`${member.displayName} already picked ${selected.length} roles.`);
+     * });
+     */
+
+    /**
+     * Triggered when a member solved the captcha of a reaction role, before win its roles.
+     * @event ReactionRoleManager#captchaSolved
+     * @property {GuildMember} member - Member who solved the captcha.
+     * @property {ReactionRole} reactionRole - Reaction role with captcha.
+     * @property {number} attempts - How many attempts member needed.
+     * @example
+     * reactionRoleManager.on('captchaSolved', (member, reactionRole, attempts) => {
+     *   console.log(`${member.displayName} solved the captcha in ${attempts} attempts.`);
+     * });
+     */
+
+    /**
+     * Triggered when a member failed the captcha of a reaction role, so its reaction was removed.
+     * @event ReactionRoleManager#captchaFailed
+     * @property {GuildMember} member - Member who failed the captcha.
+     * @property {ReactionRole} reactionRole - Reaction role with captcha.
+     * @property {CaptchaFailReason} reason - Why member failed: timeout, wrong answers or captcha couldn't be sent.
+     * @property {number} attempts - How many attempts member did.
+     * @example
+     * reactionRoleManager.on('captchaFailed', (member, reactionRole, reason) => {
+     *   if (reason === CaptchaFailReason.UNREACHABLE) console.log(`I cannot send captcha to ${member.displayName}, DM is closed.`);
+     * });
+     */
+
+    /**
+     * Triggered when a scheduled reaction role starts accepting reactions.
+     * @event ReactionRoleManager#reactionRoleOpened
+     * @property {ReactionRole} reactionRole - Opened reaction role.
+     * @example
+     * reactionRoleManager.on('reactionRoleOpened', (reactionRole) => {
+     *   console.log(`Sign-ups of '${reactionRole.id}' are open.`);
+     * });
+     */
+
+    /**
+     * Triggered when a scheduled reaction role stops accepting reactions. It's marked as closed, but winners keep the roles.
+     * @event ReactionRoleManager#reactionRoleClosed
+     * @property {ReactionRole} reactionRole - Closed reaction role.
+     * @example
+     * reactionRoleManager.on('reactionRoleClosed', (reactionRole) => {
+     *   console.log(`Sign-ups of '${reactionRole.id}' are closed, ${reactionRole.winners.length} members signed up.`);
+     * });
+     */
+
+    /**
+     * Triggered when a member reacted in a full reaction role (or with members already waiting) and was added to its waitlist.
+     * @event ReactionRoleManager#waitlistQueued
+     * @property {GuildMember} member - Waitlisted member.
+     * @property {ReactionRole} reactionRole - Full reaction role.
+     * @property {number} position - Member position in waitlist, starting by 1.
+     * @example
+     * reactionRoleManager.on('waitlistQueued', (member, reactionRole, position) => {
+     *   member.send(`All slots are taken, you are #${position} in the waitlist.`);
+     * });
+     */
+
+    /**
+     * Triggered when a waitlisted member won the roles, after a winner lost them or left the server.
+     * @event ReactionRoleManager#waitlistPromoted
+     * @property {GuildMember} member - Promoted member.
+     * @property {ReactionRole} reactionRole - Reaction role won.
+     * @example
+     * reactionRoleManager.on('waitlistPromoted', (member, reactionRole) => {
+     *   member.send('A slot is free, you won the role!');
+     * });
+     */
+
     /**
     * Create your custom hooks to execute before/after Reaction Role Manager do things.
     * @summary Pay attention: return value must be boolean! If is not, will not work like you wish.
@@ -105,6 +398,15 @@ class ReactionRoleManager extends EventEmitter {
     * If return value is false, this action will be bypassed.
     * @property {Promise<boolean>} preRoleRemoveHook - Function executed before remove a role from some member.
     * If return value is false, this action will be bypassed.
+    * @property {Promise<void>} [postRoleAdd] - Function executed after roles were given to some member.
+    * @property {Promise<void>} [postRoleRemove] - Function executed after roles were taken from some member.
+    * @property {Promise<void>} [onRequirementFailed] - Function executed when some member hasn't requirements of a reaction role.
+    * Last argument is `{ type, missing }`, same as `missingRequirements` event.
+    * @property {Promise<void>} [onPermissionFailed] - Function executed when bot cannot manage some roles of a reaction role.
+    * @property {Promise<void>} [onMaxReached] - Function executed when some member cannot win a reaction role,
+    * because reaction role reached max winners or member reached max selections.
+    * @summary All these hooks receive `(member, roles, reactionRole, trigger, error)` and they are awaited, so they run in order.
+    * Errors thrown by them are only debugged.
     */
 
     /**
@@ -129,17 +431,46 @@ class ReactionRoleManager extends EventEmitter {
      * @param {Object} [options] -
      * @param {boolean} [options.storage=true] - Enable/disable storage of reaction role.
      * @param {string} [options.mongoDbLink=null] - Link to connect with mongodb.
+     * @param {object} [options.mongo] - MongoDB storage options.
+     * @param {any} [options.mongo.connection] - Your own mongoose connection, used instead of `mongoDbLink`.
+     * @param {string} [options.mongo.modelName='ReactionRoles'] - Name of reaction roles model.
+     * @param {string} [options.mongo.collectionPrefix=''] - Prefix of reaction roles collection name.
      * @param {string} [options.path=null] - Path to save json data of reactions roles.
+     * @param {string} [options.sqlitePath=null] - Path of SQLite database to save reactions roles (needs 'better-sqlite3').
+     * @param {StorageAdapter} [options.storageAdapter=null] - Custom storage adapter, used instead of json/mongodb storage.
      * @param {boolean} [options.debug=false] - Enable/Disable debug of reaction role manager.
      * @param {IHooks} [options.hooks={}] - Custom hooks to execute before do things.
      * @param {boolean} [options.keepReactions] - Keep reactions if some reaction roles was deleted.
+     * @param {boolean} [options.history=false] - Record history of roles given/taken by reaction roles in storage.
+     * @param {object} [options.reconcile] - Reconcile reaction roles with message reactions and member roles, not only when the bot turns on.
+     * @param {number} [options.reconcile.interval=0] - Time in ms between reconciles, 0 disable scheduled reconciles.
+     * @param {number} [options.reconcile.concurrency=1] - How many reaction roles are reconciled at same time.
+     * @param {object} [options.cooldown] - Cooldowns to stop members spamming reactions. Only reactions added are throttled.
+     * @param {number} [options.cooldown.member=0] - Time in ms a member must wait between reactions in any reaction role.
+     * @param {number} [options.cooldown.reactionRole=0] - Time in ms a member must wait to react again in same reaction role.
+     * Reaction role `cooldown` overrides it.
+     * @param {boolean} [options.cooldown.removeReaction=true] - Remove reactions added while member is throttled, so message doesn't show
+     * reactions what didn't give the roles. If disabled, these reactions are kept and removing them later does nothing.
+     * @param {object} [options.captcha] - Captcha options, used by reaction roles with captcha.
+     * @param {number} [options.captcha.time=60000] - Time in ms to answer each captcha.
+     * @param {number} [options.captcha.retries=2] - How many times member can answer again after a wrong answer.
+     * @param {Function} [options.captcha.generator=textCaptchaGenerator] - Create captcha challenges,
+     * `(member, reactionRole, attempt, attempts) => ICaptchaChallenge`.
+     * @param {boolean} [options.captcha.fallbackToChannel=true] - If member DM is closed, send captcha in a temporary channel.
+     * @param {object} [options.notifications] - Tell members why a reaction didn't give them the roles. Reaction role `notifications` overrides it.
+     * @param {NotificationMode} [options.notifications.mode=0] - Where members are notified, disabled by default.
+     * @param {Object<string, string|Function|null>} [options.notifications.templates] - Templates by notification type, merged with default ones.
+     * A function receives `INotificationContext` and returns message content (or options), null disables a notification type.
+     * @param {number} [options.notifications.deleteAfter=10000] - Time in ms to delete notifications sent in channel, 0 keeps them.
+     * @param {boolean} [options.notifications.fallbackToChannel=true] - If member DM is closed, send notification in reaction role channel.
      * @extends EventEmitter
      * @return {ReactionRoleManager}
      */
     constructor(
         client,
         {
-            storage, mongoDbLink, path, disabledProperty, hooks, keepReactions,
+            storage, mongoDbLink, path, disabledProperty, hooks, keepReactions, storageAdapter, sqlitePath, mongo, history, reconcile, cooldown, captcha,
+            notifications,
         },
     ) {
         super();
@@ -191,7 +522,26 @@ class ReactionRoleManager extends EventEmitter {
          */
         this.storageJsonPath = path || null;
         /**
-         * Disable RR instead delete?
+         * SQLite database path
+         * @type {string?}
+         * @readonly
+         */
+        this.sqlitePath = sqlitePath || null;
+        /**
+         * Storage adapter where reaction roles are saved. It's null if storage is disabled.
+         * @type {StorageAdapter?}
+         * @readonly
+         */
+        this.storageAdapter = null;
+        if (this.storage) {
+            if (storageAdapter) this.storageAdapter = storageAdapter;
+            else if (this.mongoDbLink || (mongo && mongo.connection)) this.storageAdapter = new MongoStorageAdapter({ ...mongo, link: this.mongoDbLink });
+            else if (this.sqlitePath) this.storageAdapter = new SqliteStorageAdapter({ path: this.sqlitePath });
+            else if (this.storageJsonPath) this.storageAdapter = new JsonStorageAdapter({ path: this.storageJsonPath });
+            else this.storageAdapter = new MemoryStorageAdapter();
+        }
+        /**
+         * Keep deleted RR in storage (marked as deleted) instead delete them?
          * @default true
          * @type {boolean}
          */
@@ -210,6 +560,56 @@ class ReactionRoleManager extends EventEmitter {
          * @type {boolean}
          */
         this.keepReactions = typeof keepReactions === 'boolean' ? keepReactions : false;
+        /**
+         * Record history of roles given/taken in storage?
+         * @type {boolean}
+         * @readonly
+         */
+        this.history = Boolean(history) && Boolean(this.storageAdapter);
+        /**
+         * Time in ms between scheduled reconciles, 0 if disabled.
+         * @type {number}
+         * @readonly
+         */
+        this.reconcileInterval = reconcile && reconcile.interval > 0 ? reconcile.interval : 0;
+        /**
+         * How many reaction roles are reconciled at same time.
+         * @type {number}
+         * @readonly
+         */
+        this.reconcileConcurrency = reconcile && reconcile.concurrency > 0 ? Math.floor(reconcile.concurrency) : 1;
+        /**
+         * Cooldowns to stop members spamming reactions.
+         * @type {{ member: number, reactionRole: number, removeReaction: boolean }}
+         * @readonly
+         */
+        this.cooldown = {
+            member: cooldown && cooldown.member > 0 ? cooldown.member : 0,
+            reactionRole: cooldown && cooldown.reactionRole > 0 ? cooldown.reactionRole : 0,
+            removeReaction: !cooldown || cooldown.removeReaction !== false,
+        };
+        /**
+         * Captcha options, used by reaction roles with captcha.
+         * @type {{ time: number, retries: number, generator: Function, fallbackToChannel: boolean }}
+         * @readonly
+         */
+        this.captcha = {
+            time: captcha && captcha.time > 0 ? captcha.time : 60000,
+            retries: captcha && captcha.retries >= 0 ? Math.floor(captcha.retries) : 2,
+            generator: captcha && captcha.generator ? captcha.generator : textCaptchaGenerator,
+            fallbackToChannel: !captcha || captcha.fallbackToChannel !== false,
+        };
+        /**
+         * Notification options, reaction role `notifications` overrides them.
+         * @type {{ mode: NotificationMode, templates: Object<string, string|Function|null>, deleteAfter: number, fallbackToChannel: boolean }}
+         * @readonly
+         */
+        this.notifications = {
+            mode: notifications && notifications.mode ? notifications.mode : NotificationMode.NONE,
+            templates: { ...DEFAULT_NOTIFICATION_TEMPLATES, ...(notifications && notifications.templates) },
+            deleteAfter: notifications && notifications.deleteAfter >= 0 ? notifications.deleteAfter : 10000,
+            fallbackToChannel: !notifications || notifications.fallbackToChannel !== false,
+        };
 
         /**
          * Set with already warned unmanaged permission roles.
@@ -217,16 +617,91 @@ class ReactionRoleManager extends EventEmitter {
          * @type {Set<string>}
          */
         this.__withoutPermissionsWarned = new Set();
+        /**
+         * Scheduled reconcile interval.
+         * @private
+         * @type {NodeJS.Timeout?}
+         */
+        this.__reconcileTimer = null;
+        /**
+         * Last reaction accepted, by member (guildId-memberId) and by member in reaction role (reactionRoleId-memberId).
+         * @private
+         * @type {Map<string, number>}
+         */
+        this.__lastReactions = new Map();
+        /**
+         * Custom requirements predicates, by name.
+         * @private
+         * @type {Map<string, Function>}
+         */
+        this.__requirementProviders = new Map();
+        /**
+         * Captchas waiting answer (reactionRoleId-memberId).
+         * @private
+         * @type {Set<string>}
+         */
+        this.__pendingCaptchas = new Set();
+        /**
+         * Captchas solved, while roles are given (reactionRoleId-memberId).
+         * @private
+         * @type {Set<string>}
+         */
+        this.__solvedCaptchas = new Set();
+        /**
+         * Interactions being handled, with notices to reply instead of notify (reactionRoleId-memberId).
+         * @private
+         * @type {Map<string, Array<string|Promise<string|object|null>>>}
+         */
+        this.__pendingInteractions = new Map();
 
+        if (typeof this.captcha.generator !== 'function') throw new Error('Captcha generator must be a function.');
+        if (!Object.values(NotificationMode).includes(this.notifications.mode)) {
+            throw new Error(`'${this.notifications.mode}' is not a valid notification mode.`);
+        }
+        Object.entries(this.notifications.templates).forEach(([type, template]) => {
+            if (template !== null && !['string', 'function'].includes(typeof template)) {
+                throw new Error(`Notification template '${type}' must be a string, a function or null.`);
+            }
+        });
         if (this.hooks.preRoleAddHook && typeof this.hooks.preRoleAddHook !== 'function') throw new Error('Hook \'preRoleAdd\' must be a function.');
         else if (this.hooks.preRoleRemoveHook && typeof this.hooks.preRoleRemoveHook !== 'function') {
             throw new Error('Hook \'preRoleRemoveHook\' must be a function.');
         }
+        ['postRoleAdd', 'postRoleRemove', 'onRequirementFailed', 'onPermissionFailed', 'onMaxReached'].forEach((name) => {
+            if (this.hooks[name] && typeof this.hooks[name] !== 'function') throw new Error(`Hook '${name}' must be a function.`);
+        });
+
+        if (this.storageAdapter && !StorageAdapter.isAdapter(this.storageAdapter)) {
+            throw new Error('Storage adapter must implement load, upsert and delete methods.');
+        }
+        const { appendHistory, fetchHistory } = this.storageAdapter || {};
+        if (this.history && (!appendHistory || appendHistory === StorageAdapter.prototype.appendHistory
+            || !fetchHistory || fetchHistory === StorageAdapter.prototype.fetchHistory)) {
+            throw new Error('Storage adapter must implement appendHistory and fetchHistory methods to record history.');
+        }
 
-        this.client.on('ready', () => this.__resfreshOnBoot());
-        this.client.on('messageReactionAdd', (msgReaction, user) => this.__onReactionAdd(msgReaction, user));
-        this.client.on('messageReactionRemove', (msgReaction, user) => this.__onReactionRemove(msgReaction, user));
-        this.client.on('messageReactionRemoveAll', (message) => this.__onRemoveAllReaction(message));
+        if (this.storageAdapter && typeof this.storageAdapter.on === 'function') {
+            this.storageAdapter.on('disconnected', () => {
+                this.emit(ReactionRoleEvent.STORAGE_DISCONNECTED);
+                this.__debug('STORE', 'Storage was disconnected, writes will be queued.');
+            });
+            this.storageAdapter.on('reconnected', (written) => {
+                this.emit(ReactionRoleEvent.STORAGE_RECONNECTED, written);
+                this.__debug('STORE', `Storage was reconnected, ${written} queued writes were written.`);
+            });
+            this.storageAdapter.on('error', (error) => this.__storageError('Storage failed to write changes, they will be written later.', error));
+        }
+
+        this.client.on('ready', () => this.__resfreshOnBoot().catch((error) => this.__debug('BOOT', 'Reaction roles failed to start.', error)));
+        this.client.on('messageReactionAdd', (msgReaction, user) => this.__onReactionAdd(msgReaction, user)
+            .catch((error) => this.__debug('REACTION', `Failed to handle reaction of user '${user.id}'.`, error)));
+        this.client.on('messageReactionRemove', (msgReaction, user) => this.__onReactionRemove(msgReaction, user)
+            .catch((error) => this.__debug('REACTION', `Failed to handle reaction removed by user '${user.id}'.`, error)));
+        this.client.on('messageReactionRemoveAll', (message) => this.__onRemoveAllReaction(message)
+            .catch((error) => this.__debug('REACTION', `Failed to handle all reactions removed from message '${message.id}'.`, error)));
+        this.client.on('guildMemberRemove', (member) => this.__onMemberRemove(member)
+            .catch((error) => this.__debug('MEMBER', `Failed to remove member '${member.id}' from reaction roles.`, error)));
+        this.client.on('interactionCreate', (interaction) => this.__onInteraction(interaction));
 
         this.client.on('roleDelete', async (role) => {
             const reactionRole = this.reactionRoles.find((rr) => rr.roles.includes(role.id));
@@ -257,7 +732,7 @@ class ReactionRoleManager extends EventEmitter {
         this.client.on('messageDelete', (msg) => messageDeleteHandler(msg));
 
         this.client.on('messageDeleteBulk', (messages) => {
-            const array = messages.array();
+            const array = [...messages.values()];
             for (let i = 0; i < array.length; i += 1) {
                 messageDeleteHandler(array[i]);
             }
@@ -294,68 +769,25 @@ class ReactionRoleManager extends EventEmitter {
     }
 
     /**
-     * Check and setup mongoose, if it is enabled.
+     * Setup storage adapter, if storage is enabled.
      * @private
      * @return {Promise<void>}
      */
-    async __checkMongoose() {
-        return new Promise(async (resolve, reject) => {
-            if (!this.mongoDbLink) return resolve('Mongoose is disabled.');
-
-            try {
-                this.mongoose = require('mongoose');
-                await this.mongoose.connect(this.mongoDbLink, {
-                    useNewUrlParser: true,
-                    useUnifiedTopology: true,
-                    useFindAndModify: false,
-                });
+    async __initStorage() {
+        if (!this.storageAdapter || typeof this.storageAdapter.init !== 'function') return;
+        await this.storageAdapter.init();
+    }
 
-                this.mongoose.model(
-                    'ReactionRoles',
-                    new this.mongoose.Schema({
-                        id: String,
-                        message: String,
-                        channel: String,
-                        guild: String,
-                        role: String,
-                        emoji: String,
-                        winners: Array,
-                        max: {
-                            type: Number,
-                            default: 0,
-                        },
-                        toggle: {
-                            type: Boolean,
-                        },
-                        requirements: {
-                            boost: {
-                                type: Boolean,
-                                default: false,
-                            },
-                            verifiedDeveloper: {
-                                type: Boolean,
-                                default: false,
-                            },
-                        },
-                        disabled: {
-                            type: Boolean,
-                            default: false,
-                        },
-                        type: {
-                            type: Number,
-                            default: 0,
-                        },
-                        roles: {
-                            type: Array,
-                            default: [],
-                        },
-                    }),
-                );
-                return resolve(true);
-            } catch (e) {
-                return reject(e);
-            }
-        });
+    /**
+     * Emit a storage error event and debug it.
+     * @private
+     * @param {string} message - What failed.
+     * @param {Error} error - Storage error.
+     * @return {void}
+     */
+    __storageError(message, error) {
+        this.emit(ReactionRoleEvent.STORAGE_ERROR, error);
+        this.__debug('STORE', message, error);
     }
 
     /**
@@ -364,105 +796,246 @@ class ReactionRoleManager extends EventEmitter {
      * @return {Promise<void>}
      */
     async __resfreshOnBoot() {
+        if (this.reconcileInterval > 0 && !this.__reconcileTimer) {
+            this.__reconcileTimer = setInterval(() => this.reconcile(), this.reconcileInterval);
+            if (typeof this.__reconcileTimer.unref === 'function') this.__reconcileTimer.unref();
+        }
         if (!this.storage) return;
 
-        await this.__checkMongoose();
-        await this.__parseStorage();
+        try {
+            await this.__initStorage();
+            await this.__parseStorage();
+        } catch (error) {
+            this.__storageError('Storage failed to load reaction roles.', error);
+            return;
+        }
+        const scheduled = [...this.reactionRoles.filter((reactionRole) => reactionRole.isScheduled).values()];
+        for (let i = 0; i < scheduled.length; i += 1) await this.__armSchedule(scheduled[i]);
         await sleep(1500);
 
-        const reactionRoleArray = this.reactionRoles.array();
+        const reactionRoleArray = [...this.reactionRoles.values()];
         for (let i = 0; i < reactionRoleArray.length; i += 1) {
-            const reactionRole = reactionRoleArray[i];
-            const guild = this.client.guilds.cache.get(reactionRole.guild);
-            if (!guild) {
+            if (await this.__reconcileReactionRole(reactionRoleArray[i], ActionTrigger.BOOT)) this.__readyTimeout();
+        }
+    }
+
+    /**
+     * Check reaction roles against message reactions, winners list and member roles, fixing all drifts found.
+     * Members who reacted win the roles, winners who aren't reacting anymore lose the roles.
+     * It's done when the bot turns on and each `reconcile.interval` ms, but you can do it when you want.
+     * @param {object} [options] -
+     * @param {GuildResolvable} [options.guild] - Reconcile only reaction roles of this guild.
+     * @param {Message|string} [options.message] - Reconcile only reaction roles of this message.
+     * @return {Promise<IReconcileSummary>}
+     * @example
+     * // After the bot was offline for a while, or someone edited roles manually.
+     * const summary = await reactionRoleManager.reconcile({ guild: message.guild });
+     * console.log(`${summary.rolesGiven} roles given and ${summary.rolesTaken} roles taken.`);
+     */
+    async reconcile({ guild, message } = {}) {
+        const resolvedGuild = guild ? this.client.guilds.resolve(guild) : null;
+        if (guild && !resolvedGuild) throw new Error('Bad input: I cannot resolve this guild.');
+
+        const guildId = resolvedGuild ? resolvedGuild.id : null;
+        const messageId = message ? message.id || message : null;
+        const reactionRoles = [...this.reactionRoles
+            .filter((rr) => !rr.disabled && (!guildId || rr.guild === guildId) && (!messageId || rr.message === messageId))
+            .values()];
+
+        const startedAt = Date.now();
+        const summary = {
+            guild: guildId,
+            message: messageId,
+            reactionRoles: reactionRoles.length,
+            rolesGiven: 0,
+            rolesTaken: 0,
+            winnersAdded: 0,
+            winnersRemoved: 0,
+            reactionsRemoved: 0,
+            expired: 0,
+            deleted: [],
+            failed: [],
+            duration: 0,
+        };
+
+        const queue = [...reactionRoles];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const reactionRole = queue.shift();
+                try {
+                    await locker.acquire(`reconcile-${reactionRole.id}`, async () => {
+                        if (!await this.__reconcileReactionRole(reactionRole, ActionTrigger.RECONCILE, summary)) summary.deleted.push(reactionRole.id);
+                    });
+                } catch (error) {
+                    summary.failed.push(reactionRole.id);
+                    this.__debug('RECONCILE', `Reaction role '${reactionRole.id}' failed to reconcile.`, error);
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.reconcileConcurrency, queue.length) }, worker));
+
+        summary.duration = Date.now() - startedAt;
+        this.emit(ReactionRoleEvent.RECONCILED, summary);
+        this.__debug(
+            'RECONCILE',
+            `Reconciled ${summary.reactionRoles} reaction roles in ${summary.duration}ms: ${summary.rolesGiven} roles given, ${summary.rolesTaken} taken.`,
+        );
+        return summary;
+    }
+
+    /**
+     * Give roles to members who reacted and take roles from winners who aren't reacting anymore.
+     * @private
+     * @param {ReactionRole} reactionRole - Reaction role to reconcile.
+     * @param {ActionTrigger} trigger - What triggered this reconcile.
+     * @param {IReconcileSummary} [summary] - Summary where fixes are counted.
+     * @return {Promise<boolean>} False if reaction role was deleted, because its guild, channel or message wasn't found.
+     */
+    async __reconcileReactionRole(reactionRole, trigger, summary = null) {
+        const type = trigger === ActionTrigger.BOOT ? 'BOOT' : 'RECONCILE';
+        const guild = this.client.guilds.cache.get(reactionRole.guild);
+        if (!guild) {
+            this.__debug(
+                type,
+                `Role '${reactionRole.id}' failed at ${type === 'BOOT' ? 'start' : 'reconcile'}, guild wasn't found.`,
+            );
+            this.__handleDeleted(reactionRole, guild);
+            return false;
+        }
+
+        const channel = guild.channels.cache.get(reactionRole.channel);
+        if (!channel) {
+            this.__debug(
+                type,
+                `Role '${reactionRole.id}' failed at ${type === 'BOOT' ? 'start' : 'reconcile'}, channel wasn't found.`,
+            );
+            this.__handleDeleted(reactionRole, guild);
+            return false;
+        }
+
+        const expired = Object.keys(reactionRole.expirations);
+        for (let j = 0; j < expired.length; j += 1) {
+            if (reactionRole.expirations[expired[j]] > Date.now()) this.__armExpiration(reactionRole, expired[j]);
+            else {
+                await this.__expireReactionRole(reactionRole, expired[j]);
+                if (summary) summary.expired += 1;
+            }
+        }
+
+        // Reactions of scheduled reaction roles aren't handled while they aren't open.
+        if (reactionRole.isScheduled) {
+            await this.__armSchedule(reactionRole);
+            if (!reactionRole.isOpen) return true;
+        }
+
+        // Disabled reaction roles keep their winners and reactions until they are enabled again.
+        if (reactionRole.disabled) return true;
+
+        const count = (member, callback) => {
+            if (!summary) return callback();
+            const hadRoles = reactionRole.roles.filter((role) => member.roles.cache.has(role)).length;
+            const wasWinner = reactionRole.winners.includes(member.id);
+            return callback().then(() => {
+                const hasRoles = reactionRole.roles.filter((role) => member.roles.cache.has(role)).length;
+                const isWinner = reactionRole.winners.includes(member.id);
+                if (hasRoles > hadRoles) summary.rolesGiven += hasRoles - hadRoles;
+                else summary.rolesTaken += hadRoles - hasRoles;
+                if (isWinner && !wasWinner) summary.winnersAdded += 1;
+                else if (!isWinner && wasWinner) summary.winnersRemoved += 1;
+            });
+        };
+
+        try {
+            const message = await channel.messages.fetch(reactionRole.message);
+            if (!message || !(message instanceof Message)) {
                 this.__debug(
-                    'BOOT',
-                    `Role '${reactionRole.id}' failed at start, guild wasn't found.`,
+                    type,
+                    `Role '${reactionRole.id}' failed at ${type === 'BOOT' ? 'start' : 'reconcile'}, message wasn't found.`,
                 );
                 this.__handleDeleted(reactionRole, guild);
-                continue;
+                return false;
             }
+            if (message.partial) await message.fetch();
 
-            const channel = guild.channels.cache.get(reactionRole.channel);
-            if (!channel) {
-                this.__debug(
-                    'BOOT',
-                    `Role '${reactionRole.id}' failed at start, channel wasn't found.`,
+            let reaction;
+            if (reactionRole.isComponent) reaction = await this.__fetchReaction(reactionRole);
+            else {
+                if (!message.reactions.cache.has(reactionRole.emoji)) await message.react(reactionRole.emoji);
+                reaction = message.reactions.cache.find(
+                    (x) => reactionRole.id === `${message.id}-${this.__resolveReactionEmoji(x.emoji)}`,
                 );
-                this.__handleDeleted(reactionRole, guild);
-                continue;
             }
 
-            try {
-                const message = await channel.messages.fetch(reactionRole.message);
-                if (!message || !(message instanceof Message)) {
+            if (reaction.partial) await reaction.fetch();
+
+            const users = await reaction.users.fetch();
+            const usersArray = [...users.values()];
+            for (let j = 0; j < usersArray.length; j += 1) {
+                const user = usersArray[j];
+                if (user.partial) await user.fetch();
+                if (user.bot) continue;// Ignore bots, please!
+
+                const member = guild.members.cache.get(user.id);
+                if (!member) {
+                    await reaction.users.remove(user.id);
+                    if (summary) summary.reactionsRemoved += 1;
                     this.__debug(
-                        'BOOT',
-                        `Role '${reactionRole.id}' failed at start, message wasn't found.`,
+                        type,
+                        `Member '${user.id}' wasn't found, reaction of his was removed from message.`,
                     );
-                    this.__handleDeleted(reactionRole, guild);
                     continue;
                 }
-                if (message.partial) await message.fetch();
-                if (!message.reactions.cache.has(reactionRole.emoji)) await message.react(reactionRole.emoji);
-
-                const reaction = message.reactions.cache.find(
-                    (x) => reactionRole.id === `${message.id}-${this.__resolveReactionEmoji(x.emoji)}`,
-                );
 
-                if (reaction.partial) await reaction.fetch();
+                await count(member, () => this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, reaction, trigger));
+            }
 
-                const users = await reaction.users.fetch();
-                const usersArray = users.array();
-                for (let j = 0; j < usersArray.length; j += 1) {
-                    const user = usersArray[j];
-                    if (user.partial) await user.fetch();
-                    if (user.bot) continue;// Ignore bots, please!
+            const winners = [...reactionRole.winners];
+            for (let j = 0; j < winners.length; j += 1) {
+                const winnerId = winners[j];
+                const member = guild.members.cache.get(winnerId);
+                if (!member) {
+                    this.__removeWinner(reactionRole, winnerId);
+                    if (summary) summary.winnersRemoved += 1;
+                    await this.store(reactionRole);
+                    this.__debug(
+                        type,
+                        `Member '${winnerId}' wasn't found, his was removed from winner list.`,
+                    );
+                    this.__promoteWaitlist(reactionRole);
+                    continue;
+                }
 
-                    const member = guild.members.cache.get(user.id);
-                    if (!member) {
-                        await reaction.users.remove(user.id);
-                        this.__debug(
-                            'BOOT',
-                            `Member '${user.id}' wasn't found, reaction of his was removed from message.`,
-                        );
-                        continue;
-                    }
+                if (member.partial) await member.fetch();
+                if (member.user.partial) await member.fetch();
+                if (member.user.bot) continue;
 
-                    await this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, reaction);
+                if (!users.has(winnerId)) {
+                    await count(member, () => this.__handleReactionRoleAction(ActionType.TAKE, member, reactionRole, reaction, trigger));
                 }
+            }
 
-                for (let j = 0; j < reactionRole.winners.length; j += 1) {
-                    const winnerId = reactionRole.winners[j];
-                    const member = guild.members.cache.get(winnerId);
-                    if (!member) {
-                        reactionRole.winners.splice(j, 1);
-                        this.__debug(
-                            'BOOT',
-                            `Member '${winnerId}' wasn't found, his was removed from winner list.`,
-                        );
-                        continue;
-                    }
-
-                    if (member.partial) await member.fetch();
-                    if (member.user.partial) await member.fetch();
-                    if (member.user.bot) continue;
-
-                    if (!users.has(winnerId)) await this.__handleReactionRoleAction(ActionType.TAKE, member, reactionRole, reaction);
-                }
-            } catch (error) {
-                if (error && error.code === 10008) {
-                    this.__debug(
-                        'BOOT',
-                        `Role '${reactionRole.id}' failed at start, message wasn't found.`,
-                    );
-                    this.__handleDeleted(reactionRole, guild);
-                    continue;
-                }
-                throw error;
+            const waitlisted = reactionRole.waitlisted.filter((memberId) => !users.has(memberId) || !guild.members.cache.has(memberId));
+            if (waitlisted.length > 0) {
+                waitlisted.forEach((memberId) => removeFromWaitlist(reactionRole, memberId));
+                await this.store(reactionRole);
+                this.__debug(
+                    type,
+                    `${waitlisted.length} members were removed from waitlist of '${reactionRole.id}', they took off the reaction or left.`,
+                );
+            }
+            this.__promoteWaitlist(reactionRole);
+        } catch (error) {
+            if (error && error.code === 10008) {
+                this.__debug(
+                    type,
+                    `Role '${reactionRole.id}' failed at ${type === 'BOOT' ? 'start' : 'reconcile'}, message wasn't found.`,
+                );
+                this.__handleDeleted(reactionRole, guild);
+                return false;
             }
-            this.__readyTimeout();
+            throw error;
         }
+        return true;
     }
 
     /**
@@ -482,15 +1055,16 @@ class ReactionRoleManager extends EventEmitter {
      * @param {ReactionRole} reactionRole - Reaction role to check requirements.
      * @param {MessageReaction} reaction - Message reaction to remove reaction if it dosn't have requirements.
      * @param {GuildMember} member - Member to check requirements.
+     * @param {ActionTrigger} [trigger=ActionTrigger.REACTION] - What triggered this check, given to hooks.
      * @return {Promise<boolean>}
      */
-    async __checkRequirements(reactionRole, reaction, member) {
+    async __checkRequirements(reactionRole, reaction, member, trigger = ActionTrigger.REACTION) {
         return new Promise(async (resolve) => {
             if (reactionRole.requirements.permissionsNeed.length > 0) {
                 const missingPermissions = member.permissions.missing(reactionRole.requirements.permissionsNeed);
                 if (missingPermissions.length > 0) {
-                    this.emit(
-                        ReactionRoleEvent.MISSING_REQUIREMENTS,
+                    await this.__onMissingRequirements(
+                        trigger,
                         RequirementType.PERMISSION,
                         member,
                         reactionRole,
@@ -516,8 +1090,8 @@ class ReactionRoleManager extends EventEmitter {
                 };
 
                 if (withoutAllowedRoles.length > 0 || withDeniedRoles.length > 0) {
-                    this.emit(
-                        ReactionRoleEvent.MISSING_REQUIREMENTS,
+                    await this.__onMissingRequirements(
+                        trigger,
                         RequirementType.ROLES,
                         member,
                         reactionRole,
@@ -541,8 +1115,8 @@ class ReactionRoleManager extends EventEmitter {
                 /* eslint-disable no-shadow */
                 if ((allowedUsers.length > 0 && !allowedUsers.find((member) => member.id))
                     || (deniedUsers.length > 0 && deniedUsers.find((member) => member.id))) {
-                    this.emit(
-                        ReactionRoleEvent.MISSING_REQUIREMENTS,
+                    await this.__onMissingRequirements(
+                        trigger,
                         RequirementType.USERS,
                         member,
                         reactionRole,
@@ -558,9 +1132,49 @@ class ReactionRoleManager extends EventEmitter {
                 /* eslint-enable no-shadow */
             }
 
+            if (reactionRole.requirements.accountAge > 0) {
+                const remaining = member.user.createdTimestamp + reactionRole.requirements.accountAge - Date.now();
+                if (remaining > 0) {
+                    await this.__onMissingRequirements(
+                        trigger,
+                        RequirementType.ACCOUNT_AGE,
+                        member,
+                        reactionRole,
+                        remaining,
+                    );
+                    await reaction.users.remove(member.user);
+                    this.__debug(
+                        'BOOT',
+                        `Member '${member.id}' account is too new, will win this role in ${remaining}ms.`,
+                    );
+                    return resolve(false);
+                }
+            }
+
+            if (reactionRole.requirements.memberAge > 0) {
+                // Partial members may not have join date, so they are fetched. If it's still unknown, they are handled like they just joined.
+                const joinedTimestamp = await fetchJoinedTimestamp(member);
+                const remaining = (joinedTimestamp === null ? Date.now() : joinedTimestamp) + reactionRole.requirements.memberAge - Date.now();
+                if (remaining > 0) {
+                    await this.__onMissingRequirements(
+                        trigger,
+                        RequirementType.MEMBER_AGE,
+                        member,
+                        reactionRole,
+                        remaining,
+                    );
+                    await reaction.users.remove(member.user);
+                    this.__debug(
+                        'BOOT',
+                        `Member '${member.id}' joined the server recently, will win this role in ${remaining}ms.`,
+                    );
+                    return resolve(false);
+                }
+            }
+
             if (!reactionRole.checkBoostRequirement(member)) {
-                this.emit(
-                    ReactionRoleEvent.MISSING_REQUIREMENTS,
+                await this.__onMissingRequirements(
+                    trigger,
                     RequirementType.BOOST,
                     member,
                     reactionRole,
@@ -576,8 +1190,8 @@ class ReactionRoleManager extends EventEmitter {
             if (
                 !(await reactionRole.checkDeveloperRequirement(member))
             ) {
-                this.emit(
-                    ReactionRoleEvent.MISSING_REQUIREMENTS,
+                await this.__onMissingRequirements(
+                    trigger,
                     RequirementType.VERIFIED_DEVELOPER,
                     member,
                     reactionRole,
@@ -589,10 +1203,188 @@ class ReactionRoleManager extends EventEmitter {
                 );
                 return resolve(false);
             }
+
+            for (let i = 0; i < reactionRole.requirements.custom.length; i += 1) {
+                const { passed, missing } = await checkCustomRequirement(
+                    reactionRole.requirements.custom[i],
+                    member,
+                    reactionRole,
+                    this.__requirementProviders,
+                );
+                if (!passed) {
+                    await this.__onMissingRequirements(
+                        trigger,
+                        RequirementType.CUSTOM,
+                        member,
+                        reactionRole,
+                        missing,
+                    );
+                    await reaction.users.remove(member.user);
+                    this.__debug(
+                        'BOOT',
+                        `Member '${member.id}' not have custom requirement '${missing.name}', will not win this role.`,
+                        missing.reason instanceof Error ? missing.reason : '',
+                    );
+                    return resolve(false);
+                }
+            }
+
+            if (reactionRole.requirements.expression) {
+                const failure = await evaluateRequirementExpression(
+                    reactionRole.requirements.expression,
+                    member,
+                    { reactionRole, providers: this.__requirementProviders },
+                );
+                if (failure) {
+                    await this.__onMissingRequirements(
+                        trigger,
+                        RequirementType.EXPRESSION,
+                        member,
+                        reactionRole,
+                        failure,
+                    );
+                    await reaction.users.remove(member.user);
+                    this.__debug(
+                        'BOOT',
+                        `Member '${member.id}' failed requirement expression at '${failure.path}', will not win this role.`,
+                    );
+                    return resolve(false);
+                }
+            }
             return resolve(true);
         });
     }
 
+    /**
+     * Emit missing requirements and run `onRequirementFailed` hook.
+     * @private
+     * @param {ActionTrigger} trigger - What triggered requirements check.
+     * @param {RequirementType} type - Missing requirement.
+     * @param {GuildMember} member - Member without requirement.
+     * @param {ReactionRole} reactionRole - Reaction role with requirement.
+     * @param {any} [missing] - What member is missing.
+     * @return {Promise<void>}
+     */
+    async __onMissingRequirements(trigger, type, member, reactionRole, missing) {
+        this.emit(ReactionRoleEvent.MISSING_REQUIREMENTS, type, member, reactionRole, missing);
+        const roles = reactionRole.roles.map((role) => member.guild.roles.resolve(role)).filter((role) => role);
+        this.__notify(NotificationType.MISSING_REQUIREMENTS, member, reactionRole, trigger, { roles, requirement: type, missing });
+        await this.__runHook('onRequirementFailed', member, roles, reactionRole, trigger, null, { type, missing });
+    }
+
+    /**
+     * Notify member why its reaction didn't work, by DM or channel message. Only reactions are notified, not boot or reconcile checks.
+     * Button and select menu notifications are added to interaction reply instead. Errors are not thrown, only debugged.
+     * @private
+     * @param {NotificationType} type - Why member is notified.
+     * @param {GuildMember} member - Member to notify.
+     * @param {ReactionRole} reactionRole - Reaction role what member reacted.
+     * @param {ActionTrigger} trigger - What triggered this action.
+     * @param {object} [details={}] -
+     * @param {Role[]} [details.roles] - Roles of notification, reaction role roles by default.
+     * @param {RequirementType} [details.requirement=null] - Missing requirement type.
+     * @param {any} [details.missing=null] - What member is missing.
+     * @return {Promise<void>}
+     */
+    async __notify(type, member, reactionRole, trigger, { roles, requirement = null, missing = null } = {}) {
+        if (![ActionTrigger.REACTION, ActionTrigger.WAITLIST, ActionTrigger.INTERACTION].includes(trigger)) return;
+
+        // Reaction role notification options override manager ones.
+        const options = reactionRole.notifications || {};
+        const option = (name) => (options[name] === undefined ? this.notifications[name] : options[name]);
+        const mode = option('mode');
+        const notices = this.__pendingInteractions.get(`${reactionRole.id}-${member.id}`);
+        if (mode === NotificationMode.NONE && !notices) return;
+        const template = this.__notificationTemplate(type, reactionRole);
+
+        const context = {
+            type,
+            member,
+            reactionRole,
+            roles: roles || reactionRole.roles.map((role) => member.guild.roles.resolve(role)).filter((role) => role),
+            requirement,
+            missing,
+        };
+        if (notices) {
+            notices.push(renderNotification(template, context).catch(() => null));
+            return;
+        }
+
+        try {
+            const content = await renderNotification(template, context);
+            if (!content) return;
+
+            if (mode === NotificationMode.DM) {
+                const sent = await member.send(content).catch(() => null);
+                if (sent || !option('fallbackToChannel')) return;
+            }
+
+            const channel = member.guild.channels.cache.get(reactionRole.channel);
+            if (!channel) return;
+            const message = await channel.send(content);
+            const deleteAfter = option('deleteAfter');
+            if (deleteAfter > 0) {
+                const timeout = setTimeout(() => message.delete().catch(() => null), deleteAfter);
+                // Notifications left in channel must not keep the process alive.
+                if (typeof timeout.unref === 'function') timeout.unref();
+            }
+        } catch (error) {
+            this.__debug('NOTIFY', `Failed to notify member '${member.id}' of '${type}' in reaction role '${reactionRole.id}'.`, error);
+        }
+    }
+
+    /**
+     * Get notification template of a reaction role, or manager one if reaction role hasn't it.
+     * @private
+     * @param {NotificationType} type - Notification type.
+     * @param {ReactionRole?} reactionRole - Reaction role, null to get manager template.
+     * @return {string|Function|null}
+     */
+    __notificationTemplate(type, reactionRole) {
+        const templates = reactionRole && reactionRole.notifications ? reactionRole.notifications.templates : null;
+        return templates && templates[type] !== undefined ? templates[type] : this.notifications.templates[type];
+    }
+
+    /**
+     * Render a line of button and select menu reply with notification templates. Errors are not thrown, the line is skipped.
+     * @private
+     * @param {NotificationType} type - Reply type.
+     * @param {GuildMember} member - Member who pressed the component.
+     * @param {ReactionRole?} reactionRole - Reaction role of this line, null for lines about whole interaction (manager templates are used).
+     * @param {object} [details={}] -
+     * @param {Role[]} [details.roles] - Roles of this line, reaction role roles by default.
+     * @param {number} [details.position=null] - Waitlist position of member.
+     * @return {Promise<string|object|null>}
+     */
+    __renderReply(type, member, reactionRole, { roles, position = null } = {}) {
+        const context = {
+            type,
+            member,
+            reactionRole,
+            roles: roles || (reactionRole ? reactionRole.roles.map((role) => member.guild.roles.resolve(role)).filter((role) => role) : []),
+            requirement: null,
+            missing: null,
+            position,
+        };
+        return renderNotification(this.__notificationTemplate(type, reactionRole), context).catch(() => null);
+    }
+
+    /**
+     * Run a hook, if it's defined. Hook errors are not thrown, only debugged.
+     * @private
+     * @param {string} name - Hook name.
+     * @param {...any} args - Hook arguments.
+     * @return {Promise<void>}
+     */
+    async __runHook(name, ...args) {
+        if (!this.hooks[name]) return;
+        try {
+            await this.hooks[name](...args);
+        } catch (error) {
+            this.__debug('HOOK', `Hook '${name}' failed.`, error);
+        }
+    }
+
     /**
      * Create new reaction role.
      * @param {Object} options - Object with options to create new reaction role.
@@ -604,6 +1396,32 @@ class ReactionRoleManager extends EventEmitter {
      * @param {IRequirementType} [options.requirements] - Requirements to win this role.
      * @param {boolean} [options.requirements.boost=false] - Need be a booster to win this role?
      * @param {boolean} [options.requirements.verifiedDeveloper=false] - Need be a verified developer to win this role?
+     * @param {number} [options.requirements.accountAge=0] - Min age in ms of member discord account to win this role.
+     * @param {number} [options.requirements.memberAge=0] - Min time in ms member must be in the server to win this role.
+     * @param {Array<ICustomRequirement|string>} [options.requirements.custom] - Custom requirements registered with `registerRequirement`.
+     * @param {IRequirementExpression} [options.requirements.expression] - Nested requirements with `and`, `or` and `not`.
+     * @param {number} [options.duration=0] - Time in ms members keep the roles, then roles and reaction are taken off. 0 is forever.
+     * @param {number} [options.cooldown] - Time in ms a member must wait to react again in this reaction role, manager `cooldown.reactionRole` by default.
+     * @param {string} [options.group] - Group name, linking reaction roles of many messages or channels.
+     * Selections are limited and toggled roles are exclusive by group instead of message.
+     * @param {number} [options.maxSelections=0] - Max reaction roles of same message (or group) a member can win, 0 is unlimited.
+     * @param {SelectionPolicy} [options.selectionPolicy=1] - What to do when member reached max selections: reject new reaction or drop oldest selection.
+     * @param {CaptchaMode} [options.captcha=0] - Members solve a captcha (in DM or temporary channel) before win the roles. Not used by reversed roles.
+     * @param {Date|number} [options.opensAt] - When this reaction role starts accepting reactions. Before it, reactions don't give roles.
+     * @param {Date|number} [options.closesAt] - When this reaction role stops accepting reactions, then it's closed.
+     * Members who won the roles keep them.
+     * @param {ClosePolicy} [options.closePolicy=1] - What to do with reactions added while reaction role isn't open: ignore or remove them.
+     * @param {boolean} [options.clearOnClose=false] - Remove this reaction from message when reaction role closes.
+     * @param {Role[]} [options.swapRoles=[]] - Roles taken from members when they win a swap reaction role, like 'Unverified'.
+     * @param {SwapRemovePolicy} [options.swapRemovePolicy=1] - What to do when a member takes off the reaction of a swap reaction role.
+     * @param {boolean} [options.waitlist=false] - Queue members who react while `max` winners is reached, they win the roles when a slot is free.
+     * @param {IReactionRoleNotifications} [options.notifications] - Notification mode and templates of this reaction role, manager ones by default.
+     * @param {ReactionRoleComponent} [options.component=0] - Members use a message button or select menu option instead of a reaction.
+     * Message must be sent by the bot, its components are replaced by reaction role ones.
+     * @param {string} [options.label] - Label of button or select menu option, role names by default.
+     * @param {string} [options.description] - Description of select menu option, or of panel entry.
+     * @param {number} [options.buttonStyle=2] - Button style, 1 (primary) to 4 (danger).
+     * @param {boolean} [options.panel=false] - List it in panel embed of message, true if message is already a panel (see `createPanel`).
      *
      * @return {Promise<ReactionRole>}
      * @example
@@ -625,10 +1443,27 @@ class ReactionRoleManager extends EventEmitter {
      *     emoji,
      *     type: ReactionRoleType.NORMAL // It's optional, normal by default
      * });
+     *
+     * // Members can pick up to 3 interests of this message.
+     * reactionRoleManager.createReactionRole({ message: msg, roles: [role], emoji, maxSelections: 3, selectionPolicy: SelectionPolicy.DROP_OLDEST });
+     *
+     * // Temporary role, members lose it after 24 hours.
+     * reactionRoleManager.createReactionRole({ message: msg, roles: [role], emoji, duration: 24 * 60 * 60 * 1000 });
+     *
+     * // Verification, members win 'Member' and lose 'Unverified'.
+     * reactionRoleManager.createReactionRole({ message: msg, roles: [memberRole], emoji, type: ReactionRoleType.SWAP, swapRoles: [unverifiedRole] });
+     *
+     * // 10 event slots, next members wait in a queue.
+     * reactionRoleManager.createReactionRole({ message: msg, roles: [role], emoji, max: 10, waitlist: true });
+     *
+     * // Button, members press it instead of react.
+     * reactionRoleManager.createReactionRole({ message: msg, roles: [role], emoji, component: ReactionRoleComponent.BUTTON, label: 'Events' });
      */
     createReactionRole(
         {
-            message, roles, emoji, type, max, requirements,
+            message, roles, emoji, type, max, requirements, duration, cooldown, group, maxSelections, selectionPolicy, captcha,
+            opensAt, closesAt, closePolicy, clearOnClose, swapRoles, swapRemovePolicy, waitlist, notifications,
+            component, label, description, buttonStyle, panel,
         } = {
             requirements: { boost: false, verifiedDeveloper: false },
         },
@@ -644,8 +1479,29 @@ class ReactionRoleManager extends EventEmitter {
                 if (type && !isValidReactionRoleType(type)) return reject(new Error(`Bad input: Invalid reaction role type: '${type}'.`));
                 if (!type) type = ReactionRoleType.NORMAL;
                 if (!max || max > Number.MAX_SAFE_INTEGER || max < 0) max = Number.MAX_SAFE_INTEGER;
-                roles = roles.map((role) => message.guild.roles.resolveID(role)).filter((role) => role);
+                if (!Number.isFinite(duration) || duration < 0) duration = 0;
+                if (!Number.isFinite(cooldown) || cooldown < 0) cooldown = null;
+                if (!Number.isInteger(maxSelections) || maxSelections < 0) maxSelections = 0;
+                if (selectionPolicy !== SelectionPolicy.DROP_OLDEST) selectionPolicy = SelectionPolicy.REJECT;
+                if (!Object.values(CaptchaMode).includes(captcha)) captcha = CaptchaMode.NONE;
+                [opensAt, closesAt] = [opensAt, closesAt].map((date) => {
+                    const timestamp = date instanceof Date ? date.getTime() : date;
+                    return Number.isFinite(timestamp) ? timestamp : null;
+                });
+                if (opensAt !== null && closesAt !== null && closesAt <= opensAt) {
+                    reject(new Error('Bad input: closesAt must be after opensAt.'));
+                    return;
+                }
+                if (closePolicy !== ClosePolicy.REMOVE) closePolicy = ClosePolicy.IGNORE;
+                roles = roles.map((role) => message.guild.roles.resolveId(role)).filter((role) => role);
                 if (!roles || roles.length === 0) return reject(new Error(`Bad input: I canno't resolve the roles ${roles}`));
+                swapRoles = (swapRoles || []).map((role) => message.guild.roles.resolveId(role)).filter((role) => role && !roles.includes(role));
+                if (!Object.values(SwapRemovePolicy).includes(swapRemovePolicy) || swapRemovePolicy === SwapRemovePolicy.UNKNOWN) {
+                    swapRemovePolicy = SwapRemovePolicy.KEEP;
+                }
+                if (!Object.values(ReactionRoleComponent).includes(component)) component = ReactionRoleComponent.REACTION;
+                if (![1, 2, 3, 4].includes(buttonStyle)) buttonStyle = 2;
+                panel = Boolean(panel) || this.reactionRoles.some((rr) => rr.message === message.id && rr.panel);
 
                 const emojiParsed = Util.parseEmoji(emoji);
                 emoji = this.__resolveReactionEmoji(emojiParsed);
@@ -656,7 +1512,7 @@ class ReactionRoleManager extends EventEmitter {
                     && !this.client.emojis.resolve(emojiParsed.id)
                 ) return reject(new Error(`Bad input: I canno't find emoji ${emoji}`));
 
-                await message.react(emoji);
+                if (component === ReactionRoleComponent.REACTION) await message.react(emoji);
                 const reactionRole = new ReactionRole({
                     message,
                     roles,
@@ -664,9 +1520,30 @@ class ReactionRoleManager extends EventEmitter {
                     type,
                     max,
                     requirements,
+                    duration,
+                    cooldown,
+                    group: group ? String(group) : null,
+                    maxSelections,
+                    selectionPolicy,
+                    captcha,
+                    opensAt,
+                    closesAt,
+                    closePolicy,
+                    clearOnClose,
+                    swapRoles,
+                    swapRemovePolicy,
+                    waitlist,
+                    notifications: notifications && typeof notifications === 'object' ? notifications : null,
+                    component,
+                    label: label ? String(label).slice(0, 80) : null,
+                    description: description ? String(description).slice(0, 100) : null,
+                    buttonStyle,
+                    panel,
                 });
                 this.reactionRoles.set(reactionRole.id, reactionRole);
                 await this.store(reactionRole);
+                await this.__syncMessage(reactionRole);
+                await this.__armSchedule(reactionRole);
                 this.__debug(
                     'ROLE',
                     `Roles '[${roles}]' added in reactionRoleManager!`,
@@ -677,6 +1554,53 @@ class ReactionRoleManager extends EventEmitter {
         });
     }
 
+    /**
+     * Create a panel: send an embed listing emoji → roles of each entry, then create a reaction role by entry.
+     * Panel embed is kept in sync when reaction roles of its message are created, deleted, disabled or enabled.
+     * @param {import('discord.js').TextChannel} channel - Channel to send the panel.
+     * @param {object} options -
+     * @param {string} options.title - Panel title.
+     * @param {string} [options.description] - Text above entries.
+     * @param {number} [options.color] - Embed color.
+     * @param {IPanelEntry[]} options.entries - Entries of panel, with emoji, roles and any other `createReactionRole` option.
+     * @param {ReactionRoleComponent} [options.component=0] - Use reactions, buttons or a select menu for all entries.
+     * @return {Promise<{ message: Message, reactionRoles: ReactionRole[] }>}
+     * @example
+     * const { message } = await reactionRoleManager.createPanel(channel, {
+     *     title: 'Pick your colors',
+     *     description: 'You can only have one color.',
+     *     entries: [
+     *         { emoji: '🔴', roles: [redRole], type: ReactionRoleType.TOGGLE, description: 'Red name' },
+     *         { emoji: '🔵', roles: [blueRole], type: ReactionRoleType.TOGGLE, description: 'Blue name' },
+     *         { emoji: '💎', roles: [goldRole], type: ReactionRoleType.TOGGLE, requirements: { boost: true }, description: 'Only boosters' },
+     *     ],
+     * });
+     *
+     * // More entries later, they are listed in panel too.
+     * await reactionRoleManager.createReactionRole({ message, emoji: '🟢', roles: [greenRole], type: ReactionRoleType.TOGGLE });
+     */
+    async createPanel(channel, {
+        title, description = null, color = null, entries, component,
+    } = {}) {
+        if (!channel || typeof channel.send !== 'function' || !channel.guild) throw new Error('Bad input: channel must be a guild text channel.');
+        if (typeof title !== 'string' || !title) throw new Error('Bad input: panel title must be a non empty string.');
+        if (!Array.isArray(entries) || entries.length === 0) throw new Error('Bad input: panel entries must be a non empty array.');
+
+        const message = await channel.send({ embeds: [buildPanelEmbed({ title, description, color }, [], this.client)] });
+        const reactionRoles = [];
+        for (let i = 0; i < entries.length; i += 1) {
+            reactionRoles.push(await this.createReactionRole({
+                component,
+                ...entries[i],
+                message,
+                panel: true,
+            }));
+        }
+
+        this.__debug('ROLE', `Panel '${message.id}' created with ${reactionRoles.length} reaction roles.`);
+        return { message, reactionRoles };
+    }
+
     /**
      * This funcion will delete the reaction role from storage.
      * @param {object} options -
@@ -715,22 +1639,21 @@ class ReactionRoleManager extends EventEmitter {
                 if (!this.keepReactions) await this.__handleDeleted(reactionRole, reactionRole.guild, () => { });
 
                 reactionRole.disabled = true;
-                // eslint-disable-next-line curly
-                if (this.disabledProperty && this.mongoose) {
-                    await this.mongoose
-                        .model('ReactionRoles')
-                        .updateOne({ id: reactionRole.id }, reactionRole)
-                        .exec();
-                } else {
-                    if (this.mongoose) {
-                        await this.mongoose
-                            .model('ReactionRoles')
-                            .deleteOne({ id: reactionRole.id })
-                            .exec();
-                    }
-                    this.reactionRoles.delete(reactionRole.id);
-                }
-                await this.store(reactionRole);
+                reactionRole.deleted = true;
+                this.__clearSchedule(reactionRole);
+                Object.keys(reactionRole.expirations).forEach((memberId) => {
+                    const timeout = this.timeouts.get(`expire-${reactionRole.id}-${memberId}`);
+                    if (timeout) clearTimeout(timeout);
+                    this.timeouts.delete(`expire-${reactionRole.id}-${memberId}`);
+                });
+                this.reactionRoles.delete(reactionRole.id);
+                if (this.disabledProperty) await this.store(reactionRole);
+                else if (this.storageAdapter) await this.storageAdapter.delete(reactionRole.id);
+                await this.__syncMessage(reactionRole).catch((error) => this.__debug(
+                    'ROLE',
+                    `Cannot remove reaction role '${reactionRole.id}' from message components or panel.`,
+                    error,
+                ));
 
                 if (deleted) {
                     this.__debug(
@@ -750,45 +1673,378 @@ class ReactionRoleManager extends EventEmitter {
     }
 
     /**
-     * Store updated roles funcion. Note: for json storage, doesn't need give arguments to this funcion.
-     * @param {...ReactionRole} roles - All roles to update in database.
-     * @return {Promise<void>}
+     * Disable or enable a reaction role. Disabled reaction roles don't give or take roles, their buttons and select menu options are hidden.
+     * @param {ReactionRole|string} reactionRole - Reaction role or reaction role ID.
+     * @param {boolean} [disabled=true] - Disable it? False enables it again.
+     * @return {Promise<ReactionRole>}
+     * @example
+     * await reactionRoleManager.setReactionRoleDisabled(reactionRole); // Members cannot win it for now.
+     * await reactionRoleManager.setReactionRoleDisabled(reactionRole, false);
      */
-    async store(...roles) {
-        return new Promise(async (resolve) => {
-            if (this.storage) {
-                if (this.mongoose) {
-                    for (let i = 0; i < roles.length; i += 1) {
-                        const role = roles[i];
-                        await this.mongoose
-                            .model('ReactionRoles')
-                            .findOneAndUpdate({ id: role.id }, role, {
-                                new: true,
-                                upsert: true,
-                            })
-                            .exec();
-                    }
-                    this.__debug(
-                        'STORE',
-                        `Stored ${roles.length} updated roles.`,
-                    );
+    async setReactionRoleDisabled(reactionRole, disabled = true) {
+        if (!(reactionRole instanceof ReactionRole)) reactionRole = this.reactionRoles.get(reactionRole);
+        if (!(reactionRole instanceof ReactionRole)) throw new Error('Bad input: I cannot find this reaction role.');
+        if (reactionRole.deleted) throw new Error(`Bad input: reaction role '${reactionRole.id}' was deleted.`);
+
+        reactionRole.disabled = Boolean(disabled);
+        this.reactionRoles.set(reactionRole.id, reactionRole);
+        await this.store(reactionRole);
+        if (reactionRole.disabled) this.__clearSchedule(reactionRole);
+        else await this.__armSchedule(reactionRole);
+        await this.__syncMessage(reactionRole);
+
+        this.__debug('ROLE', `Reaction role '${reactionRole.id}' was ${reactionRole.disabled ? 'disabled' : 'enabled'}.`);
+        return reactionRole;
+    }
+
+    /**
+     * Export all reaction roles of a guild to a portable document. Use `importReactionRoles` to create them in other guild or channel.
+     * @param {import('discord.js').GuildResolvable} guildResolvable - Guild to export reaction roles.
+     * @return {Promise<IReactionRoleExport>}
+     * @example
+     * const data = await reactionRoleManager.exportReactionRoles(message.guild);
+     * fs.writeFileSync('panels.json', JSON.stringify(data));
+     */
+    async exportReactionRoles(guildResolvable) {
+        const guild = this.client.guilds.resolve(guildResolvable);
+        if (!guild) throw new Error('Bad input: I cannot resolve this guild.');
+
+        const resolveRole = (roleId) => {
+            const role = guild.roles.cache.get(roleId);
+            return { id: roleId, name: role ? role.name : null };
+        };
+
+        const messages = new Map();
+        const reactionRoles = [...this.reactionRoles.filter((rr) => rr.guild === guild.id && !rr.disabled).values()];
+        for (let i = 0; i < reactionRoles.length; i += 1) {
+            const reactionRole = reactionRoles[i];
+            if (!messages.has(reactionRole.message)) {
+                const channel = guild.channels.cache.get(reactionRole.channel);
+                let message = null;
+                try {
+                    if (channel) message = await channel.messages.fetch(reactionRole.message);
+                } catch {
+                    message = null;
                 }
 
-                if (this.storageJsonPath) {
-                    fs.writeFileSync(
-                        this.storageJsonPath,
-                        JSON.stringify(
-                            this.reactionRoles.map((role) => role.toJSON()),
-                        ),
-                    );
-                    this.__debug(
-                        'STORE',
-                        `Stored roles saved, contains '${this.reactionRoles.size}' roles.`,
-                    );
+                messages.set(reactionRole.message, {
+                    id: reactionRole.message,
+                    channel: { id: reactionRole.channel, name: channel ? channel.name : null },
+                    content: message ? message.content : null,
+                    embeds: message ? message.embeds.map((embed) => embed.toJSON()) : [],
+                    reactionRoles: [],
+                });
+            }
+
+            const customEmoji = this.client.emojis.resolve(reactionRole.emoji);
+            const { requirements } = reactionRole;
+            messages.get(reactionRole.message).reactionRoles.push({
+                emoji: {
+                    id: customEmoji ? customEmoji.id : null,
+                    name: customEmoji ? customEmoji.name : decodeURIComponent(reactionRole.emoji),
+                },
+                roles: reactionRole.roles.map(resolveRole),
+                type: reactionRole.type,
+                max: reactionRole.max,
+                duration: reactionRole.duration,
+                cooldown: reactionRole.cooldown,
+                group: reactionRole.group,
+                maxSelections: reactionRole.maxSelections,
+                selectionPolicy: reactionRole.selectionPolicy,
+                captcha: reactionRole.captcha,
+                opensAt: reactionRole.opensAt,
+                closesAt: reactionRole.closesAt,
+                closePolicy: reactionRole.closePolicy,
+                clearOnClose: reactionRole.clearOnClose,
+                swapRoles: reactionRole.swapRoles.map(resolveRole),
+                swapRemovePolicy: reactionRole.swapRemovePolicy,
+                waitlist: reactionRole.waitlist,
+                notifications: reactionRole.notifications,
+                component: reactionRole.component,
+                label: reactionRole.label,
+                description: reactionRole.description,
+                buttonStyle: reactionRole.buttonStyle,
+                panel: reactionRole.panel,
+                requirements: {
+                    ...requirements,
+                    roles: {
+                        allowList: requirements.roles.allowList.map(resolveRole),
+                        denyList: requirements.roles.denyList.map(resolveRole),
+                    },
+                    expression: requirements.expression
+                        ? mapRequirementExpressionRoles(requirements.expression, (roleIds) => roleIds.map(resolveRole))
+                        : null,
+                },
+            });
+        }
+
+        return {
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            guild: { id: guild.id, name: guild.name },
+            messages: [...messages.values()],
+        };
+    }
+
+    /**
+     * Import reaction roles exported by `exportReactionRoles`.
+     * Roles, channels and emojis are found by ID, then by name. Not found ones are skipped and listed in report.
+     * Messages and reaction roles what fail to be created are skipped and listed in report too, so others are still imported.
+     * @param {IReactionRoleExport} data - Exported reaction roles.
+     * @param {object} options -
+     * @param {import('discord.js').GuildResolvable} options.guild - Guild where reaction roles will be created.
+     * @param {import('discord.js').TextChannel} [options.channel] - Channel to send all messages. If not given, channels are found by name.
+     * @param {Object<string, Message>} [options.messages={}] - Existing messages to use, by exported message ID. Other messages are sent again.
+     * @return {Promise<IImportReport>}
+     * @example
+     * const report = await reactionRoleManager.importReactionRoles(data, { guild: message.guild });
+     * report.unresolved.forEach(({ type, name }) => console.log(`Cannot find ${type} '${name}'.`));
+     */
+    async importReactionRoles(data, {
+        guild: guildResolvable, channel: targetChannel, messages = {},
+    } = {}) {
+        if (!data || !Array.isArray(data.messages)) throw new Error('Bad input: invalid reaction roles export.');
+        if (data.version > EXPORT_VERSION) throw new Error(`Bad input: reaction roles export version '${data.version}' is not supported.`);
+
+        const guild = this.client.guilds.resolve(guildResolvable);
+        if (!guild) throw new Error('Bad input: I cannot resolve this guild.');
+
+        const report = { created: [], messages: {}, unresolved: [] };
+        const resolveRoles = (roles, messageId) => roles.map(({ id, name }) => {
+            const role = guild.roles.cache.get(id) || guild.roles.cache.find((r) => r.name === name);
+            if (!role) {
+                report.unresolved.push({
+                    type: 'role', id, name, message: messageId,
+                });
+            }
+            return role;
+        }).filter((role) => role);
+
+        for (let i = 0; i < data.messages.length; i += 1) {
+            const exported = data.messages[i];
+            let message = messages[exported.id];
+            if (!message) {
+                const channel = targetChannel
+                    || guild.channels.cache.get(exported.channel.id)
+                    || guild.channels.cache.find((c) => c.name === exported.channel.name && typeof c.send === 'function');
+                if (!channel) {
+                    report.unresolved.push({
+                        type: 'channel', id: exported.channel.id, name: exported.channel.name, message: exported.id,
+                    });
+                    continue;
+                }
+
+                const fallbackContent = exported.reactionRoles
+                    .map(({ emoji, roles = [] }) => `${emoji.id ? `<:${emoji.name}:${emoji.id}>` : emoji.name} ${roles.map((role) => role.name).join(', ')}`)
+                    .join('\n');
+                try {
+                    message = await channel.send({
+                        content: exported.content || (exported.embeds.length > 0 ? null : fallbackContent),
+                        embeds: exported.embeds,
+                    });
+                } catch (error) {
+                    report.unresolved.push({
+                        type: 'message', id: exported.id, name: null, message: exported.id, reason: error,
+                    });
+                    this.__debug('ROLE', `Cannot send imported message '${exported.id}' in channel '${channel.id}'.`, error);
+                    continue;
                 }
             }
-            return resolve();
-        });
+            report.messages[exported.id] = message.id;
+
+            for (let j = 0; j < exported.reactionRoles.length; j += 1) {
+                const { emoji, roles = [], requirements = {} } = exported.reactionRoles[j];
+                const { allowList = [], denyList = [] } = requirements.roles || {};
+                const customEmoji = emoji.id
+                    ? guild.emojis.cache.get(emoji.id)
+                        || guild.emojis.cache.find((e) => e.name === emoji.name)
+                        || this.client.emojis.resolve(emoji.id)
+                    : null;
+                if (emoji.id && !customEmoji) {
+                    report.unresolved.push({
+                        type: 'emoji', id: emoji.id, name: emoji.name, message: exported.id,
+                    });
+                    continue;
+                }
+
+                const resolvedRoles = resolveRoles(roles, exported.id);
+                if (resolvedRoles.length === 0) continue;
+
+                let reactionRole;
+                try {
+                    reactionRole = await this.createReactionRole({
+                        message,
+                        roles: resolvedRoles,
+                        emoji: customEmoji ? customEmoji.toString() : emoji.name,
+                        type: exported.reactionRoles[j].type,
+                        max: exported.reactionRoles[j].max,
+                        duration: exported.reactionRoles[j].duration,
+                        cooldown: exported.reactionRoles[j].cooldown,
+                        group: exported.reactionRoles[j].group,
+                        maxSelections: exported.reactionRoles[j].maxSelections,
+                        selectionPolicy: exported.reactionRoles[j].selectionPolicy,
+                        captcha: exported.reactionRoles[j].captcha,
+                        opensAt: exported.reactionRoles[j].opensAt,
+                        closesAt: exported.reactionRoles[j].closesAt,
+                        closePolicy: exported.reactionRoles[j].closePolicy,
+                        clearOnClose: exported.reactionRoles[j].clearOnClose,
+                        swapRoles: resolveRoles(exported.reactionRoles[j].swapRoles || [], exported.id),
+                        swapRemovePolicy: exported.reactionRoles[j].swapRemovePolicy,
+                        waitlist: exported.reactionRoles[j].waitlist,
+                        notifications: exported.reactionRoles[j].notifications,
+                        component: exported.reactionRoles[j].component,
+                        label: exported.reactionRoles[j].label,
+                        description: exported.reactionRoles[j].description,
+                        buttonStyle: exported.reactionRoles[j].buttonStyle,
+                        panel: exported.reactionRoles[j].panel,
+                        requirements: {
+                            ...requirements,
+                            roles: {
+                                allowList: resolveRoles(allowList, exported.id).map((role) => role.id),
+                                denyList: resolveRoles(denyList, exported.id).map((role) => role.id),
+                            },
+                            expression: requirements.expression
+                                ? mapRequirementExpressionRoles(
+                                    requirements.expression,
+                                    (exportedRoles) => resolveRoles(exportedRoles, exported.id).map((role) => role.id),
+                                )
+                                : null,
+                        },
+                    });
+                } catch (error) {
+                    report.unresolved.push({
+                        type: 'reactionRole', id: emoji.id || null, name: emoji.name, message: exported.id, reason: error,
+                    });
+                    this.__debug('ROLE', `Cannot import reaction role '${emoji.name}' of message '${exported.id}'.`, error);
+                    continue;
+                }
+                report.created.push(reactionRole);
+            }
+        }
+
+        this.__debug(
+            'ROLE',
+            `Imported ${report.created.length} reaction roles in guild '${guild.id}', ${report.unresolved.length} things unresolved.`,
+        );
+        return report;
+    }
+
+    /**
+     * Store updated roles funcion. If no one role is given, all reaction roles will be stored.
+     * @param {...ReactionRole} roles - All roles to update in storage.
+     * @return {Promise<void>}
+     */
+    async store(...roles) {
+        if (!this.storageAdapter) return;
+        if (roles.length === 0) roles = [...this.reactionRoles.values()];
+
+        await this.storageAdapter.upsert(...roles.map((role) => role.toJSON()));
+        this.__debug(
+            'STORE',
+            `Stored ${roles.length} updated roles.`,
+        );
+    }
+
+    /**
+     * Write all pending storage changes, if storage adapter delays writes (like json storage).
+     * Call it before turn off your bot: pending json writes are done on process `exit` event, but it isn't emitted on SIGINT or SIGTERM.
+     * @return {Promise<void>}
+     * @example
+     * ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, async () => {
+     *     await reactionRoleManager.flush();
+     *     process.exit(0);
+     * }));
+     */
+    async flush() {
+        if (!this.storageAdapter || typeof this.storageAdapter.flush !== 'function') return;
+        await this.storageAdapter.flush();
+    }
+
+    /**
+     * Register a custom requirement, used by reaction roles with its name in `requirements.custom` or requirement expressions.
+     * Predicate receives `(member, reactionRole, options)` and returns (or resolves) a boolean, or `{ passed, reason }`.
+     * Reaction roles with not registered requirements are never won, so register them before the manager is ready.
+     * @param {string} name - Requirement name, stored in reaction roles.
+     * @param {Function} predicate - Check if member has this requirement.
+     * @return {ReactionRoleManager}
+     * @example
+     * reactionRoleManager.registerRequirement('level', async (member, reactionRole, options) => {
+     *     const level = await xp.getLevel(member.id);
+     *     return { passed: level >= options.min, reason: `You need level ${options.min}, you are level ${level}.` };
+     * });
+     * await reactionRoleManager.createReactionRole({ message, roles, emoji, requirements: { custom: [{ name: 'level', options: { min: 10 } }] } });
+     */
+    registerRequirement(name, predicate) {
+        if (typeof name !== 'string' || !name) throw new Error('Bad input: requirement name must be a non empty string.');
+        if (typeof predicate !== 'function') throw new Error('Bad input: requirement predicate must be a function.');
+        this.__requirementProviders.set(name, predicate);
+        return this;
+    }
+
+    /**
+     * Unregister a custom requirement.
+     * @param {string} name - Requirement name.
+     * @return {boolean} If requirement was registered.
+     */
+    unregisterRequirement(name) {
+        return this.__requirementProviders.delete(name);
+    }
+
+    /**
+     * Get position of a member in waitlist of a reaction role.
+     * @param {ReactionRole|string} reactionRole - Reaction role or its ID.
+     * @param {import('discord.js').UserResolvable} member - Member to find.
+     * @return {number} Position starting by 1, 0 if member isn't waitlisted.
+     * @example
+     * const position = reactionRoleManager.getWaitlistPosition(reactionRole, message.member);
+     * message.reply(position ? `You are #${position} in the waitlist.` : 'You are not in the waitlist.');
+     */
+    getWaitlistPosition(reactionRole, member) {
+        if (!(reactionRole instanceof ReactionRole)) reactionRole = this.reactionRoles.get(reactionRole);
+        if (!reactionRole) throw new Error('Bad input: reaction role not found.');
+
+        const memberId = this.client.users.resolveId(member);
+        return reactionRole.waitlisted.indexOf(memberId) + 1;
+    }
+
+    /**
+     * Fetch history of roles given/taken by reaction roles, newest first. Needs `history` option enabled.
+     * @param {IHistoryFilter} [filter={}] - Filter history entries.
+     * @return {Promise<IHistoryEntry[]>}
+     * @example
+     * const entries = await reactionRoleManager.fetchHistory({ guild: message.guild.id, member: member.id, limit: 10 });
+     * entries.forEach((entry) => console.log(`${entry.action === 1 ? 'Given' : 'Taken'} '${entry.role}' at ${new Date(entry.timestamp)}`));
+     */
+    async fetchHistory(filter = {}) {
+        if (!this.history) throw new Error('History is disabled, enable it with \'history\' option.');
+        return this.storageAdapter.fetchHistory(filter);
+    }
+
+    /**
+     * Record in history a role given/taken from member.
+     * @private
+     * @param {ActionType} action - Role was given or taken.
+     * @param {GuildMember} member - Member affected.
+     * @param {Role} role - Role given/taken.
+     * @param {ReactionRole} reactionRole - Reaction role what given/taken the role.
+     * @param {ActionTrigger} trigger - What triggered this action.
+     * @return {Promise<void>}
+     */
+    async __recordHistory(action, member, role, reactionRole, trigger) {
+        if (!this.history) return;
+        try {
+            await this.storageAdapter.appendHistory({
+                guild: member.guild.id,
+                member: member.id,
+                reactionRole: reactionRole.id,
+                role: role.id,
+                action,
+                trigger,
+                timestamp: Date.now(),
+            });
+        } catch (error) {
+            this.__debug('HISTORY', `Failed to record history of member '${member.id}' and role '${role.id}'.`, error);
+        }
     }
 
     /**
@@ -797,40 +2053,39 @@ class ReactionRoleManager extends EventEmitter {
      * @return {Promise<void>}
      */
     async __parseStorage() {
-        return new Promise(async (resolve) => {
-            if (this.storage) {
-                const roles = [];
-                if (fs.existsSync(this.storageJsonPath)) {
-                    const json = JSON.parse(
-                        fs.readFileSync(this.storageJsonPath).toString(),
-                    );
-                    roles.push(...json);
-                }
-
-                if (this.mongoose) {
-                    roles.push(
-                        ...(await this.mongoose
-                            .model('ReactionRoles')
-                            .find({ disabled: false })),
-                    );
+        if (this.storageAdapter) {
+            const roles = await this.storageAdapter.load();
+            if (this.storageAdapter.recoveredFrom) {
+                this.__debug('STORE', `Storage was corrupted, reaction roles were recovered from '${this.storageAdapter.recoveredFrom}'.`);
+            }
+            const reports = [];
+            for (let i = 0; i < roles.length; i += 1) {
+                if (!roles[i] || !roles[i].message) continue;
+
+                const report = migrateReactionRole(roles[i]);
+                const role = new ReactionRole(report.data);
+                if (report.from < report.to) {
+                    report.data = role.toJSON();
+                    reports.push(report);
                 }
+                if (role.deleted) continue;
 
-                for (let i = 0; i < roles.length; i += 1) {
-                    const role = roles[i];
-                    if (!role || !role.message || role.disabled) continue;
+                this.reactionRoles.set(role.id, role);
+            }
 
-                    this.reactionRoles.set(
-                        role.id,
-                        ReactionRole.fromJSON(role),
-                    );
-                }
+            if (reports.length > 0) {
+                await this.storageAdapter.upsert(...reports.map((report) => report.data));
+                this.emit(ReactionRoleEvent.STORAGE_MIGRATED, reports);
+                this.__debug(
+                    'STORE',
+                    `Migrated ${reports.length} stored roles to current schema version.`,
+                );
             }
-            this.__debug(
-                'STORE',
-                `Stored roles parsed, contains '${this.reactionRoles.size}' roles.`,
-            );
-            return resolve();
-        });
+        }
+        this.__debug(
+            'STORE',
+            `Stored roles parsed, contains '${this.reactionRoles.size}' roles.`,
+        );
     }
 
     /**
@@ -859,133 +2114,210 @@ class ReactionRoleManager extends EventEmitter {
         if (member.partial) await member.fetch();
 
         const reactionRole = this.reactionRoles.get(id);
-        if (!(reactionRole instanceof ReactionRole)) return;
+        // Button and select menu reaction roles are handled by interactions.
+        if (!(reactionRole instanceof ReactionRole) || reactionRole.isComponent) return;
+        if (reactionRole.isScheduled && !reactionRole.isOpen) {
+            if (reactionRole.closePolicy === ClosePolicy.REMOVE) await msgReaction.users.remove(member.id);
+            return;
+        }
+        if (!reactionRole.disabled && await this.__isThrottled(member, reactionRole, msgReaction)) return;
+
+        await this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, msgReaction);
+    }
+
+    /**
+     * Check if member reacted before cooldowns are over. If not, its reaction is saved to check next ones.
+     * @private
+     * @param {GuildMember} member - Member who reacted.
+     * @param {ReactionRole} reactionRole - Reaction role what member reacted.
+     * @param {MessageReaction} msgReaction - Member reaction, removed if it's throttled (unless `cooldown.removeReaction` is disabled).
+     * @return {Promise<boolean>}
+     */
+    async __isThrottled(member, reactionRole, msgReaction) {
+        const memberCooldown = this.cooldown.member;
+        const reactionRoleCooldown = reactionRole.cooldown === null ? this.cooldown.reactionRole : reactionRole.cooldown;
+        if (memberCooldown <= 0 && reactionRoleCooldown <= 0) return false;
+
+        const now = Date.now();
+        const memberKey = `${member.guild.id}-${member.id}`;
+        const reactionRoleKey = `${reactionRole.id}-${member.id}`;
+        const remaining = Math.max(
+            (this.__lastReactions.get(memberKey) || 0) + memberCooldown - now,
+            (this.__lastReactions.get(reactionRoleKey) || 0) + reactionRoleCooldown - now,
+        );
+
+        if (remaining <= 0) {
+            if (this.__lastReactions.size > 1000) {
+                const maxCooldown = Math.max(memberCooldown, this.cooldown.reactionRole, ...this.reactionRoles.map((rr) => rr.cooldown || 0));
+                this.__lastReactions.forEach((timestamp, key) => {
+                    if (timestamp + maxCooldown < now) this.__lastReactions.delete(key);
+                });
+            }
+            if (memberCooldown > 0) this.__lastReactions.set(memberKey, now);
+            if (reactionRoleCooldown > 0) this.__lastReactions.set(reactionRoleKey, now);
+            return false;
+        }
 
-        this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, msgReaction);
+        if (this.cooldown.removeReaction) {
+            await msgReaction.users.remove(member.id)
+                .catch((error) => this.__debug('COOLDOWN', `Cannot remove throttled reaction of member '${member.id}'.`, error));
+        }
+        this.emit(ReactionRoleEvent.REACTION_THROTTLED, member, reactionRole, remaining);
+        this.__debug(
+            'COOLDOWN',
+            `Member '${member.id}' reacted in '${reactionRole.id}' before cooldown is over, it must wait ${remaining}ms.`,
+        );
+        return true;
     }
 
     /**
-     * Timeout handler to check toggled roles.
+     * Timeout handler to check toggled roles. Toggled roles of same message (or group, if reacted role has one) are checked together.
      * @param {GuildMember} member
      * @param {Message} message
      * @param {ReactionRole} [skippedRole=null]
      * @param {number} [tries=0]
+     * @param {ActionTrigger} [trigger=ActionTrigger.TOGGLE] - What triggered the given role, toggled roles are always taken by toggle.
      * @private
      * @return {Promise<void>}
      */
-    async __timeoutToggledRoles(member, message, skippedRole = null, tries = 0) {
+    async __timeoutToggledRoles(member, message, skippedRole = null, tries = 0, trigger = ActionTrigger.TOGGLE) {
         if (++tries > 3) return this.__debug('TOGGLE', `Toggled roles timeout expired tries, member '${member.id}' will not be processed.`);
         if (locker.isBusy(member.id)) {
             this.__debug('TOGGLE', `Member '${member.id}' is holding timeout queue.`);
             await sleep(Constants.DEFAULT_TIMEOUT_TOGGLED_ROLES);
-            return this.__timeoutToggledRoles(member, message, skippedRole, tries);
+            return this.__timeoutToggledRoles(member, message, skippedRole, tries, trigger);
         }
 
-        const timeout = this.timeouts.get(member.id);
-        if (timeout) this.client.clearTimeout(timeout);
+        const reactedRole = skippedRole;
+        const timeoutKey = reactedRole && reactedRole.group ? `${member.id}-${member.guild.id}-${reactedRole.group}` : `${member.id}-${message.id}`;
+        const timeout = this.timeouts.get(timeoutKey);
+        if (timeout) clearTimeout(timeout);
 
         this.timeouts.set(
-            member.id,
+            timeoutKey,
             setTimeout(async () => locker.acquire(member.id, async () => {
-                const toggledRoles = this.reactionRoles.filter((rr) => rr.message === message.id && rr.isToggle);
-                const toggledRolesArray = toggledRoles.array();
-                for (let i = 0; i < toggledRolesArray.length; i += 1) {
-                    const toggledRole = toggledRolesArray[i];
-                    if (toggledRole.disabled) continue;
-
-                    const reaction = message.reactions.cache.find(
-                        (r) => this.__resolveReactionEmoji(r.emoji) === toggledRole.emoji,
-                    );
+                this.timeouts.delete(timeoutKey);
+                await this.__checkToggledRoles(member, message, reactedRole, trigger);
+            }), Constants.DEFAULT_TIMEOUT_TOGGLED_ROLES),
+        );
+    }
 
-                    if (member.partial) await member.fetch();
-                    if (reaction.partial) await reaction.fetch();
+    /**
+     * Check toggled roles of same message (or group, if reacted role has one): member keeps only the reacted one.
+     * It must run in member lock.
+     * @private
+     * @param {GuildMember} member - Member who reacted.
+     * @param {Message} message - Message of reacted role.
+     * @param {ReactionRole?} reactedRole - Reacted toggled role, null to keep first one member reacted.
+     * @param {ActionTrigger} trigger - What triggered the given role, toggled roles are always taken by toggle.
+     * @return {Promise<{ given: Role[], taken: Role[] }>} Roles given and taken.
+     */
+    async __checkToggledRoles(member, message, reactedRole, trigger) {
+        const changes = { given: [], taken: [] };
+        let skippedRole = reactedRole;
+        const toggledRoles = this.reactionRoles.filter(
+            (rr) => rr.isToggle && (reactedRole ? isSameSelection(rr, reactedRole) : rr.message === message.id),
+        );
+        const toggledRolesArray = [...toggledRoles.values()];
+        for (let i = 0; i < toggledRolesArray.length; i += 1) {
+            const toggledRole = toggledRolesArray[i];
+            if (toggledRole.disabled) continue;
 
-                    const users = await reaction.users.fetch();
-                    if (users.has(member.id) && (!skippedRole || skippedRole.id === toggledRole.id)) {
-                        skippedRole = toggledRole;
-                        continue;
-                    }
+            const reaction = await this.__fetchReaction(toggledRole);
+            if (!reaction) continue;
 
-                    const roleID = toggledRole.roles[0];
-                    const role = member.guild.roles.cache.get(roleID);
+            if (member.partial) await member.fetch();
+            if (reaction.partial) await reaction.fetch();
 
-                    this.__checkRolesPermissions(ActionType.TAKE, toggledRole, member);
+            const users = await reaction.users.fetch();
+            if (users.has(member.id) && (!skippedRole || skippedRole.id === toggledRole.id)) {
+                skippedRole = toggledRole;
+                continue;
+            }
 
-                    if (role.editable && await this.hooks.preRoleRemoveHook(member, role, toggledRole)) {
-                        const index = toggledRole.winners.indexOf(member.id);
-                        if (index >= 0) toggledRole.winners.splice(index, 1);
+            const roleID = toggledRole.roles[0];
+            const role = member.guild.roles.cache.get(roleID);
 
-                        if (member.roles.cache.has(toggledRole.id)) {
-                            await member.roles.remove(roleID);
-                            this.emit(
-                                ReactionRoleEvent.REACTION_ROLE_REMOVE,
-                                member,
-                                role,
-                            );
-                            this.__debug(
-                                'TOGGLE',
-                                `Take off role '${roleID}' from user '${member.id}', it's a toggled role.`,
-                            );
-                        }
+            this.__checkRolesPermissions(ActionType.TAKE, toggledRole, member);
 
-                        if (users.has(member.id)) await reaction.users.remove(member.user);
-                    } else await reaction.users.remove(member.id);
-                }
+            if (role.editable && await this.hooks.preRoleRemoveHook(member, role, toggledRole)) {
+                if (this.__removeWinner(toggledRole, member.id)) this.__promoteWaitlist(toggledRole);
 
-                if (skippedRole instanceof ReactionRole) {
-                    const reaction = message.reactions.cache.find(
-                        (r) => this.__resolveReactionEmoji(r.emoji) === skippedRole.emoji,
+                if (member.roles.cache.has(roleID)) {
+                    await member.roles.remove(roleID);
+                    changes.taken.push(role);
+                    this.emit(
+                        ReactionRoleEvent.REACTION_ROLE_REMOVE,
+                        member,
+                        role,
                     );
+                    await this.__recordHistory(ActionType.TAKE, member, role, toggledRole, ActionTrigger.TOGGLE);
+                    await this.__runHook('postRoleRemove', member, [role], toggledRole, ActionTrigger.TOGGLE, null);
+                    this.__debug(
+                        'TOGGLE',
+                        `Take off role '${roleID}' from user '${member.id}', it's a toggled role.`,
+                    );
+                }
+
+                if (users.has(member.id)) await reaction.users.remove(member.user);
+            } else await reaction.users.remove(member.id);
+        }
 
-                    const roleID = skippedRole.roles[0];
-                    const role = message.guild.roles.cache.get(roleID);
+        const reaction = skippedRole instanceof ReactionRole ? await this.__fetchReaction(skippedRole) : null;
+        if (reaction) {
+            const roleID = skippedRole.roles[0];
+            const role = member.guild.roles.cache.get(roleID);
 
-                    this.__checkRolesPermissions(ActionType.GIVE, skippedRole, member);
+            this.__checkRolesPermissions(ActionType.GIVE, skippedRole, member);
 
-                    if (role.editable
-                        && await this.__checkRequirements(skippedRole, reaction, member)
-                        && await this.hooks.preRoleAddHook(member, role, skippedRole)
-                    ) {
-                        if (skippedRole.winners.indexOf(member.id) <= -1) skippedRole.winners.push(member.id);
+            if (role.editable
+                && await this.__checkRequirements(skippedRole, reaction, member, trigger)
+                && await this.hooks.preRoleAddHook(member, role, skippedRole)
+            ) {
+                if (this.__addWinner(skippedRole, member.id) && trigger === ActionTrigger.WAITLIST) {
+                    this.emit(ReactionRoleEvent.WAITLIST_PROMOTED, member, skippedRole);
+                }
 
-                        if (!member.roles.cache.has(roleID)) {
-                            await member.roles.add(roleID);
+                if (!member.roles.cache.has(roleID)) {
+                    await member.roles.add(roleID);
+                    changes.given.push(role);
 
-                            this.emit(
-                                ReactionRoleEvent.REACTION_ROLE_ADD,
-                                member,
-                                role,
-                            );
-                            if (this.isReady) {
-                                this.__debug(
-                                    'TOGGLE',
-                                    `Role '${roleID}' was given to '${member.id}' after check toggle roles.`,
-                                );
-                            } else {
-                                this.__debug(
-                                    'BOOT',
-                                    // eslint-disable-next-line max-len
-                                    `Role '${roleID}' was given to '${member.id}' after check toggle roles, it reacted when bot wasn't online.`,
-                                );
-                            }
-                        } else {
-                            this.__debug(
-                                'BOOT',
-                                // eslint-disable-next-line max-len
-                                `Keeping role '${roleID}' after check toggle roles. The member '${member.id}' reacted and already have the role.`,
-                            );
-                        }
-                    } else await reaction.users.remove(member.id);
+                    this.emit(
+                        ReactionRoleEvent.REACTION_ROLE_ADD,
+                        member,
+                        role,
+                    );
+                    await this.__recordHistory(ActionType.GIVE, member, role, skippedRole, trigger);
+                    await this.__runHook('postRoleAdd', member, [role], skippedRole, trigger, null);
+                    if (this.isReady) {
+                        this.__debug(
+                            'TOGGLE',
+                            `Role '${roleID}' was given to '${member.id}' after check toggle roles.`,
+                        );
+                    } else {
+                        this.__debug(
+                            'BOOT',
+                            // eslint-disable-next-line max-len
+                            `Role '${roleID}' was given to '${member.id}' after check toggle roles, it reacted when bot wasn't online.`,
+                        );
+                    }
+                } else {
+                    this.__debug(
+                        'BOOT',
+                        // eslint-disable-next-line max-len
+                        `Keeping role '${roleID}' after check toggle roles. The member '${member.id}' reacted and already have the role.`,
+                    );
                 }
+            } else await reaction.users.remove(member.id);
+        }
 
-                await this.store(...toggledRoles);
-            }), Constants.DEFAULT_TIMEOUT_TOGGLED_ROLES),
-        );
+        await this.store(...toggledRolesArray);
+        return changes;
     }
 
     __readyTimeout() {
         const readyTimeout = this.timeouts.get('ready_timeout');
-        if (readyTimeout) this.client.clearTimeout(readyTimeout);
+        if (readyTimeout) clearTimeout(readyTimeout);
         if (this.isReady) return;
 
         this.timeouts.set('ready_timeout', setTimeout(() => {
@@ -1022,9 +2354,104 @@ class ReactionRoleManager extends EventEmitter {
         if (member.partial) await member.fetch();
 
         const reactionRole = this.reactionRoles.get(id);
-        if (!(reactionRole instanceof ReactionRole)) return;
+        // Button and select menu reaction roles are handled by interactions.
+        if (!(reactionRole instanceof ReactionRole) || reactionRole.isComponent) return;
+        // Waitlisted members didn't win the roles yet, they just leave the waitlist.
+        if (removeFromWaitlist(reactionRole, member.id)) {
+            await this.store(reactionRole);
+            return;
+        }
+        if (reactionRole.isScheduled && !reactionRole.isOpen) return;
 
-        this.__handleReactionRoleAction(ActionType.TAKE, member, reactionRole, msgReaction);
+        await this.__handleReactionRoleAction(ActionType.TAKE, member, reactionRole, msgReaction);
+    }
+
+    /**
+     * Reaction role handler when a member presses a button or picks select menu options.
+     * Each changed reaction role is handled like a reaction, then member gets an ephemeral reply with roles won and lost.
+     * Reply lines use notification templates.
+     * @private
+     * @param {import('discord.js').Interaction} interaction - Button or select menu interaction.
+     * @return {Promise<void>}
+     */
+    async __onInteraction(interaction) {
+        const customId = interaction.customId || '';
+        const isButton = customId.startsWith(BUTTON_CUSTOM_ID_PREFIX);
+        if ((!isButton && !customId.startsWith(SELECT_MENU_CUSTOM_ID_PREFIX)) || !interaction.guild) return;
+
+        const reactionRoles = isButton
+            ? [this.reactionRoles.get(customId.slice(BUTTON_CUSTOM_ID_PREFIX.length))].filter((rr) => rr && !rr.disabled)
+            : [...this.reactionRoles.filter(
+                (rr) => rr.message === interaction.message.id && rr.component === ReactionRoleComponent.SELECT_MENU && !rr.disabled,
+            ).values()];
+
+        let member = null;
+        try {
+            await interaction.deferReply({ ephemeral: true });
+            member = interaction.guild.members.cache.get(interaction.user.id) || await interaction.guild.members.fetch(interaction.user.id);
+            if (reactionRoles.length === 0) {
+                await editInteractionReply(interaction, [this.__renderReply(NotificationType.UNAVAILABLE, member, null)]);
+                return;
+            }
+
+            const given = [];
+            const taken = [];
+            const notices = [];
+            const handled = [];
+            try {
+                for (let i = 0; i < reactionRoles.length; i += 1) {
+                    const reactionRole = reactionRoles[i];
+                    const pressed = isPressed(reactionRole, member);
+                    const press = isButton ? !pressed : interaction.values.includes(reactionRole.id);
+                    if (press === pressed) continue;
+
+                    // Waitlisted members didn't win the roles yet, they just leave the waitlist.
+                    if (!press && removeFromWaitlist(reactionRole, member.id)) {
+                        await this.store(reactionRole);
+                        notices.push(this.__renderReply(NotificationType.WAITLIST_LEFT, member, reactionRole));
+                        continue;
+                    }
+                    if (reactionRole.isScheduled && !reactionRole.isOpen) {
+                        notices.push(this.__renderReply(NotificationType.NOT_OPEN, member, reactionRole));
+                        continue;
+                    }
+
+                    const key = `${reactionRole.id}-${member.id}`;
+                    this.__pendingInteractions.set(key, notices);
+                    handled.push(key);
+                    const reaction = await this.__fetchReaction(reactionRole);
+                    if (press && await this.__isThrottled(member, reactionRole, reaction)) {
+                        notices.push(this.__renderReply(NotificationType.THROTTLED, member, reactionRole));
+                        continue;
+                    }
+
+                    const action = press ? ActionType.GIVE : ActionType.TAKE;
+                    const changes = await this.__handleReactionRoleAction(action, member, reactionRole, reaction, ActionTrigger.INTERACTION);
+                    given.push(...changes.given);
+                    taken.push(...changes.taken);
+                    if (this.__pendingCaptchas.has(key)) notices.push(this.__renderReply(NotificationType.CAPTCHA_PENDING, member, reactionRole));
+                    const position = reactionRole.waitlisted.indexOf(member.id) + 1;
+                    if (position > 0) notices.push(this.__renderReply(NotificationType.WAITLISTED, member, reactionRole, { position }));
+                }
+            } finally {
+                handled.forEach((key) => this.__pendingInteractions.delete(key));
+            }
+
+            // Roles won and lost by same interaction (like toggled ones) didn't change.
+            const won = uniqueRoles(given, taken);
+            const lost = uniqueRoles(taken, given);
+            const lines = [];
+            if (won.length > 0) lines.push(this.__renderReply(NotificationType.ROLES_WON, member, null, { roles: won }));
+            if (lost.length > 0) lines.push(this.__renderReply(NotificationType.ROLES_LOST, member, null, { roles: lost }));
+            lines.push(...notices);
+            if (lines.length === 0) lines.push(this.__renderReply(NotificationType.NOTHING_CHANGED, member, null));
+            await editInteractionReply(interaction, lines);
+        } catch (error) {
+            this.__debug('INTERACTION', `Failed to handle interaction '${customId}' of member '${interaction.user.id}'.`, error);
+            if (interaction.deferred && member) {
+                await editInteractionReply(interaction, [this.__renderReply(NotificationType.INTERACTION_FAILED, member, null)]).catch(() => null);
+            }
+        }
     }
 
     /**
@@ -1033,7 +2460,7 @@ class ReactionRoleManager extends EventEmitter {
      * @return {Promise<void>}
      */
     async __onRemoveAllReaction(message) {
-        const messageReactionsRoles = this.reactionRoles.filter((r) => r.message === message.id).array();
+        const messageReactionsRoles = [...this.reactionRoles.filter((r) => r.message === message.id && !r.isComponent).values()];
         const membersAffected = [];
         const rolesAffected = new Collection();
         let reactionsTaken = 0;
@@ -1052,15 +2479,21 @@ class ReactionRoleManager extends EventEmitter {
                 if (member.partial) await member.fetch();
 
                 const rolesWithPermission = this.__checkRolesPermissions(ActionType.TAKE, reactionRole, member);
+                const rolesTaken = [];
                 for (let k = 0; k < rolesWithPermission.length; k++) {
                     const role = rolesWithPermission[k];
                     if (await this.hooks.preRoleRemoveHook(member, role, reactionRole)) {
                         await member.roles.remove(role.id);
+                        rolesTaken.push(role);
+                        await this.__recordHistory(ActionType.TAKE, member, role, reactionRole, ActionTrigger.ALL_REACTIONS_REMOVE);
                         if (!membersAffected.includes(member)) membersAffected.push(member);
                     }
 
                     if (!rolesAffected.has(role.id)) rolesAffected.set(role.id, role);
                 }
+                if (rolesTaken.length > 0) {
+                    await this.__runHook('postRoleRemove', member, rolesTaken, reactionRole, ActionTrigger.ALL_REACTIONS_REMOVE, null);
+                }
                 reactionsTaken += 1;
             }
             await this.deleteReactionRole({ reactionRole }, true);
@@ -1085,9 +2518,12 @@ class ReactionRoleManager extends EventEmitter {
      * @param {GuildMember} member
      * @param {ReactionRole} reactionRole
      * @param {MessageReaction} msgReaction
+     * @param {ActionTrigger} [trigger=ActionTrigger.REACTION] - What triggered this action.
+     * @return {Promise<{ given: Role[], taken: Role[] }>} Roles given and taken now. Captchas, waitlists and toggled reactions give them later.
      */
-    async __handleReactionRoleAction(action, member, reactionRole, msgReaction) {
-        if (reactionRole.disabled) return;
+    async __handleReactionRoleAction(action, member, reactionRole, msgReaction, trigger = ActionTrigger.REACTION) {
+        const changes = { given: [], taken: [] };
+        if (reactionRole.disabled) return changes;
         if (reactionRole.isReversed) action = action === ActionType.GIVE ? ActionType.TAKE : ActionType.GIVE;
         if (member.partial) await member.fetch();
         if (msgReaction.partial) await msgReaction.fetch();
@@ -1095,24 +2531,55 @@ class ReactionRoleManager extends EventEmitter {
         await msgReaction.users.fetch();
         if (reactionRole.isJustLose && action === ActionType.GIVE) {
             await msgReaction.users.remove(member.id);
-            return this.__debug(
+            this.__notify(NotificationType.JUST_LOSE, member, reactionRole, trigger);
+            this.__debug(
                 'ACTION',
                 `Member '${member.id}' will not win the reaction role '${reactionRole.id}' because this reaction role is just for lose, not for win.`,
             );
+            return changes;
         }
 
         if (reactionRole.isJustWin && action === ActionType.TAKE) {
-            return this.__debug(
+            this.__debug(
                 'ACTION',
                 `Member '${member.id}' will not lose the reaction role '${reactionRole.id}' because this reaction role is just for win, not for lose.`,
             );
+            return changes;
+        }
+
+        if (reactionRole.isSwap && action === ActionType.TAKE && reactionRole.swapRemovePolicy === SwapRemovePolicy.KEEP) {
+            this.__debug(
+                'ACTION',
+                `Member '${member.id}' will not lose the reaction role '${reactionRole.id}' because this swap reaction role keeps roles.`,
+            );
+            return changes;
         }
 
         const rolesWithPermission = this.__checkRolesPermissions(action, reactionRole, member);
+        const rolesWithoutPermission = reactionRole.roles
+            .map((role) => member.guild.roles.resolve(role))
+            .filter((role) => role && !rolesWithPermission.includes(role));
+        if (rolesWithoutPermission.length > 0) {
+            this.__notify(NotificationType.MISSING_PERMISSIONS, member, reactionRole, trigger, { roles: rolesWithoutPermission });
+            await this.__runHook('onPermissionFailed', member, rolesWithoutPermission, reactionRole, trigger, null);
+        }
+
         switch (action) {
         case ActionType.GIVE: {
+            // Members already waiting are served first, so new reactions cannot take a free slot before them.
+            if (reactionRole.waitlist
+                && trigger !== ActionTrigger.WAITLIST
+                && !reactionRole.winners.includes(member.id)
+                && (reactionRole.waitlisted.length > 0 || (reactionRole.winners.length >= reactionRole.max && reactionRole.max > 0))
+            ) {
+                if (await this.__checkRequirements(reactionRole, msgReaction, member, trigger)) await this.__queueWaitlist(member, reactionRole);
+                break;
+            }
+
             if (reactionRole.winners.length >= reactionRole.max && reactionRole.max > 0) {
                 await msgReaction.users.remove(member.id);
+                this.__notify(NotificationType.MAX_REACHED, member, reactionRole, trigger);
+                await this.__runHook('onMaxReached', member, rolesWithPermission, reactionRole, trigger, null);
                 this.__debug(
                     'ROLE',
                     `Member will not win the reaction role '${reactionRole.id}' because the maximum number of roles to give has been reached`,
@@ -1120,55 +2587,662 @@ class ReactionRoleManager extends EventEmitter {
                 break;
             }
 
-            if (!await this.__checkRequirements(reactionRole, msgReaction, member)) break;
+            if (!await this.__checkRequirements(reactionRole, msgReaction, member, trigger)) break;
+            if (reactionRole.captcha !== CaptchaMode.NONE
+                && !reactionRole.isReversed
+                && !reactionRole.winners.includes(member.id)
+                && !this.__solvedCaptchas.has(`${reactionRole.id}-${member.id}`)
+            ) {
+                this.__challengeCaptcha(member, reactionRole, msgReaction, trigger)
+                    .catch((error) => this.__debug('CAPTCHA', `Captcha of reaction role '${reactionRole.id}' failed for member '${member.id}'.`, error));
+                break;
+            }
             if (reactionRole.isToggle) {
-                this.__timeoutToggledRoles(member, msgReaction.message, reactionRole);
+                // Buttons and select menus are checked now to reply toggled roles, fast reactions are checked together after a timeout.
+                if (trigger === ActionTrigger.INTERACTION) {
+                    const toggled = await locker.acquire(member.id, () => this.__checkToggledRoles(member, msgReaction.message, reactionRole, trigger));
+                    changes.given.push(...toggled.given);
+                    changes.taken.push(...toggled.taken);
+                } else this.__timeoutToggledRoles(member, msgReaction.message, reactionRole, 0, trigger);
                 break;
             }
 
-            for (let i = 0; i < rolesWithPermission.length; i++) {
-                const role = rolesWithPermission[i];
-                if (await this.hooks.preRoleAddHook(member, role, reactionRole) && !member.roles.cache.has(role.id)) {
-                    await member.roles.add(role);
-                    this.emit(ReactionRoleEvent.REACTION_ROLE_ADD, member, role);
-                    this.__debug(
-                        'ROLE',
-                        `User '${member.displayName}' won the role '${role.name}'.`,
-                    );
+            const giveRoles = async () => {
+                const rolesGiven = changes.given;
+                try {
+                    for (let i = 0; i < rolesWithPermission.length; i++) {
+                        const role = rolesWithPermission[i];
+                        if (await this.hooks.preRoleAddHook(member, role, reactionRole) && !member.roles.cache.has(role.id)) {
+                            await member.roles.add(role);
+                            rolesGiven.push(role);
+                            this.emit(ReactionRoleEvent.REACTION_ROLE_ADD, member, role);
+                            await this.__recordHistory(ActionType.GIVE, member, role, reactionRole, trigger);
+                            this.__debug(
+                                'ROLE',
+                                `User '${member.displayName}' won the role '${role.name}'.`,
+                            );
 
-                    if (reactionRole.winners.indexOf(member.id) <= -1) {
-                        reactionRole.winners.push(member.id);
-                        this.store(reactionRole);
+                            if (this.__addWinner(reactionRole, member.id)) {
+                                await this.store(reactionRole).catch((error) => this.__storageError(`Failed to store winners of '${reactionRole.id}'.`, error));
+                                if (trigger === ActionTrigger.WAITLIST) this.emit(ReactionRoleEvent.WAITLIST_PROMOTED, member, reactionRole);
+                            }
+                        }
                     }
+                } catch (error) {
+                    await this.__runHook('postRoleAdd', member, rolesGiven, reactionRole, trigger, error);
+                    throw error;
                 }
-            }
+                if (rolesGiven.length > 0) await this.__runHook('postRoleAdd', member, rolesGiven, reactionRole, trigger, null);
+                if (reactionRole.isSwap && rolesWithPermission.some((role) => member.roles.cache.has(role.id))) {
+                    changes.taken.push(...await this.__swapRoles(ActionType.TAKE, member, reactionRole, trigger));
+                }
+            };
+
+            // Selections are checked and given in same lock, so fast reactions cannot exceed max selections.
+            if (reactionRole.maxSelections > 0) {
+                await locker.acquire(`selection-${member.guild.id}-${member.id}`, async () => {
+                    if (await this.__checkMaxSelections(member, reactionRole, msgReaction, trigger, changes.taken)) await giveRoles();
+                });
+            } else await giveRoles();
             break;
         }
 
         case ActionType.TAKE: {
+            const rolesTaken = changes.taken;
+            try {
+                for (let i = 0; i < rolesWithPermission.length; i++) {
+                    const role = rolesWithPermission[i];
+                    if (await this.hooks.preRoleRemoveHook(member, role, reactionRole) && member.roles.cache.has(role.id)) {
+                        await member.roles.remove(role);
+                        rolesTaken.push(role);
+                        this.emit(ReactionRoleEvent.REACTION_ROLE_REMOVE, member, role);
+                        await this.__recordHistory(ActionType.TAKE, member, role, reactionRole, trigger);
+                        this.__debug(
+                            'ROLE',
+                            `User '${member.displayName}' lost the role '${role.name}'.`,
+                        );
+                    }
+                }
+            } catch (error) {
+                await this.__runHook('postRoleRemove', member, rolesTaken, reactionRole, trigger, error);
+                throw error;
+            }
+            if (rolesTaken.length > 0) await this.__runHook('postRoleRemove', member, rolesTaken, reactionRole, trigger, null);
+            if (reactionRole.isSwap && reactionRole.swapRemovePolicy === SwapRemovePolicy.REVERT && rolesTaken.length > 0) {
+                changes.given.push(...await this.__swapRoles(ActionType.GIVE, member, reactionRole, trigger));
+            }
+
+            if (this.__removeWinner(reactionRole, member.id)) {
+                await this.store(reactionRole).catch((error) => this.__storageError(`Failed to store winners of '${reactionRole.id}'.`, error));
+                this.__promoteWaitlist(reactionRole);
+            }
+            break;
+        }
+        default: {
+            throw new Error(`Unknow action type: ${action}`);
+        }
+        }
+        return changes;
+    }
+
+    /**
+     * Take (when member wins) or give back (when member loses) swap roles of a swap reaction role.
+     * @private
+     * @param {ActionType} action - Take or give swap roles.
+     * @param {GuildMember} member - Member who won/lost the reaction role.
+     * @param {ReactionRole} reactionRole - Swap reaction role.
+     * @param {ActionTrigger} trigger - What triggered this action.
+     * @return {Promise<Role[]>} Roles taken or given back.
+     */
+    async __swapRoles(action, member, reactionRole, trigger) {
+        const give = action === ActionType.GIVE;
+        const hook = give ? 'postRoleAdd' : 'postRoleRemove';
+        const rolesWithPermission = this.__checkRolesPermissions(action, reactionRole, member, reactionRole.swapRoles);
+        const rolesSwapped = [];
+        try {
             for (let i = 0; i < rolesWithPermission.length; i++) {
                 const role = rolesWithPermission[i];
-                if (await this.hooks.preRoleRemoveHook(member, role, reactionRole) && member.roles.cache.has(role.id)) {
-                    await member.roles.remove(role);
-                    this.emit(ReactionRoleEvent.REACTION_ROLE_REMOVE, member, role);
+                if (member.roles.cache.has(role.id) === give) continue;
+
+                const allowed = give
+                    ? await this.hooks.preRoleAddHook(member, role, reactionRole)
+                    : await this.hooks.preRoleRemoveHook(member, role, reactionRole);
+                if (allowed) {
+                    if (give) await member.roles.add(role);
+                    else await member.roles.remove(role);
+                    rolesSwapped.push(role);
+                    this.emit(give ? ReactionRoleEvent.REACTION_ROLE_ADD : ReactionRoleEvent.REACTION_ROLE_REMOVE, member, role);
+                    await this.__recordHistory(action, member, role, reactionRole, trigger);
                     this.__debug(
                         'ROLE',
-                        `User '${member.displayName}' lost the role '${role.name}'.`,
+                        `User '${member.displayName}' ${give ? 'won back' : 'swapped'} the role '${role.name}'.`,
                     );
                 }
             }
+        } catch (error) {
+            await this.__runHook(hook, member, rolesSwapped, reactionRole, trigger, error);
+            throw error;
+        }
+        if (rolesSwapped.length > 0) await this.__runHook(hook, member, rolesSwapped, reactionRole, trigger, null);
+        return rolesSwapped;
+    }
 
-            const index = reactionRole.winners.indexOf(member.id);
-            if (index >= 0) {
-                reactionRole.winners.splice(index, 1);
-                this.store(reactionRole);
+    /**
+     * Send captcha to member (in DM or temporary channel) and give reaction role roles if it's solved.
+     * If member fails, its reaction is removed.
+     * @private
+     * @param {GuildMember} member - Member who reacted.
+     * @param {ReactionRole} reactionRole - Reaction role with captcha.
+     * @param {MessageReaction} msgReaction - Member reaction.
+     * @param {ActionTrigger} trigger - What triggered this action.
+     * @return {Promise<void>}
+     */
+    async __challengeCaptcha(member, reactionRole, msgReaction, trigger) {
+        const key = `${reactionRole.id}-${member.id}`;
+        if (this.__pendingCaptchas.has(key)) return;
+        this.__pendingCaptchas.add(key);
+
+        const attempts = this.captcha.retries + 1;
+        let attempt = 0;
+        let solved = false;
+        let reason = CaptchaFailReason.UNREACHABLE;
+        let channel = null;
+        let temporaryChannel = null;
+        try {
+            while (!solved && attempt < attempts) {
+                attempt += 1;
+                const challenge = await this.captcha.generator(member, reactionRole, attempt, attempts);
+
+                let botMessage = null;
+                if (!channel && reactionRole.captcha === CaptchaMode.DM) {
+                    botMessage = await member.send(challenge.question).catch(() => null);
+                    if (botMessage) channel = botMessage.channel;
+                    else if (!this.captcha.fallbackToChannel) break;
+                }
+                if (!channel) {
+                    temporaryChannel = await this.__createCaptchaChannel(member, reactionRole);
+                    channel = temporaryChannel;
+                }
+                if (!botMessage) botMessage = await channel.send(challenge.question);
+
+                const answer = await MessageCollector.asyncQuestion({
+                    botMessage,
+                    user: member.user,
+                    collectorOptions: { time: this.captcha.time, max: 1 },
+                    deleteMessage: false,
+                }).catch(() => null);
+
+                if (!answer) reason = CaptchaFailReason.TIMEOUT;
+                else if (await checkCaptchaAnswer(challenge, answer.content)) solved = true;
+                else reason = CaptchaFailReason.WRONG_ANSWER;
+                if (reason === CaptchaFailReason.TIMEOUT) break;
             }
-            break;
+        } catch (error) {
+            this.__debug('CAPTCHA', `Failed to send captcha of reaction role '${reactionRole.id}' to member '${member.id}'.`, error);
+        } finally {
+            this.__pendingCaptchas.delete(key);
         }
-        default: {
-            throw new Error(`Unknow action type: ${action}`);
+
+        if (temporaryChannel) await temporaryChannel.delete().catch(() => null);
+
+        if (!solved) {
+            await msgReaction.users.remove(member.id).catch(() => null);
+            this.emit(ReactionRoleEvent.CAPTCHA_FAILED, member, reactionRole, reason, attempt);
+            return this.__debug('CAPTCHA', `Member '${member.id}' failed the captcha of reaction role '${reactionRole.id}'.`);
         }
+
+        this.emit(ReactionRoleEvent.CAPTCHA_SOLVED, member, reactionRole, attempt);
+        this.__debug('CAPTCHA', `Member '${member.id}' solved the captcha of reaction role '${reactionRole.id}'.`);
+
+        this.__solvedCaptchas.add(key);
+        try {
+            // Member may remove its reaction while it was solving the captcha.
+            const users = await msgReaction.users.fetch();
+            if (users.has(member.id)) await this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, msgReaction, trigger);
+        } catch (error) {
+            this.__debug('CAPTCHA', `Failed to give roles of reaction role '${reactionRole.id}' to member '${member.id}' after captcha.`, error);
+        } finally {
+            this.__solvedCaptchas.delete(key);
+        }
+    }
+
+    /**
+     * Create a temporary text channel, only visible to member, to send captcha.
+     * @private
+     * @param {GuildMember} member - Member who will solve the captcha.
+     * @param {ReactionRole} reactionRole - Reaction role with captcha.
+     * @return {Promise<import('discord.js').TextChannel>}
+     */
+    async __createCaptchaChannel(member, reactionRole) {
+        const reactionRoleChannel = member.guild.channels.cache.get(reactionRole.channel);
+        return member.guild.channels.create(`captcha-${member.user.username}`, {
+            parent: reactionRoleChannel ? reactionRoleChannel.parentId : undefined,
+            permissionOverwrites: [
+                { id: member.guild.id, deny: ['VIEW_CHANNEL'] },
+                { id: member.id, allow: ['VIEW_CHANNEL', 'SEND_MESSAGES', 'READ_MESSAGE_HISTORY'] },
+                { id: this.client.user.id, allow: ['VIEW_CHANNEL', 'SEND_MESSAGES', 'READ_MESSAGE_HISTORY', 'MANAGE_CHANNELS'] },
+            ],
+            reason: `Captcha of reaction role '${reactionRole.id}'.`,
+        });
+    }
+
+    /**
+     * Check if member can win one more reaction role of same message (or group).
+     * If member reached max selections, new reaction is removed or oldest selections are dropped, by reaction role selection policy.
+     * @private
+     * @param {GuildMember} member - Member who reacted.
+     * @param {ReactionRole} reactionRole - Reaction role with max selections.
+     * @param {MessageReaction} msgReaction - Member reaction, removed if it's rejected.
+     * @param {ActionTrigger} trigger - What triggered this action.
+     * @param {Role[]} [rolesTaken=[]] - Roles taken from dropped selections are added here.
+     * @return {Promise<boolean>} True if member can win this reaction role.
+     */
+    async __checkMaxSelections(member, reactionRole, msgReaction, trigger, rolesTaken = []) {
+        if (reactionRole.winners.includes(member.id)) return true;
+
+        const selected = [...this.reactionRoles
+            .filter((rr) => rr !== reactionRole && !rr.disabled && rr.winners.includes(member.id) && isSameSelection(rr, reactionRole))
+            .values()]
+            .sort((a, b) => (a.wonAt[member.id] || 0) - (b.wonAt[member.id] || 0));
+        if (selected.length < reactionRole.maxSelections) return true;
+
+        this.emit(ReactionRoleEvent.MAX_SELECTIONS_REACHED, member, reactionRole, selected, reactionRole.selectionPolicy);
+        if (reactionRole.selectionPolicy !== SelectionPolicy.DROP_OLDEST) {
+            await msgReaction.users.remove(member.id);
+            const roles = reactionRole.roles.map((role) => member.guild.roles.resolve(role)).filter((role) => role);
+            await this.__runHook('onMaxReached', member, roles, reactionRole, trigger, null);
+            this.__debug(
+                'SELECTION',
+                `Member '${member.id}' will not win the reaction role '${reactionRole.id}' because it reached ${reactionRole.maxSelections} selections.`,
+            );
+            return false;
+        }
+
+        // Dropped selections lose roles directly, because a TAKE action does nothing in some types (like just win).
+        const dropped = selected.slice(0, selected.length - reactionRole.maxSelections + 1);
+        for (let i = 0; i < dropped.length; i += 1) {
+            rolesTaken.push(...await this.__takeRoles(member, dropped[i], trigger));
+            if (this.__removeWinner(dropped[i], member.id)) this.__promoteWaitlist(dropped[i]);
+            await this.store(dropped[i]);
+
+            const reaction = await this.__fetchReaction(dropped[i]);
+            if (reaction) await reaction.users.remove(member.id);
+
+            this.__debug(
+                'SELECTION',
+                `Member '${member.id}' lost the reaction role '${dropped[i].id}', it was the oldest selection and max selections was reached.`,
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Add member to reaction role winners, saving when it won and arming expiration of temporary roles.
+     * @private
+     * @param {ReactionRole} reactionRole - Reaction role won.
+     * @param {string} memberId - Member who won.
+     * @return {boolean} False if member was already a winner.
+     */
+    __addWinner(reactionRole, memberId) {
+        if (reactionRole.winners.includes(memberId)) return false;
+
+        reactionRole.winners.push(memberId);
+        reactionRole.wonAt[memberId] = Date.now();
+        this.__armExpiration(reactionRole, memberId);
+        return true;
+    }
+
+    /**
+     * Remove member from reaction role winners, forgetting when it won and when it expires.
+     * @private
+     * @param {ReactionRole} reactionRole - Reaction role lost.
+     * @param {string} memberId - Member who lost.
+     * @return {boolean} False if member wasn't a winner.
+     */
+    __removeWinner(reactionRole, memberId) {
+        this.__clearExpiration(reactionRole, memberId);
+        delete reactionRole.wonAt[memberId];
+
+        const index = reactionRole.winners.indexOf(memberId);
+        if (index < 0) return false;
+        reactionRole.winners.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Add member to reaction role waitlist, if it isn't there yet.
+     * @private
+     * @param {GuildMember} member - Member who reacted in full reaction role.
+     * @param {ReactionRole} reactionRole - Full reaction role.
+     * @return {Promise<void>}
+     */
+    async __queueWaitlist(member, reactionRole) {
+        if (reactionRole.waitlisted.includes(member.id)) return;
+
+        reactionRole.waitlisted.push(member.id);
+        await this.store(reactionRole);
+        this.emit(ReactionRoleEvent.WAITLIST_QUEUED, member, reactionRole, reactionRole.waitlisted.length);
+        this.__debug(
+            'WAITLIST',
+            `Member '${member.id}' is #${reactionRole.waitlisted.length} in waitlist of reaction role '${reactionRole.id}'.`,
+        );
+        // Slots may be free if a promotion failed before, so queue is checked now.
+        this.__promoteWaitlist(reactionRole);
+    }
+
+    /**
+     * Promote waitlisted members, first ones first, while reaction role has free slots.
+     * Members who left, took off the reaction or don't have requirements anymore are skipped.
+     * It's called without waiting (promotion may run inside other waitlist actions), so errors are logged instead of rejected.
+     * @private
+     * @param {ReactionRole} reactionRole - Reaction role with waitlist.
+     * @return {Promise<void>}
+     */
+    async __promoteWaitlist(reactionRole) {
+        if (!reactionRole.waitlist || reactionRole.waitlisted.length === 0) return;
+
+        await locker.acquire(`waitlist-${reactionRole.id}`, async () => {
+            const hasFreeSlot = () => !reactionRole.disabled
+                && !reactionRole.closed
+                && (reactionRole.max <= 0 || reactionRole.winners.length < reactionRole.max);
+            if (!hasFreeSlot() || !this.reactionRoles.has(reactionRole.id)) return;
+
+            const guild = this.client.guilds.cache.get(reactionRole.guild);
+            const reaction = await this.__fetchReaction(reactionRole);
+            if (!guild || !reaction) return;
+            const users = await reaction.users.fetch();
+
+            while (reactionRole.waitlisted.length > 0 && hasFreeSlot()) {
+                const memberId = reactionRole.waitlisted.shift();
+                await this.store(reactionRole);
+
+                const member = guild.members.cache.get(memberId);
+                if (!member || !users.has(memberId)) {
+                    this.__debug('WAITLIST', `Member '${memberId}' was skipped in waitlist of '${reactionRole.id}', it left or took off the reaction.`);
+                    continue;
+                }
+
+                try {
+                    await this.__handleReactionRoleAction(ActionType.GIVE, member, reactionRole, reaction, ActionTrigger.WAITLIST);
+                } catch (error) {
+                    this.__debug('WAITLIST', `Failed to promote member '${memberId}' in waitlist of '${reactionRole.id}'.`, error);
+                    continue;
+                }
+
+                // Captchas and toggled roles give the roles later, so their slot is kept.
+                const pending = this.__pendingCaptchas.has(`${reactionRole.id}-${memberId}`) || reactionRole.isToggle;
+                if (!reactionRole.winners.includes(memberId) && pending) break;
+            }
+        }).catch((error) => this.__debug('WAITLIST', `Failed to promote waitlist of '${reactionRole.id}'.`, error));
+    }
+
+    /**
+     * Remove member who left the server from winners and waitlists, promoting next waitlisted members.
+     * @private
+     * @param {GuildMember} member - Member who left.
+     * @return {Promise<void>}
+     */
+    async __onMemberRemove(member) {
+        const reactionRoles = [...this.reactionRoles.filter((rr) => rr.guild === member.guild.id).values()];
+        for (let i = 0; i < reactionRoles.length; i += 1) {
+            const reactionRole = reactionRoles[i];
+            const won = this.__removeWinner(reactionRole, member.id);
+            if (won || removeFromWaitlist(reactionRole, member.id)) {
+                await this.store(reactionRole);
+                if (won) this.__promoteWaitlist(reactionRole);
+            }
+        }
+    }
+
+    /**
+     * Fetch message reaction of a reaction role. Button and select menu reaction roles get a component reaction.
+     * @private
+     * @param {ReactionRole} reactionRole - Reaction role to fetch its reaction.
+     * @return {Promise<MessageReaction|ComponentReaction?>}
+     */
+    async __fetchReaction(reactionRole) {
+        const guild = this.client.guilds.cache.get(reactionRole.guild);
+        const channel = guild ? guild.channels.cache.get(reactionRole.channel) : null;
+        if (!channel) return null;
+
+        const message = await channel.messages.fetch(reactionRole.message);
+        if (!message) return null;
+        if (message.partial) await message.fetch();
+        if (reactionRole.isComponent) {
+            const interacting = [...this.__pendingInteractions.keys()]
+                .filter((key) => key.startsWith(`${reactionRole.id}-`))
+                .map((key) => key.slice(reactionRole.id.length + 1));
+            const users = new Collection();
+            [...reactionRole.winners, ...reactionRole.waitlisted, ...interacting].forEach((memberId) => {
+                const member = guild.members.cache.get(memberId);
+                if (member) users.set(memberId, member.user);
+            });
+            return new ComponentReaction(message, users);
+        }
+        return message.reactions.cache.find((x) => reactionRole.id === `${message.id}-${this.__resolveReactionEmoji(x.emoji)}`) || null;
+    }
+
+    /**
+     * Update message of a reaction role: components with its button and select menu reaction roles, and its panel embed.
+     * Disabled reaction roles are removed from both. Messages without components or panel aren't updated.
+     * @private
+     * @param {ReactionRole} reactionRole - Some reaction role of the message, it can be already deleted.
+     * @return {Promise<void>}
+     */
+    async __syncMessage(reactionRole) {
+        const reactionRoles = [...this.reactionRoles.filter((rr) => rr.message === reactionRole.message).values()];
+        const hasComponents = reactionRole.isComponent || reactionRoles.some((rr) => rr.isComponent);
+        const isPanel = reactionRole.panel || reactionRoles.some((rr) => rr.panel);
+        if (!hasComponents && !isPanel) return;
+
+        const guild = this.client.guilds.cache.get(reactionRole.guild);
+        const channel = guild ? guild.channels.cache.get(reactionRole.channel) : null;
+        if (!channel) return;
+
+        const message = await channel.messages.fetch(reactionRole.message);
+        const options = {};
+        if (hasComponents) {
+            // Closed components are kept in message, unless they are cleared on close.
+            const components = reactionRoles.filter((rr) => rr.isComponent && !rr.disabled && !(rr.closed && rr.clearOnClose));
+            options.components = buildComponentRows(components, guild);
+        }
+        if (isPanel) {
+            // Panel header is kept from current embed, only entries are rebuilt.
+            const [embed] = message.embeds;
+            options.embeds = [buildPanelEmbed(embed || {}, reactionRoles.filter((rr) => rr.panel), this.client)];
         }
+        await message.edit(options);
+        this.__debug('ROLE', `Message '${message.id}' was updated with ${reactionRoles.length} reaction roles.`);
+    }
+
+    /**
+     * Set when temporary reaction role expires for member (if not set yet) and arm its timer.
+     * @private
+     * @param {ReactionRole} reactionRole - Temporary reaction role.
+     * @param {string} memberId - Member who won the roles.
+     * @return {void}
+     */
+    __armExpiration(reactionRole, memberId) {
+        if (!reactionRole.isTemporary && !reactionRole.expirations[memberId]) return;
+        if (!reactionRole.expirations[memberId]) reactionRole.expirations[memberId] = Date.now() + reactionRole.duration;
+
+        const key = `expire-${reactionRole.id}-${memberId}`;
+        const timeout = this.timeouts.get(key);
+        if (timeout) clearTimeout(timeout);
+
+        const delay = Math.max(0, Math.min(reactionRole.expirations[memberId] - Date.now(), Constants.MAX_TIMEOUT));
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            if (reactionRole.expirations[memberId] > Date.now()) this.__armExpiration(reactionRole, memberId);
+            else {
+                this.__expireReactionRole(reactionRole, memberId)
+                    .catch((error) => this.__debug('EXPIRE', `Failed to expire reaction role '${reactionRole.id}' for member '${memberId}'.`, error));
+            }
+        }, delay));
+    }
+
+    /**
+     * Arm timeout to open or close a scheduled reaction role. If close time was passed (like while bot was offline), it's closed now.
+     * @private
+     * @param {ReactionRole} reactionRole - Scheduled reaction role.
+     * @return {Promise<void>}
+     */
+    async __armSchedule(reactionRole) {
+        this.__clearSchedule(reactionRole);
+        if (!reactionRole.isScheduled || reactionRole.disabled || reactionRole.closed) return;
+
+        const now = Date.now();
+        const next = reactionRole.opensAt !== null && reactionRole.opensAt > now ? reactionRole.opensAt : reactionRole.closesAt;
+        if (next === null) return;
+        if (next <= now) {
+            await this.__closeReactionRole(reactionRole);
+            return;
+        }
+
+        const key = `schedule-${reactionRole.id}`;
+        this.timeouts.set(key, setTimeout(() => {
+            this.timeouts.delete(key);
+            if (next === reactionRole.opensAt && reactionRole.isOpen) {
+                this.emit(ReactionRoleEvent.REACTION_ROLE_OPENED, reactionRole);
+                this.__debug('SCHEDULE', `Reaction role '${reactionRole.id}' was opened.`);
+            }
+            this.__armSchedule(reactionRole)
+                .catch((error) => this.__debug('SCHEDULE', `Failed to close reaction role '${reactionRole.id}'.`, error));
+        }, Math.min(next - now, Constants.MAX_TIMEOUT)));
+    }
+
+    /**
+     * Clear timeout to open or close a scheduled reaction role.
+     * @private
+     * @param {ReactionRole} reactionRole - Scheduled reaction role.
+     * @return {void}
+     */
+    __clearSchedule(reactionRole) {
+        const key = `schedule-${reactionRole.id}`;
+        const timeout = this.timeouts.get(key);
+        if (timeout) clearTimeout(timeout);
+        this.timeouts.delete(key);
+    }
+
+    /**
+     * Close a scheduled reaction role: it's marked as closed and, if `clearOnClose` is enabled, its reaction (or component) is removed from message.
+     * Panels don't list closed reaction roles.
+     * @private
+     * @param {ReactionRole} reactionRole - Scheduled reaction role.
+     * @return {Promise<void>}
+     */
+    async __closeReactionRole(reactionRole) {
+        reactionRole.closed = true;
+        if ((reactionRole.clearOnClose && reactionRole.isComponent) || reactionRole.panel) {
+            await this.__syncMessage(reactionRole).catch((error) => this.__debug(
+                'SCHEDULE',
+                `Cannot remove closed reaction role '${reactionRole.id}' from message components or panel.`,
+                error,
+            ));
+        }
+        if (reactionRole.clearOnClose && !reactionRole.isComponent) {
+            const reaction = await this.__fetchReaction(reactionRole);
+            if (reaction) {
+                await reaction.remove().catch((error) => this.__debug(
+                    'SCHEDULE',
+                    `Cannot remove reaction of closed reaction role '${reactionRole.id}'.`,
+                    error,
+                ));
+            }
+        }
+        await this.store(reactionRole);
+
+        this.emit(ReactionRoleEvent.REACTION_ROLE_CLOSED, reactionRole);
+        this.__debug('SCHEDULE', `Reaction role '${reactionRole.id}' was closed.`);
+    }
+
+    /**
+     * Forget when temporary reaction role expires for member, because member lost the roles.
+     * @private
+     * @param {ReactionRole} reactionRole - Temporary reaction role.
+     * @param {string} memberId - Member who lost the roles.
+     * @return {void}
+     */
+    __clearExpiration(reactionRole, memberId) {
+        const key = `expire-${reactionRole.id}-${memberId}`;
+        const timeout = this.timeouts.get(key);
+        if (timeout) clearTimeout(timeout);
+        this.timeouts.delete(key);
+        delete reactionRole.expirations[memberId];
+    }
+
+    /**
+     * Take temporary reaction role roles and reaction from member, because its time is over.
+     * Member is removed from winners only when its roles were taken or it left the server, otherwise it expires again on next reconcile.
+     * @private
+     * @param {ReactionRole} reactionRole - Temporary reaction role.
+     * @param {string} memberId - Member who will lose the roles.
+     * @return {Promise<void>}
+     */
+    async __expireReactionRole(reactionRole, memberId) {
+        let member = null;
+        let rolesTaken = [];
+        try {
+            const guild = this.client.guilds.cache.get(reactionRole.guild);
+            if (!guild) throw new Error(`Guild '${reactionRole.guild}' wasn't found.`);
+
+            // Members may not be cached, like after a restart.
+            member = await guild.members.fetch(memberId).catch((error) => {
+                if (error && error.code === 10007) return null; // Unknown member, it left the server.
+                throw error;
+            });
+            if (member) rolesTaken = await this.__takeRoles(member, reactionRole, ActionTrigger.EXPIRE);
+        } catch (error) {
+            this.__debug(
+                'EXPIRE',
+                `Failed to expire reaction role '${reactionRole.id}' for member '${memberId}', it will be retried on next reconcile.`,
+                error,
+            );
+            return;
+        }
+
+        this.__removeWinner(reactionRole, memberId);
+        this.__promoteWaitlist(reactionRole);
+        try {
+            if (member) {
+                const reaction = await this.__fetchReaction(reactionRole);
+                if (reaction) await reaction.users.remove(memberId);
+
+                this.emit(ReactionRoleEvent.REACTION_ROLE_EXPIRE, member, rolesTaken, reactionRole);
+                this.__debug(
+                    'EXPIRE',
+                    `Temporary reaction role '${reactionRole.id}' expired for member '${memberId}'.`,
+                );
+            }
+            await this.store(reactionRole);
+        } catch (error) {
+            this.__debug('EXPIRE', `Failed to remove reaction of member '${memberId}' from expired reaction role '${reactionRole.id}'.`, error);
+        }
+    }
+
+    /**
+     * Take off reaction role roles from member, whatever reaction role type is. Used when member loses roles without taking off its reaction.
+     * @private
+     * @param {GuildMember} member - Member who will lose the roles.
+     * @param {ReactionRole} reactionRole - Reaction role with roles to take off.
+     * @param {ActionTrigger} trigger - Why member loses the roles.
+     * @return {Promise<Role[]>} Roles taken.
+     */
+    async __takeRoles(member, reactionRole, trigger) {
+        const rolesTaken = [];
+        const rolesWithPermission = this.__checkRolesPermissions(ActionType.TAKE, reactionRole, member);
+        for (let i = 0; i < rolesWithPermission.length; i++) {
+            const role = rolesWithPermission[i];
+            if (member.roles.cache.has(role.id) && await this.hooks.preRoleRemoveHook(member, role, reactionRole)) {
+                await member.roles.remove(role);
+                rolesTaken.push(role);
+                this.emit(ReactionRoleEvent.REACTION_ROLE_REMOVE, member, role);
+                await this.__recordHistory(ActionType.TAKE, member, role, reactionRole, trigger);
+            }
+        }
+
+        if (rolesTaken.length > 0) await this.__runHook('postRoleRemove', member, rolesTaken, reactionRole, trigger, null);
+        return rolesTaken;
     }
 
     /**
@@ -1176,10 +3250,11 @@ class ReactionRoleManager extends EventEmitter {
      * @param {ActionType} action
      * @param {ReactionRole} reactionRole
      * @param {GuildMember} member
+     * @param {string[]} [roleIds=reactionRole.roles] - Roles to check, like swap roles.
      * @return {Role[]}
      */
-    __checkRolesPermissions(action, reactionRole, member) {
-        const roles = reactionRole.roles.map((role) => member.guild.roles.resolve(role)).filter((role) => role);
+    __checkRolesPermissions(action, reactionRole, member, roleIds = reactionRole.roles) {
+        const roles = roleIds.map((role) => member.guild.roles.resolve(role)).filter((role) => role);
         const rolesWithoutPermission = roles.filter((role) => !role.editable && !this.__withoutPermissionsWarned.has(`${role.id}-${member.id}`));
         const rolesWithPermission = roles.filter((role) => role.editable);
         if (rolesWithoutPermission.length > 0) {
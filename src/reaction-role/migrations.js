@@ -0,0 +1,114 @@
+/* eslint-disable no-param-reassign */
+const { ReactionRoleType } = require('./constants');
+
+/**
+ * Current schema version of stored reaction roles.
+ * @type {number}
+ */
+const SCHEMA_VERSION = 3;
+
+/**
+ * Reaction role data migration.
+ * @typedef {object} IMigration
+ * @property {number} version - Schema version after this migration.
+ * @property {string} description - What this migration does.
+ * @property {Function} up - Upgrade reaction role data (in place), returning a list of changes made.
+ */
+
+/**
+ * All reaction role data migrations, sorted by version.
+ * To change stored data format, add a new migration here and increase `SCHEMA_VERSION`.
+ * @type {IMigration[]}
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Replace deprecated `toggle` flag by reaction role type (since 1.7.9).',
+        up(data) {
+            const changes = [];
+            if (data.toggle && Number(data.type) !== ReactionRoleType.TOGGLE) {
+                data.type = ReactionRoleType.TOGGLE;
+                changes.push('type set to TOGGLE from deprecated toggle flag');
+            } else if (data.type === undefined || Number(data.type) === ReactionRoleType.UNKNOWN) {
+                data.type = ReactionRoleType.NORMAL;
+                changes.push('unknown type set to NORMAL');
+            }
+
+            if (data.toggle !== undefined) {
+                delete data.toggle;
+                changes.push('deprecated toggle flag removed');
+            }
+            return changes;
+        },
+    },
+    {
+        version: 2,
+        description: 'Move deprecated `role` to `roles` list (since 1.8.0).',
+        up(data) {
+            const changes = [];
+            if (!Array.isArray(data.roles)) data.roles = [];
+            if (data.role) {
+                const roleId = data.role.id || data.role;
+                if (!data.roles.includes(roleId)) {
+                    data.roles.push(roleId);
+                    changes.push(`role '${roleId}' moved to roles list`);
+                }
+            }
+
+            if (data.role !== undefined) {
+                delete data.role;
+                changes.push('deprecated role field removed');
+            }
+            return changes;
+        },
+    },
+    {
+        version: 3,
+        description: 'Mark disabled reaction roles as deleted, because only deleted reaction roles were disabled before `deleted` flag.',
+        up(data) {
+            if (!data.disabled || data.deleted !== undefined) return [];
+            data.deleted = true;
+            return ['disabled reaction role marked as deleted'];
+        },
+    },
+];
+
+/**
+ * Reaction role migration report.
+ * @typedef {object} IMigrationReport
+ * @property {object} data - Migrated reaction role data.
+ * @property {number} from - Schema version before migration.
+ * @property {number} to - Schema version after migration.
+ * @property {string[]} changes - All changes made in reaction role data.
+ */
+
+/**
+ * Upgrade reaction role data to current schema version. Given data isn't changed.
+ * @param {object} data - Reaction role data.
+ * @return {IMigrationReport}
+ */
+function migrateReactionRole(data) {
+    const migrated = { ...data };
+    if (Array.isArray(data.roles)) migrated.roles = [...data.roles];
+
+    const from = Number(data.schemaVersion) || 0;
+    const changes = [];
+    for (let i = 0; i < MIGRATIONS.length; i += 1) {
+        const migration = MIGRATIONS[i];
+        if (migration.version > from) changes.push(...migration.up(migrated));
+    }
+    migrated.schemaVersion = Math.max(from, SCHEMA_VERSION);
+
+    return {
+        data: migrated,
+        from,
+        to: migrated.schemaVersion,
+        changes,
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    migrateReactionRole,
+};
@@ -0,0 +1,145 @@
+const { RequirementType, NotificationType } = require('./constants');
+
+/**
+ * Default notification templates, by notification type.
+ * Placeholders: `{member}`, `{memberName}`, `{roles}`, `{guild}`, `{missing}`, `{max}` and `{position}` (waitlist position).
+ * Button and select menu replies use templates too, they are never sent by DM or in channel.
+ * @type {Object<string, string>}
+ * @readonly
+ */
+const DEFAULT_NOTIFICATION_TEMPLATES = Object.freeze({
+    [NotificationType.MISSING_REQUIREMENTS]: '{member}, you cannot win {roles} in **{guild}**: {missing}.',
+    [NotificationType.MAX_REACHED]: '{member}, {roles} in **{guild}** reached its limit of {max} members.',
+    [NotificationType.MISSING_PERMISSIONS]: '{member}, I cannot manage {roles} in **{guild}**, please tell a moderator.',
+    [NotificationType.JUST_LOSE]: '{member}, this reaction only takes off {roles}, you cannot win it here.',
+    [NotificationType.ROLES_WON]: 'You won {roles}.',
+    [NotificationType.ROLES_LOST]: 'You lost {roles}.',
+    [NotificationType.WAITLISTED]: '{roles} is full, you are #{position} in the waitlist.',
+    [NotificationType.WAITLIST_LEFT]: 'You left the waitlist of {roles}.',
+    [NotificationType.NOT_OPEN]: '{roles} is not open.',
+    [NotificationType.THROTTLED]: 'Wait a moment before picking {roles} again.',
+    [NotificationType.CAPTCHA_PENDING]: 'Solve the captcha to win {roles}.',
+    [NotificationType.NOTHING_CHANGED]: 'Nothing changed.',
+    [NotificationType.UNAVAILABLE]: 'These roles are not available anymore.',
+    [NotificationType.INTERACTION_FAILED]: 'Something went wrong, try again later.',
+});
+
+/**
+ * Context given to notification templates.
+ * @typedef {object} INotificationContext
+ * @property {NotificationType} type - Why member is notified.
+ * @property {import('discord.js').GuildMember} member - Notified member.
+ * @property {import('./reactionRole').ReactionRole?} reactionRole - Reaction role what member reacted, null for replies about whole interaction.
+ * @property {import('discord.js').Role[]} roles - Roles of reaction role (or roles bot cannot manage, for missing permissions).
+ * @property {RequirementType?} requirement - Missing requirement type, only for missing requirements.
+ * @property {any} missing - What member is missing, only for missing requirements.
+ * @property {number?} [position] - Waitlist position, only for waitlisted replies.
+ */
+
+/**
+ * Format a time in ms, like `2d 3h` or `5m 10s`.
+ * @private
+ * @param {number} ms - Time in ms.
+ * @return {string}
+ */
+function formatDuration(ms) {
+    const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    const parts = [];
+    let remaining = Math.max(ms, 1000);
+    for (let i = 0; i < units.length && parts.length < 2; i += 1) {
+        const [unit, size] = units[i];
+        const value = Math.floor(remaining / size);
+        if (value > 0 || parts.length > 0) parts.push(`${value}${unit}`);
+        remaining -= value * size;
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Format role names of roles or role ID's.
+ * @private
+ * @param {Array<import('discord.js').Role|string>} roles - Roles or role ID's.
+ * @param {import('discord.js').Guild} guild - Guild of roles.
+ * @return {string}
+ */
+function formatRoles(roles, guild) {
+    return roles
+        .map((role) => (typeof role === 'string' ? guild.roles.cache.get(role) : role))
+        .filter((role) => role)
+        .map((role) => `**${role.name}**`)
+        .join(', ');
+}
+
+/**
+ * Describe a missing requirement to members, like `you need to be a server booster`.
+ * @param {RequirementType} type - Missing requirement type.
+ * @param {any} missing - What member is missing, like `missingRequirements` event gives.
+ * @param {import('discord.js').Guild} guild - Guild of reaction role, used to find role names.
+ * @return {string}
+ */
+function formatMissingRequirement(type, missing, guild) {
+    switch (type) {
+    case RequirementType.BOOST:
+        return 'you need to be a server booster';
+    case RequirementType.VERIFIED_DEVELOPER:
+        return 'you need to be a verified bot developer';
+    case RequirementType.PERMISSION:
+        return `you need the permissions ${(missing || []).map((permission) => `\`${permission}\``).join(', ')}`;
+    case RequirementType.ROLES: {
+        if (Array.isArray(missing)) return `you need the roles ${formatRoles(missing, guild)}`;
+        const reasons = [];
+        if (missing && missing.withoutAllowedRoles.length > 0) reasons.push(`you need the roles ${formatRoles(missing.withoutAllowedRoles, guild)}`);
+        if (missing && missing.withDeniedRoles.length > 0) reasons.push(`you cannot have the roles ${formatRoles(missing.withDeniedRoles, guild)}`);
+        return reasons.join(' and ');
+    }
+    case RequirementType.USERS:
+        return 'you are not allowed to win it';
+    case RequirementType.ACCOUNT_AGE:
+        return `your account is too new, try again in ${formatDuration(missing)}`;
+    case RequirementType.MEMBER_AGE:
+        return `you joined recently, try again in ${formatDuration(missing)}`;
+    case RequirementType.CUSTOM:
+        if (missing && typeof missing.reason === 'string') return missing.reason;
+        return `you don't have the requirement '${missing ? missing.name : 'unknown'}'`;
+    case RequirementType.EXPRESSION:
+        if (!missing) return 'you don\'t have all requirements';
+        if (missing.operator === 'or') {
+            return missing.failures.map((failure) => formatMissingRequirement(RequirementType.EXPRESSION, failure, guild)).join(' or ');
+        }
+        if (missing.operator) return 'you don\'t have all requirements';
+        return formatMissingRequirement(missing.type, missing.missing, guild);
+    default:
+        return 'you don\'t have all requirements';
+    }
+}
+
+/**
+ * Render a notification template, replacing its placeholders. Unknown placeholders are kept.
+ * @param {string|Function} template - Template text, or a function receiving context and returning message content (or options).
+ * @param {INotificationContext} context - Notification context.
+ * @return {Promise<string|object|null>} Null if nothing must be sent.
+ */
+async function renderNotification(template, context) {
+    if (typeof template === 'function') return (await template(context)) || null;
+    if (typeof template !== 'string' || !template) return null;
+
+    const { member, reactionRole } = context;
+    const values = {
+        member: member.toString(),
+        memberName: member.displayName,
+        roles: formatRoles(context.roles, member.guild) || 'the role',
+        guild: member.guild.name,
+        missing: context.type === NotificationType.MISSING_REQUIREMENTS
+            ? formatMissingRequirement(context.requirement, context.missing, member.guild)
+            : '',
+        max: !reactionRole || reactionRole.max >= Number.MAX_SAFE_INTEGER ? '∞' : String(reactionRole.max),
+        position: context.position ? String(context.position) : '',
+    };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : values[key]));
+}
+
+module.exports = {
+    DEFAULT_NOTIFICATION_TEMPLATES,
+    formatMissingRequirement,
+    renderNotification,
+};
@@ -0,0 +1,54 @@
+/**
+ * Max entries listed in a panel embed, like embed fields limit.
+ * @private
+ */
+const MAX_PANEL_ENTRIES = 25;
+
+/**
+ * Entry of a reaction role panel: one emoji and its roles.
+ * @typedef {object} IPanelEntry
+ * @property {import('discord.js').EmojiResolvable} emoji - Emoji what members react (or of button/select menu option).
+ * @property {import('discord.js').RoleResolvable[]} roles - Roles given by this entry.
+ * @property {import('./constants').ReactionRoleType} [type=1] - Type of reaction role.
+ * @property {import('./reactionRole').IRequirementType} [requirements] - Requirements to win roles.
+ * @property {string} [description] - Entry description, listed in panel embed.
+ */
+
+/**
+ * Build panel embed of a message, listing emoji → roles of each enabled reaction role. Disabled and closed ones aren't listed.
+ * @param {object} header - Panel header.
+ * @param {string} header.title - Panel title.
+ * @param {string?} [header.description=null] - Text above entries.
+ * @param {number?} [header.color=null] - Embed color.
+ * @param {import('./reactionRole').ReactionRole[]} reactionRoles - Reaction roles of panel message.
+ * @param {import('discord.js').Client} client - Client, used to find emojis and roles.
+ * @return {object} Embed, like Discord API.
+ */
+function buildPanelEmbed({ title, description = null, color = null }, reactionRoles, client) {
+    const fields = reactionRoles
+        .filter((rr) => !rr.disabled && !rr.closed)
+        .slice(0, MAX_PANEL_ENTRIES)
+        .map((reactionRole) => {
+            const guild = client.guilds.cache.get(reactionRole.guild);
+            const customEmoji = client.emojis.resolve(reactionRole.emoji);
+            const roles = reactionRole.roles
+                .map((roleId) => (guild ? guild.roles.cache.get(roleId) : null))
+                .filter((role) => role);
+            const emoji = customEmoji ? customEmoji.toString() : decodeURIComponent(reactionRole.emoji);
+            return {
+                name: `${emoji} → ${roles.map((role) => role.name).join(', ') || 'deleted role'}`.slice(0, 256),
+                value: reactionRole.description || roles.map((role) => role.toString()).join(' ') || '\u200b',
+            };
+        });
+
+    return {
+        title,
+        description: description || null,
+        color: color || null,
+        fields,
+    };
+}
+
+module.exports = {
+    buildPanelEmbed,
+};
@@ -1,7 +1,11 @@
 const {
     GuildMember, PermissionResolvable, RoleResolvable, UserResolvable,
 } = require('discord.js');
-const { ReactionRoleType, isValidReactionRoleType } = require('./constants');
+const {
+    ReactionRoleType, SelectionPolicy, CaptchaMode, ClosePolicy, SwapRemovePolicy, NotificationMode, ReactionRoleComponent, isValidReactionRoleType,
+} = require('./constants');
+const { SCHEMA_VERSION, migrateReactionRole } = require('./migrations');
+const { validateCustomRequirement, validateRequirementExpression } = require('./requirements');
 
 /**
  * Requirement type object struct
@@ -11,6 +15,10 @@ const { ReactionRoleType, isValidReactionRoleType } = require('./constants');
  * @property {IRequirementRolesType} [roles={}] - Roles requirements
  * @property {IRequirementUsersType} [users=false] - Users requirements
  * @property {PermissionResolvable[]} [permissionsNeed=[]] - Permissions requirements
+ * @property {number} [accountAge=0] - Min age in ms of member discord account, 0 is no requirement.
+ * @property {number} [memberAge=0] - Min time in ms member must be in the server, 0 is no requirement.
+ * @property {Array<ICustomRequirement|string>} [custom=[]] - Custom requirements registered in manager, all must pass.
+ * @property {IRequirementExpression?} [expression=null] - Nested requirements (and/or/not), checked after all other requirements.
  */
 
 /**
@@ -27,6 +35,15 @@ const { ReactionRoleType, isValidReactionRoleType } = require('./constants');
  * @property {UserResolvable[]} [denyList=[]] - List of users ID's denied to win this role.
  */
 
+/**
+ * Notifications of a reaction role, overriding manager notifications.
+ * @typedef {object} IReactionRoleNotifications
+ * @property {NotificationMode} [mode] - Where members are notified, manager mode by default.
+ * @property {Object<string, string?>} [templates={}] - Templates by notification type, null disables a notification type.
+ * @property {number} [deleteAfter] - Time in ms to delete notifications sent in channel (0 keeps them), manager one by default.
+ * @property {boolean} [fallbackToChannel] - If member DM is closed, send notification in reaction role channel. Manager one by default.
+ */
+
 /**
  * Reaction role object structure.
  */
@@ -40,28 +57,79 @@ class ReactionRole {
      * @param {string} data.emoji - Emoji ID of reaction role.
      * @param {string[]} [data.winners=[]] - List with role winners ID;
      * @param {number} [data.max=Number.MAX_SAFE_INTEGER] - Max roles available to give.
-     * @param {boolean} [data.toggle=false] - User will have only one of these message roles.
+     * @param {boolean} [data.toggle=false] - Deprecated since 1.7.9, it's migrated to `type`.
      * @param {IRequirementType} [data.requirements={}] - Requirements to win this role.
      * @param {boolean} [data.disabled=false] - Is this reaction role disabled?
+     * @param {boolean} [data.deleted=false] - Was this reaction role deleted? Deleted reaction roles are kept in storage, but never loaded again.
      * @param {ReactionRoleType} [data.type=1] - Reaction role type
      * @param {string[]} [data.roles=[]] - All roles of this reaction role.
+     * @param {number} [data.schemaVersion=0] - Schema version of this data, older data will be migrated.
+     * @param {number} [data.duration=0] - Time in ms members keep the roles, 0 is forever.
+     * @param {Object<string, number>} [data.expirations={}] - When roles expire (timestamp), by member ID.
+     * @param {number?} [data.cooldown=null] - Time in ms a member must wait to react again in this reaction role, null to use manager default.
+     * @param {string?} [data.group=null] - Group name, linking reaction roles of many messages.
+     * Selections are limited and toggled roles are exclusive by group instead of message.
+     * @param {number} [data.maxSelections=0] - Max reaction roles of same message (or group) a member can win, 0 is unlimited.
+     * @param {SelectionPolicy} [data.selectionPolicy=1] - What to do when member reached max selections.
+     * @param {Object<string, number>} [data.wonAt={}] - When members won this reaction role (timestamp), by member ID.
+     * @param {CaptchaMode} [data.captcha=0] - Where members solve a captcha before win the roles, 0 is without captcha.
+     * @param {number?} [data.opensAt=null] - When this reaction role starts accepting reactions (timestamp), null is already open.
+     * @param {number?} [data.closesAt=null] - When this reaction role stops accepting reactions (timestamp), null is never.
+     * @param {ClosePolicy} [data.closePolicy=1] - What to do with reactions added while this reaction role isn't open.
+     * @param {boolean} [data.clearOnClose=false] - Remove this reaction from message when this reaction role closes.
+     * @param {boolean} [data.closed=false] - Was this reaction role closed by its schedule?
+     * @param {string[]} [data.swapRoles=[]] - Roles taken from members when they win swap reaction role.
+     * @param {SwapRemovePolicy} [data.swapRemovePolicy=1] - What to do when a member takes off the reaction of swap reaction role.
+     * @param {boolean} [data.waitlist=false] - Queue members who react while max winners is reached, promoting them when a winner loses the roles.
+     * @param {string[]} [data.waitlisted=[]] - Waitlisted members ID's, first is next to be promoted.
+     * @param {IReactionRoleNotifications?} [data.notifications=null] - Notifications of this reaction role, manager notifications by default.
+     * @param {ReactionRoleComponent} [data.component=0] - How members win/lose this reaction role: reaction, button or select menu.
+     * @param {string?} [data.label=null] - Label of button or select menu option, role names by default in select menus.
+     * @param {string?} [data.description=null] - Description of select menu option, or of panel entry.
+     * @param {number} [data.buttonStyle=2] - Style of button: 1 primary, 2 secondary, 3 success or 4 danger.
+     * @param {boolean} [data.panel=false] - Is it listed in a panel embed of its message, kept in sync by manager?
      *
      * @return {ReactionRole}
      */
-    constructor({
-        message,
-        channel,
-        guild,
-        role,
-        emoji,
-        winners,
-        max,
-        toggle,
-        requirements,
-        disabled,
-        type,
-        roles,
-    }) {
+    constructor(data) {
+        const {
+            message,
+            channel,
+            guild,
+            emoji,
+            winners,
+            max,
+            requirements,
+            disabled,
+            deleted,
+            type,
+            roles,
+            schemaVersion,
+            duration,
+            expirations,
+            cooldown,
+            group,
+            maxSelections,
+            selectionPolicy,
+            wonAt,
+            captcha,
+            opensAt,
+            closesAt,
+            closePolicy,
+            clearOnClose,
+            closed,
+            swapRoles,
+            swapRemovePolicy,
+            waitlist,
+            waitlisted,
+            notifications,
+            component,
+            label,
+            description,
+            buttonStyle,
+            panel,
+        } = Number(data.schemaVersion) >= SCHEMA_VERSION ? data : migrateReactionRole(data).data;
+
         /**
          * Guild ID of message
          * @type {string}
@@ -80,13 +148,6 @@ class ReactionRole {
          * @readonly
          */
         this.message = message.id ? message.id : message;
-        /**
-         * Role ID
-         * @type {string}
-         * @deprecated since 1.8.0, please use `roles` property instead.
-         * @readonly
-         */
-        this.role = role && role.id ? role.id : role;
         /**
          * Emoji identifier
          * @type {string}
@@ -105,12 +166,6 @@ class ReactionRole {
          */
         // eslint-disable-next-line no-restricted-globals
         this.max = isNaN(max) ? 0 : Number(max);
-        /**
-         * Is it toggled role?
-         * @type {number}
-         * @deprecated since 1.7.9
-         */
-        this.toggle = Boolean(toggle);
         /**
          * Requirement to win this role.
          * @type {IRequirementType}
@@ -127,6 +182,10 @@ class ReactionRole {
                 denyList: [],
             },
             permissionsNeed: [],
+            accountAge: 0,
+            memberAge: 0,
+            custom: [],
+            expression: null,
             ...requirements,
         };
         /**
@@ -134,6 +193,11 @@ class ReactionRole {
          * @type {boolean}
          */
         this.disabled = Boolean(disabled);
+        /**
+         * Was this reaction role deleted? It cannot be enabled again.
+         * @type {boolean}
+         */
+        this.deleted = Boolean(deleted);
         /**
          * This reaction role type.
          * @type {ReactionRoleType}
@@ -144,9 +208,133 @@ class ReactionRole {
          * @type {string[]}
          */
         this.roles = Array.isArray(roles) ? roles : [];
+        /**
+         * Schema version of this reaction role data.
+         * @type {number}
+         * @readonly
+         */
+        this.schemaVersion = Number(schemaVersion);
+        /**
+         * Time in ms members keep the roles, 0 is forever.
+         * @type {number}
+         */
+        this.duration = Number(duration) || 0;
+        /**
+         * When roles expire (timestamp), by member ID.
+         * @type {Object<string, number>}
+         * @readonly
+         */
+        this.expirations = { ...expirations };
+        /**
+         * Time in ms a member must wait to react again in this reaction role, null to use manager default.
+         * @type {number?}
+         */
+        this.cooldown = cooldown === undefined || cooldown === null ? null : Number(cooldown);
+        /**
+         * Group name, linking reaction roles of many messages (max selections and toggled roles).
+         * @type {string?}
+         */
+        this.group = group || null;
+        /**
+         * Max reaction roles of same message (or group) a member can win, 0 is unlimited.
+         * @type {number}
+         */
+        this.maxSelections = Number(maxSelections) || 0;
+        /**
+         * What to do when member reached max selections.
+         * @type {SelectionPolicy}
+         */
+        this.selectionPolicy = Number(selectionPolicy) || SelectionPolicy.REJECT;
+        /**
+         * When members won this reaction role (timestamp), by member ID.
+         * @type {Object<string, number>}
+         * @readonly
+         */
+        this.wonAt = { ...wonAt };
+        /**
+         * Where members solve a captcha before win the roles.
+         * @type {CaptchaMode}
+         */
+        this.captcha = Number(captcha) || CaptchaMode.NONE;
+        /**
+         * When this reaction role starts accepting reactions (timestamp), null is already open.
+         * @type {number?}
+         */
+        this.opensAt = opensAt === undefined || opensAt === null ? null : Number(opensAt);
+        /**
+         * When this reaction role stops accepting reactions (timestamp), null is never.
+         * When it closes, it's marked as closed, not disabled.
+         * @type {number?}
+         */
+        this.closesAt = closesAt === undefined || closesAt === null ? null : Number(closesAt);
+        /**
+         * What to do with reactions added while this reaction role isn't open.
+         * @type {ClosePolicy}
+         */
+        this.closePolicy = Number(closePolicy) || ClosePolicy.IGNORE;
+        /**
+         * Remove this reaction from message when this reaction role closes.
+         * @type {boolean}
+         */
+        this.clearOnClose = Boolean(clearOnClose);
+        /**
+         * Was this reaction role closed by its schedule? Closed reaction roles are kept (and loaded after restart) to apply close policy.
+         * @type {boolean}
+         */
+        this.closed = Boolean(closed);
+        /**
+         * Roles ID's taken from members when they win swap reaction role.
+         * @type {string[]}
+         */
+        this.swapRoles = Array.isArray(swapRoles) ? swapRoles : [];
+        /**
+         * What to do when a member takes off the reaction of swap reaction role.
+         * @type {SwapRemovePolicy}
+         */
+        this.swapRemovePolicy = Number(swapRemovePolicy) || SwapRemovePolicy.KEEP;
+        /**
+         * Queue members who react while max winners is reached.
+         * @type {boolean}
+         */
+        this.waitlist = Boolean(waitlist);
+        /**
+         * Waitlisted members ID's, first is next to be promoted.
+         * @type {string[]}
+         * @readonly
+         */
+        this.waitlisted = Array.isArray(waitlisted) ? waitlisted : [];
+        /**
+         * Notifications of this reaction role, null uses manager notifications.
+         * @type {IReactionRoleNotifications?}
+         */
+        this.notifications = notifications || null;
+        /**
+         * How members win/lose this reaction role: reaction, button or select menu.
+         * @type {ReactionRoleComponent}
+         */
+        this.component = Number(component) || ReactionRoleComponent.REACTION;
+        /**
+         * Label of button or select menu option.
+         * @type {string?}
+         */
+        this.label = label || null;
+        /**
+         * Description of select menu option, or of panel entry.
+         * @type {string?}
+         */
+        this.description = description || null;
+        /**
+         * Style of button: 1 primary, 2 secondary, 3 success or 4 danger.
+         * @type {number}
+         */
+        this.buttonStyle = Number(buttonStyle) || 2;
+        /**
+         * Is it listed in a panel embed of its message, kept in sync by manager?
+         * @type {boolean}
+         */
+        this.panel = Boolean(panel);
 
         this.__check();
-        this.__handleDeprecation();
         if (!isValidReactionRoleType(this.type)) throw new Error(`Unexpected Reaction Role Type: '${this.type}' is not a valid type.`);
     }
 
@@ -159,6 +347,26 @@ class ReactionRole {
         return `${this.message}-${this.emoji}`;
     }
 
+    /**
+     * Role ID
+     * @type {string}
+     * @deprecated since 1.8.0, please use `roles` property instead.
+     * @readonly
+     */
+    get role() {
+        return this.roles[0];
+    }
+
+    /**
+     * Is it toggled role?
+     * @type {boolean}
+     * @deprecated since 1.7.9, please use `isToggle` property instead.
+     * @readonly
+     */
+    get toggle() {
+        return this.isToggle;
+    }
+
     /**
      * Is this Reaction Toggle Role?
      * @type {boolean}
@@ -168,6 +376,34 @@ class ReactionRole {
         return this.type === ReactionRoleType.TOGGLE;
     }
 
+    /**
+     * Is this a temporary Reaction Role?
+     * @type {boolean}
+     * @readonly
+     */
+    get isTemporary() {
+        return this.duration > 0;
+    }
+
+    /**
+     * Has this reaction role an open/close schedule?
+     * @type {boolean}
+     * @readonly
+     */
+    get isScheduled() {
+        return this.opensAt !== null || this.closesAt !== null;
+    }
+
+    /**
+     * Is this reaction role accepting reactions now? Reaction roles without schedule are always open.
+     * @type {boolean}
+     * @readonly
+     */
+    get isOpen() {
+        const now = Date.now();
+        return (this.opensAt === null || now >= this.opensAt) && (this.closesAt === null || now < this.closesAt);
+    }
+
     /**
      * Is this Normal Reaction Role?
      * @type {boolean}
@@ -204,6 +440,24 @@ class ReactionRole {
         return this.type === ReactionRoleType.REVERSED;
     }
 
+    /**
+     * Is this reaction role won by a button or select menu, instead of a reaction?
+     * @type {boolean}
+     * @readonly
+     */
+    get isComponent() {
+        return this.component !== ReactionRoleComponent.REACTION;
+    }
+
+    /**
+     * Is this Swap Reaction Role?
+     * @type {boolean}
+     * @readonly
+     */
+    get isSwap() {
+        return this.type === ReactionRoleType.SWAP;
+    }
+
     /**
      * Convert Reaction Role object to JSON.
      * @return {JSON} - Parsed json object.
@@ -219,8 +473,33 @@ class ReactionRole {
             max: this.max,
             requirements: this.requirements,
             disabled: this.disabled,
+            deleted: this.deleted,
             type: this.type,
             roles: this.roles,
+            schemaVersion: this.schemaVersion,
+            duration: this.duration,
+            expirations: this.expirations,
+            cooldown: this.cooldown,
+            group: this.group,
+            maxSelections: this.maxSelections,
+            selectionPolicy: this.selectionPolicy,
+            wonAt: this.wonAt,
+            captcha: this.captcha,
+            opensAt: this.opensAt,
+            closesAt: this.closesAt,
+            closePolicy: this.closePolicy,
+            clearOnClose: this.clearOnClose,
+            closed: this.closed,
+            swapRoles: this.swapRoles,
+            swapRemovePolicy: this.swapRemovePolicy,
+            waitlist: this.waitlist,
+            waitlisted: this.waitlisted,
+            notifications: this.notifications,
+            component: this.component,
+            label: this.label,
+            description: this.description,
+            buttonStyle: this.buttonStyle,
+            panel: this.panel,
         };
     }
 
@@ -268,40 +547,115 @@ class ReactionRole {
             toggle: json.toggle,
             requirements: json.requirements,
             disabled: json.disabled,
+            deleted: json.deleted,
             type: json.type,
             roles: json.roles,
+            schemaVersion: json.schemaVersion,
+            duration: json.duration,
+            expirations: json.expirations,
+            cooldown: json.cooldown,
+            group: json.group,
+            maxSelections: json.maxSelections,
+            selectionPolicy: json.selectionPolicy,
+            wonAt: json.wonAt,
+            captcha: json.captcha,
+            opensAt: json.opensAt,
+            closesAt: json.closesAt,
+            closePolicy: json.closePolicy,
+            clearOnClose: json.clearOnClose,
+            closed: json.closed,
+            swapRoles: json.swapRoles,
+            swapRemovePolicy: json.swapRemovePolicy,
+            waitlist: json.waitlist,
+            waitlisted: json.waitlisted,
+            notifications: json.notifications,
+            component: json.component,
+            label: json.label,
+            description: json.description,
+            buttonStyle: json.buttonStyle,
+            panel: json.panel,
         });
     }
 
-    /**
-     * @private
-     */
-    __handleDeprecation() {
-        /**
-         * @since 1.7.9
-         */
-        if (this.max > 10E9 || this.max < 0) this.max = 0; // 1B is max, 0 is inifity.
-
-        if (this.toggle && this.type !== ReactionRoleType.TOGGLE) this.type = ReactionRoleType.TOGGLE;
-        else if (this.type === ReactionRoleType.UNKNOWN) this.type = ReactionRoleType.NORMAL;
-
-        /**
-        * @since 1.8.0
-        */
-        if (this.role && !this.roles.includes(this.role)) this.roles.push(this.role);
-    }
-
     /**
      * @private
      */
     __check() {
+        if (this.max > 10E9 || this.max < 0) this.max = 0; // 1B is max, 0 is inifity.
         this.requirements.boost = Boolean(this.requirements.boost);
         this.requirements.verifiedDeveloper = Boolean(this.requirements.verifiedDeveloper);
         if (typeof this.requirements.boost !== 'boolean') throw new Error('Invalid property: requirements.boost must be a boolean.');
         if (typeof this.requirements.verifiedDeveloper !== 'boolean') throw new Error('Invalid property: requirements.verifiedDeveloper must be a boolean.');
         if (!Array.isArray(this.requirements.roles.allowList)) throw new Error('Invalid property: requirements.roles.allowList must be a array.');
         if (!Array.isArray(this.requirements.roles.denyList)) throw new Error('Invalid property: requirements.roles.denyList must be a array.');
+        if (!Array.isArray(this.requirements.users.allowList)) throw new Error('Invalid property: requirements.users.allowList must be a array.');
+        if (!Array.isArray(this.requirements.users.denyList)) throw new Error('Invalid property: requirements.users.denyList must be a array.');
         if (!Array.isArray(this.requirements.permissionsNeed)) throw new Error('Invalid property: requirements.permissionsNeed must be a array.');
+        this.requirements.accountAge = Number(this.requirements.accountAge) || 0;
+        this.requirements.memberAge = Number(this.requirements.memberAge) || 0;
+        if (this.requirements.accountAge < 0) throw new Error('Invalid property: requirements.accountAge must be a positive number.');
+        if (this.requirements.memberAge < 0) throw new Error('Invalid property: requirements.memberAge must be a positive number.');
+        if (!this.requirements.custom) this.requirements.custom = [];
+        if (!Array.isArray(this.requirements.custom)) throw new Error('Invalid property: requirements.custom must be a array.');
+        this.requirements.custom.forEach((requirement, i) => validateCustomRequirement(requirement, `requirements.custom[${i}]`));
+        if (this.requirements.expression === undefined) this.requirements.expression = null;
+        if (this.requirements.expression !== null) validateRequirementExpression(this.requirements.expression);
+        if (!Number.isFinite(this.duration) || this.duration < 0) throw new Error('Invalid property: duration must be a positive number.');
+        if (this.cooldown !== null && (!Number.isFinite(this.cooldown) || this.cooldown < 0)) {
+            throw new Error('Invalid property: cooldown must be a positive number or null.');
+        }
+        if (this.group !== null && typeof this.group !== 'string') throw new Error('Invalid property: group must be a string.');
+        if (!Number.isInteger(this.maxSelections) || this.maxSelections < 0) throw new Error('Invalid property: maxSelections must be a positive integer.');
+        if (!Object.values(SelectionPolicy).includes(this.selectionPolicy) || this.selectionPolicy === SelectionPolicy.UNKNOWN) {
+            throw new Error(`Invalid property: '${this.selectionPolicy}' is not a valid selection policy.`);
+        }
+        if (!Object.values(CaptchaMode).includes(this.captcha)) throw new Error(`Invalid property: '${this.captcha}' is not a valid captcha mode.`);
+        if (this.opensAt !== null && !Number.isFinite(this.opensAt)) throw new Error('Invalid property: opensAt must be a timestamp or null.');
+        if (this.closesAt !== null && !Number.isFinite(this.closesAt)) throw new Error('Invalid property: closesAt must be a timestamp or null.');
+        if (this.opensAt !== null && this.closesAt !== null && this.closesAt <= this.opensAt) {
+            throw new Error('Invalid property: closesAt must be after opensAt.');
+        }
+        if (!Object.values(ClosePolicy).includes(this.closePolicy) || this.closePolicy === ClosePolicy.UNKNOWN) {
+            throw new Error(`Invalid property: '${this.closePolicy}' is not a valid close policy.`);
+        }
+        if (this.swapRoles.some((role) => this.roles.includes(role))) throw new Error('Invalid property: swapRoles cannot include roles of reaction role.');
+        if (!Object.values(SwapRemovePolicy).includes(this.swapRemovePolicy) || this.swapRemovePolicy === SwapRemovePolicy.UNKNOWN) {
+            throw new Error(`Invalid property: '${this.swapRemovePolicy}' is not a valid swap remove policy.`);
+        }
+        if (this.waitlisted.some((memberId) => this.winners.includes(memberId))) throw new Error('Invalid property: waitlisted members cannot be winners.');
+        if (!Object.values(ReactionRoleComponent).includes(this.component)) {
+            throw new Error(`Invalid property: '${this.component}' is not a valid reaction role component.`);
+        }
+        if (![1, 2, 3, 4].includes(this.buttonStyle)) throw new Error(`Invalid property: '${this.buttonStyle}' is not a valid button style.`);
+        if (this.label !== null && (typeof this.label !== 'string' || this.label.length > 80)) {
+            throw new Error('Invalid property: label must be a string up to 80 characters.');
+        }
+        if (this.description !== null && (typeof this.description !== 'string' || this.description.length > 100)) {
+            throw new Error('Invalid property: description must be a string up to 100 characters.');
+        }
+        if (this.notifications) {
+            const {
+                mode, templates, deleteAfter, fallbackToChannel,
+            } = this.notifications;
+            if (mode !== undefined && !Object.values(NotificationMode).includes(mode)) {
+                throw new Error(`Invalid property: '${mode}' is not a valid notification mode.`);
+            }
+            if (deleteAfter !== undefined && (!Number.isFinite(deleteAfter) || deleteAfter < 0)) {
+                throw new Error('Invalid property: notifications.deleteAfter must be a positive number.');
+            }
+            if (fallbackToChannel !== undefined && typeof fallbackToChannel !== 'boolean') {
+                throw new Error('Invalid property: notifications.fallbackToChannel must be a boolean.');
+            }
+            if (templates !== undefined && (!templates || typeof templates !== 'object')) {
+                throw new Error('Invalid property: notifications.templates must be a object.');
+            }
+            if (templates && Object.values(templates).some((template) => template !== null && typeof template !== 'string')) {
+                throw new Error('Invalid property: notification templates must be strings or null.');
+            }
+        }
+        if (Object.values(this.expirations).some((timestamp) => !Number.isFinite(timestamp))) {
+            throw new Error('Invalid property: expirations must be timestamps by member ID.');
+        }
     }
 }
 
@@ -0,0 +1,277 @@
+const { RequirementType } = require('./constants');
+
+/**
+ * Requirement expression, nested with `and`, `or` and `not` operators.
+ * Each object must have only one key: an operator or a leaf requirement.
+ * @typedef {object} IRequirementExpression
+ * @property {IRequirementExpression[]} [and] - All expressions must pass.
+ * @property {IRequirementExpression[]} [or] - At least one expression must pass.
+ * @property {IRequirementExpression} [not] - Expression must fail.
+ * @property {boolean} [boost] - Member must be a booster.
+ * @property {boolean} [verifiedDeveloper] - Member must be a verified developer.
+ * @property {import('discord.js').PermissionResolvable[]} [permissions] - Member must have all these permissions.
+ * @property {string[]} [roles] - Member must have all these roles.
+ * @property {string[]} [users] - Member must be one of these users.
+ * @property {number} [accountAge] - Min age in ms of member discord account.
+ * @property {number} [memberAge] - Min time in ms member must be in the server.
+ * @property {ICustomRequirement|string} [custom] - Custom requirement registered in manager.
+ * @example
+ * // Booster or supporter, and not muted unless staff.
+ * {
+ *   and: [
+ *     { or: [{ boost: true }, { roles: [supporterRoleId] }] },
+ *     { or: [{ roles: [staffRoleId] }, { not: { roles: [mutedRoleId] } }] },
+ *   ],
+ * }
+ */
+
+/**
+ * Custom requirement, registered in manager with `registerRequirement`.
+ * A string is the same as a custom requirement without options.
+ * @typedef {object} ICustomRequirement
+ * @property {string} name - Name of registered requirement.
+ * @property {any} [options=null] - Options given to requirement predicate, like min level.
+ */
+
+/**
+ * Why a requirement expression failed.
+ * @typedef {object} IRequirementFailure
+ * @property {string} path - Path of failed expression, like `and[1].or`.
+ * @property {string?} operator - Failed operator (`and`, `or` or `not`), null if a leaf requirement failed.
+ * @property {RequirementType?} type - Failed leaf requirement type, null if an operator failed.
+ * @property {any} missing - What member is missing, like permissions, roles or remaining time in ms.
+ * @property {IRequirementFailure[]} failures - Failures of each branch, when an `or` failed.
+ */
+
+/**
+ * Leaf requirements of expressions, with their requirement type.
+ * @private
+ */
+const LEAVES = {
+    boost: RequirementType.BOOST,
+    verifiedDeveloper: RequirementType.VERIFIED_DEVELOPER,
+    permissions: RequirementType.PERMISSION,
+    roles: RequirementType.ROLES,
+    users: RequirementType.USERS,
+    accountAge: RequirementType.ACCOUNT_AGE,
+    memberAge: RequirementType.MEMBER_AGE,
+    custom: RequirementType.CUSTOM,
+};
+
+/**
+ * Check if a custom requirement is valid, throwing if it's not.
+ * @param {ICustomRequirement|string} requirement - Custom requirement to check.
+ * @param {string} path - Path of custom requirement, used in errors.
+ * @return {void}
+ */
+function validateCustomRequirement(requirement, path) {
+    if (typeof requirement === 'string' && requirement) return;
+    if (!requirement || typeof requirement !== 'object' || typeof requirement.name !== 'string' || !requirement.name) {
+        throw new Error(`Invalid property: ${path} must be a requirement name or an object with requirement name.`);
+    }
+}
+
+/**
+ * Check if a requirement expression is valid, throwing if it's not.
+ * @param {IRequirementExpression} expression - Expression to check.
+ * @param {string} [path='requirements.expression'] - Path of expression, used in errors.
+ * @return {void}
+ */
+function validateRequirementExpression(expression, path = 'requirements.expression') {
+    if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+        throw new Error(`Invalid property: ${path} must be an object.`);
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length !== 1) throw new Error(`Invalid property: ${path} must have only one operator or requirement, got '${keys.join(', ')}'.`);
+
+    const [key] = keys;
+    const value = expression[key];
+    switch (key) {
+    case 'and':
+    case 'or':
+        if (!Array.isArray(value) || value.length === 0) throw new Error(`Invalid property: ${path}.${key} must be a non empty array.`);
+        value.forEach((child, i) => validateRequirementExpression(child, `${path}.${key}[${i}]`));
+        break;
+    case 'not':
+        validateRequirementExpression(value, `${path}.not`);
+        break;
+    case 'boost':
+    case 'verifiedDeveloper':
+        if (typeof value !== 'boolean') throw new Error(`Invalid property: ${path}.${key} must be a boolean.`);
+        break;
+    case 'permissions':
+    case 'roles':
+    case 'users':
+        if (!Array.isArray(value)) throw new Error(`Invalid property: ${path}.${key} must be a array.`);
+        break;
+    case 'accountAge':
+    case 'memberAge':
+        if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid property: ${path}.${key} must be a positive number.`);
+        break;
+    case 'custom':
+        validateCustomRequirement(value, `${path}.custom`);
+        break;
+    default:
+        throw new Error(`Invalid property: '${key}' in ${path} is not a valid operator or requirement.`);
+    }
+}
+
+/**
+ * Get when member joined the server. Partial or uncached members may not have join date, so they are fetched.
+ * @param {import('discord.js').GuildMember} member - Member to check.
+ * @return {Promise<number?>} Join timestamp, null if it's still unknown (like if member cannot be fetched).
+ */
+async function fetchJoinedTimestamp(member) {
+    if (typeof member.joinedTimestamp === 'number') return member.joinedTimestamp;
+    try {
+        const fetched = await member.fetch(true);
+        return typeof fetched.joinedTimestamp === 'number' ? fetched.joinedTimestamp : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a custom requirement, using its registered predicate.
+ * Predicate can return a boolean or `{ passed, reason }`. If it's not registered or it throws, requirement fails.
+ * @param {ICustomRequirement|string} requirement - Custom requirement to check.
+ * @param {import('discord.js').GuildMember} member - Member to check.
+ * @param {import('./reactionRole').ReactionRole} reactionRole - Reaction role with this requirement.
+ * @param {Map<string, Function>} providers - Registered requirement predicates, by name.
+ * @return {Promise<{ passed: boolean, missing: { name: string, options: any, reason: any } }>}
+ */
+async function checkCustomRequirement(requirement, member, reactionRole, providers) {
+    const { name, options = null } = typeof requirement === 'string' ? { name: requirement } : requirement;
+    const predicate = providers.get(name);
+    if (!predicate) return { passed: false, missing: { name, options, reason: `Requirement '${name}' is not registered.` } };
+
+    try {
+        const result = await predicate(member, reactionRole, options);
+        if (result && typeof result === 'object') {
+            return { passed: Boolean(result.passed), missing: { name, options, reason: result.reason === undefined ? null : result.reason } };
+        }
+        return { passed: Boolean(result), missing: { name, options, reason: null } };
+    } catch (error) {
+        return { passed: false, missing: { name, options, reason: error } };
+    }
+}
+
+/**
+ * Check a leaf requirement.
+ * @private
+ * @param {string} key - Requirement name.
+ * @param {any} value - Requirement value.
+ * @param {import('discord.js').GuildMember} member - Member to check.
+ * @param {{ reactionRole: import('./reactionRole').ReactionRole, providers: Map<string, Function> }} context - Reaction role and custom requirements.
+ * @return {Promise<{ passed: boolean, missing: any }>}
+ */
+async function checkLeaf(key, value, member, context) {
+    switch (key) {
+    case 'boost':
+        return { passed: !value || member.premiumSinceTimestamp != null, missing: null };
+    case 'verifiedDeveloper': {
+        if (!value) return { passed: true, missing: null };
+        const flags = await member.user.fetchFlags();
+        return { passed: flags.has('VERIFIED_DEVELOPER'), missing: null };
+    }
+    case 'permissions': {
+        const missing = member.permissions.missing(value);
+        return { passed: missing.length === 0, missing };
+    }
+    case 'roles': {
+        const missing = value.filter((roleId) => !member.roles.cache.has(roleId));
+        return { passed: missing.length === 0, missing };
+    }
+    case 'users':
+        return { passed: value.includes(member.id), missing: null };
+    case 'accountAge': {
+        const remaining = member.user.createdTimestamp + value - Date.now();
+        return { passed: remaining <= 0, missing: Math.max(remaining, 0) };
+    }
+    case 'memberAge': {
+        // Members with unknown join date are handled like they just joined.
+        const joinedTimestamp = await fetchJoinedTimestamp(member);
+        const remaining = (joinedTimestamp === null ? Date.now() : joinedTimestamp) + value - Date.now();
+        return { passed: remaining <= 0, missing: Math.max(remaining, 0) };
+    }
+    case 'custom':
+        return checkCustomRequirement(value, member, context.reactionRole, context.providers);
+    default:
+        return { passed: false, missing: null };
+    }
+}
+
+/**
+ * Evaluate a requirement expression for a member.
+ * @param {IRequirementExpression} expression - Expression to evaluate.
+ * @param {import('discord.js').GuildMember} member - Member to check.
+ * @param {object} [context={}] -
+ * @param {import('./reactionRole').ReactionRole} [context.reactionRole] - Reaction role with this expression, given to custom requirements.
+ * @param {Map<string, Function>} [context.providers] - Custom requirements, by name.
+ * @param {string} [path=''] - Path of expression, used in failures.
+ * @return {Promise<IRequirementFailure?>} Why expression failed, null if it passed.
+ */
+async function evaluateRequirementExpression(expression, member, { reactionRole = null, providers = new Map() } = {}, path = '') {
+    const context = { reactionRole, providers };
+    const [key] = Object.keys(expression);
+    const value = expression[key];
+    const childPath = path ? `${path}.${key}` : key;
+    const failure = {
+        path: childPath, operator: null, type: null, missing: null, failures: [],
+    };
+
+    if (key === 'and') {
+        for (let i = 0; i < value.length; i += 1) {
+            const childFailure = await evaluateRequirementExpression(value[i], member, context, `${childPath}[${i}]`);
+            if (childFailure) return childFailure;
+        }
+        return null;
+    }
+
+    if (key === 'or') {
+        for (let i = 0; i < value.length; i += 1) {
+            const childFailure = await evaluateRequirementExpression(value[i], member, context, `${childPath}[${i}]`);
+            if (!childFailure) return null;
+            failure.failures.push(childFailure);
+        }
+        failure.operator = 'or';
+        return failure;
+    }
+
+    if (key === 'not') {
+        if (await evaluateRequirementExpression(value, member, context, childPath)) return null;
+        failure.operator = 'not';
+        return failure;
+    }
+
+    const { passed, missing } = await checkLeaf(key, value, member, context);
+    if (passed) return null;
+    failure.type = LEAVES[key];
+    failure.missing = missing;
+    return failure;
+}
+
+/**
+ * Create a copy of expression with all role lists mapped, like to export or import them.
+ * @param {IRequirementExpression} expression - Expression to copy.
+ * @param {Function} mapper - Map a role list, `(roles) => any[]`.
+ * @return {IRequirementExpression}
+ */
+function mapRequirementExpressionRoles(expression, mapper) {
+    const [key] = Object.keys(expression);
+    const value = expression[key];
+    if (key === 'and' || key === 'or') return { [key]: value.map((child) => mapRequirementExpressionRoles(child, mapper)) };
+    if (key === 'not') return { not: mapRequirementExpressionRoles(value, mapper) };
+    if (key === 'roles') return { roles: mapper(value) };
+    return { [key]: value };
+}
+
+module.exports = {
+    validateCustomRequirement,
+    validateRequirementExpression,
+    fetchJoinedTimestamp,
+    checkCustomRequirement,
+    evaluateRequirementExpression,
+    mapRequirementExpressionRoles,
+};
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const { StorageAdapter, filterHistory } = require('./storageAdapter');
+
+/**
+ * Adapters what write pending changes when process exits. Only one exit listener is registered for all of them.
+ * @private
+ * @type {Set<JsonStorageAdapter>}
+ */
+const flushOnExitAdapters = new Set();
+
+/**
+ * Process exit listener, writing pending changes of all adapters. A failed write doesn't stop others.
+ * @private
+ * @return {void}
+ */
+const flushAllOnExit = () => flushOnExitAdapters.forEach((adapter) => adapter.__flushSafely());
+
+/**
+ * Storage adapter what save all reaction roles in a json file.
+ * Writes are atomic (temp file + rename), coalesced under bursts and the last good snapshots are kept as backups.
+ * Delayed writes what failed emit an `error` event, changes are kept and written again with the next change or `flush()`.
+ * Pending changes are written on process `exit` event, but it isn't emitted on signals (SIGINT, SIGTERM...),
+ * so call `flush()` before turn off your bot.
+ * @extends StorageAdapter
+ */
+class JsonStorageAdapter extends StorageAdapter {
+    /**
+     * Json storage adapter constructor.
+     * @param {object} options -
+     * @param {string} options.path - Path of json file to save reaction roles.
+     * @param {number} [options.writeDelay=1000] - Time in ms to wait before write changes, all changes in this time are written once.
+     * @param {number} [options.backups=3] - How many previous snapshots are kept as backups (`path.1.bak` is the newest). 0 disable backups.
+     * @param {boolean} [options.flushOnExit=true] - Write pending changes when process exits.
+     * @param {string} [options.historyPath] - Path of reaction roles history file (json lines), default is `path` + `.history.jsonl`.
+     * @return {JsonStorageAdapter}
+     */
+    constructor({
+        path, writeDelay, backups, flushOnExit, historyPath,
+    }) {
+        super();
+        if (!path) throw new Error('Bad input: json storage adapter needs a file path.');
+
+        /**
+         * Json file path.
+         * @type {string}
+         * @readonly
+         */
+        this.path = path;
+        /**
+         * History file path, each line is a history entry.
+         * @type {string}
+         * @readonly
+         */
+        this.historyPath = historyPath || `${path}.history.jsonl`;
+        /**
+         * Time in ms to wait before write changes.
+         * @type {number}
+         * @readonly
+         */
+        this.writeDelay = Number.isInteger(writeDelay) && writeDelay >= 0 ? writeDelay : 1000;
+        /**
+         * How many backups of json file are kept.
+         * @type {number}
+         * @readonly
+         */
+        this.backups = Number.isInteger(backups) && backups >= 0 ? backups : 3;
+        /**
+         * Backup file used to load reaction roles, if json file was corrupted.
+         * @type {string?}
+         * @readonly
+         */
+        this.recoveredFrom = null;
+        /**
+         * Is json file a good snapshot to backup?
+         * @private
+         * @type {boolean}
+         */
+        this.__isGoodSnapshot = true;
+        /**
+         * Reaction roles saved in json file, by ID.
+         * @private
+         * @type {Map<string, object>}
+         */
+        this.__reactionRoles = new Map();
+        /**
+         * Are there changes not written yet?
+         * @private
+         * @type {boolean}
+         */
+        this.__dirty = false;
+        /**
+         * Timeout of next write.
+         * @private
+         * @type {NodeJS.Timeout?}
+         */
+        this.__writeTimeout = null;
+        /**
+         * Write pending changes when process exits.
+         * @type {boolean}
+         * @readonly
+         */
+        this.flushOnExit = flushOnExit !== false;
+
+        if (this.flushOnExit) {
+            if (flushOnExitAdapters.size === 0) process.on('exit', flushAllOnExit);
+            flushOnExitAdapters.add(this);
+        }
+    }
+
+    /**
+     * Get backup file path.
+     * @param {number} index - Backup index, 1 is the newest.
+     * @return {string}
+     */
+    backupPath(index) {
+        return `${this.path}.${index}.bak`;
+    }
+
+    /**
+     * @return {Promise<object[]>}
+     */
+    async load() {
+        this.__reactionRoles.clear();
+        this.recoveredFrom = null;
+
+        const files = [this.path];
+        for (let i = 1; i <= this.backups; i += 1) files.push(this.backupPath(i));
+
+        let json = null;
+        let firstError = null;
+        for (let i = 0; i < files.length && !json; i += 1) {
+            const file = files[i];
+            if (!fs.existsSync(file)) continue;
+            try {
+                json = JSON.parse(fs.readFileSync(file).toString());
+                if (!Array.isArray(json)) throw new Error(`Invalid json storage: '${file}' must have an array of reaction roles.`);
+                if (file !== this.path) this.recoveredFrom = file;
+            } catch (error) {
+                json = null;
+                if (!firstError) firstError = error;
+            }
+        }
+        if (!json && firstError) throw firstError;
+        this.__isGoodSnapshot = !firstError;
+
+        for (let i = 0; json && i < json.length; i += 1) {
+            const reactionRole = json[i];
+            if (reactionRole && reactionRole.id) this.__reactionRoles.set(reactionRole.id, reactionRole);
+        }
+        if (this.recoveredFrom) this.__scheduleWrite();
+        return [...this.__reactionRoles.values()];
+    }
+
+    /**
+     * @param {...object} reactionRoles
+     * @return {Promise<void>}
+     */
+    async upsert(...reactionRoles) {
+        for (let i = 0; i < reactionRoles.length; i += 1) {
+            const reactionRole = reactionRoles[i];
+            this.__reactionRoles.set(reactionRole.id, reactionRole);
+        }
+        this.__scheduleWrite();
+    }
+
+    /**
+     * @param {...string} ids
+     * @return {Promise<void>}
+     */
+    async delete(...ids) {
+        for (let i = 0; i < ids.length; i += 1) this.__reactionRoles.delete(ids[i]);
+        this.__scheduleWrite();
+    }
+
+    /**
+     * @param {string} guildId
+     * @return {Promise<object[]>}
+     */
+    async listByGuild(guildId) {
+        return [...this.__reactionRoles.values()].filter((reactionRole) => reactionRole.guild === guildId);
+    }
+
+    /**
+     * @param {...IHistoryEntry} entries
+     * @return {Promise<void>}
+     */
+    async appendHistory(...entries) {
+        fs.appendFileSync(this.historyPath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+    }
+
+    /**
+     * @param {IHistoryFilter} [filter={}]
+     * @return {Promise<IHistoryEntry[]>}
+     */
+    async fetchHistory(filter = {}) {
+        if (!fs.existsSync(this.historyPath)) return [];
+
+        const entries = [];
+        const lines = fs.readFileSync(this.historyPath).toString().split('\n');
+        for (let i = 0; i < lines.length; i += 1) {
+            try {
+                if (lines[i]) entries.push(JSON.parse(lines[i]));
+            } catch {
+                // Ignore a line partially written when process died.
+            }
+        }
+        return filterHistory(entries, filter);
+    }
+
+    /**
+     * Write pending changes now.
+     * @return {Promise<void>}
+     */
+    async flush() {
+        this.flushSync();
+    }
+
+    /**
+     * Write pending changes now, synchronously. Useful in process exit handlers.
+     * @return {void}
+     */
+    flushSync() {
+        if (this.__writeTimeout) clearTimeout(this.__writeTimeout);
+        this.__writeTimeout = null;
+        if (this.__dirty) this.__write();
+    }
+
+    /**
+     * Write pending changes and stop flushing this adapter on process exit.
+     * @return {Promise<void>}
+     */
+    async close() {
+        this.flushSync();
+        flushOnExitAdapters.delete(this);
+        if (flushOnExitAdapters.size === 0) process.removeListener('exit', flushAllOnExit);
+    }
+
+    /**
+     * Mark json as changed and schedule a write, if it's not scheduled yet.
+     * @private
+     * @return {void}
+     */
+    __scheduleWrite() {
+        this.__dirty = true;
+        if (this.writeDelay === 0) return this.flushSync();
+        if (this.__writeTimeout) return;
+
+        this.__writeTimeout = setTimeout(() => this.__flushSafely(), this.writeDelay);
+        // Pending changes are written on exit, so this timer must not keep the process alive.
+        if (this.flushOnExit && typeof this.__writeTimeout.unref === 'function') this.__writeTimeout.unref();
+    }
+
+    /**
+     * Write pending changes now, emitting an `error` event if it fails (if someone listens to it).
+     * Changes are kept, so they are written again with the next change or flush.
+     * @private
+     * @return {void}
+     */
+    __flushSafely() {
+        try {
+            this.flushSync();
+        } catch (error) {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        }
+    }
+
+    /**
+     * Write all reaction roles in a temp file, rotate backups and then replace json file.
+     * @private
+     * @return {void}
+     */
+    __write() {
+        const tempPath = `${this.path}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify([...this.__reactionRoles.values()]));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        if (this.backups > 0 && this.__isGoodSnapshot && fs.existsSync(this.path)) {
+            for (let i = this.backups - 1; i >= 1; i -= 1) {
+                if (fs.existsSync(this.backupPath(i))) fs.renameSync(this.backupPath(i), this.backupPath(i + 1));
+            }
+            fs.copyFileSync(this.path, this.backupPath(1));
+        }
+
+        fs.renameSync(tempPath, this.path);
+        this.__dirty = false;
+        this.__isGoodSnapshot = true;
+    }
+}
+
+module.exports = {
+    JsonStorageAdapter,
+};
@@ -0,0 +1,85 @@
+const { StorageAdapter, filterHistory } = require('./storageAdapter');
+
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+/**
+ * Storage adapter what keep reaction roles only in memory. All data will be lost when the bot turns off.
+ * @extends StorageAdapter
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * Memory storage adapter constructor.
+     * @param {object[]} [reactionRoles=[]] - Initial reaction roles data.
+     * @return {MemoryStorageAdapter}
+     */
+    constructor(reactionRoles = []) {
+        super();
+
+        /**
+         * Stored reaction roles, by ID.
+         * @type {Map<string, object>}
+         * @readonly
+         */
+        this.reactionRoles = new Map(reactionRoles.map((reactionRole) => [reactionRole.id, clone(reactionRole)]));
+        /**
+         * Reaction roles history.
+         * @type {IHistoryEntry[]}
+         * @readonly
+         */
+        this.history = [];
+    }
+
+    /**
+     * @return {Promise<object[]>}
+     */
+    async load() {
+        return [...this.reactionRoles.values()].map(clone);
+    }
+
+    /**
+     * @param {...object} reactionRoles
+     * @return {Promise<void>}
+     */
+    async upsert(...reactionRoles) {
+        for (let i = 0; i < reactionRoles.length; i += 1) {
+            const reactionRole = reactionRoles[i];
+            this.reactionRoles.set(reactionRole.id, clone(reactionRole));
+        }
+    }
+
+    /**
+     * @param {...string} ids
+     * @return {Promise<void>}
+     */
+    async delete(...ids) {
+        for (let i = 0; i < ids.length; i += 1) this.reactionRoles.delete(ids[i]);
+    }
+
+    /**
+     * @param {string} guildId
+     * @return {Promise<object[]>}
+     */
+    async listByGuild(guildId) {
+        return [...this.reactionRoles.values()].filter((reactionRole) => reactionRole.guild === guildId).map(clone);
+    }
+
+    /**
+     * @param {...IHistoryEntry} entries
+     * @return {Promise<void>}
+     */
+    async appendHistory(...entries) {
+        this.history.push(...entries.map(clone));
+    }
+
+    /**
+     * @param {IHistoryFilter} [filter={}]
+     * @return {Promise<IHistoryEntry[]>}
+     */
+    async fetchHistory(filter = {}) {
+        return filterHistory(this.history, filter).map(clone);
+    }
+}
+
+module.exports = {
+    MemoryStorageAdapter,
+};
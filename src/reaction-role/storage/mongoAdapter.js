@@ -0,0 +1,515 @@
+const { StorageAdapter } = require('./storageAdapter');
+const {
+    SelectionPolicy, CaptchaMode, ClosePolicy, SwapRemovePolicy, ReactionRoleComponent, isValidReactionRoleType,
+} = require('../constants');
+
+/**
+ * Create reaction roles mongoose schema, with all reaction role fields and requirements.
+ * Unknown fields are rejected instead of silently dropped.
+ * @private
+ * @param {any} mongoose - Mongoose module.
+ * @return {any}
+ */
+function createReactionRoleSchema(mongoose) {
+    const idList = {
+        type: [String],
+        default: [],
+    };
+    const requiredString = {
+        type: String,
+        required: true,
+    };
+
+    const schema = new mongoose.Schema({
+        id: {
+            ...requiredString,
+            unique: true,
+        },
+        message: requiredString,
+        channel: requiredString,
+        guild: requiredString,
+        emoji: requiredString,
+        winners: idList,
+        max: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        requirements: {
+            boost: {
+                type: Boolean,
+                default: false,
+            },
+            verifiedDeveloper: {
+                type: Boolean,
+                default: false,
+            },
+            roles: {
+                allowList: idList,
+                denyList: idList,
+            },
+            users: {
+                allowList: idList,
+                denyList: idList,
+            },
+            permissionsNeed: idList,
+            accountAge: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+            memberAge: {
+                type: Number,
+                default: 0,
+                min: 0,
+            },
+            custom: {
+                type: [mongoose.Schema.Types.Mixed],
+                default: [],
+            },
+            expression: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+            },
+        },
+        disabled: {
+            type: Boolean,
+            default: false,
+        },
+        deleted: {
+            type: Boolean,
+            default: false,
+        },
+        type: {
+            type: Number,
+            required: true,
+            validate: {
+                validator: isValidReactionRoleType,
+                message: (props) => `'${props.value}' is not a valid reaction role type.`,
+            },
+        },
+        roles: {
+            ...idList,
+            validate: {
+                validator: (roles) => roles.length > 0,
+                message: 'Reaction role needs at least one role.',
+            },
+        },
+        schemaVersion: {
+            type: Number,
+            default: 0,
+        },
+        duration: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        expirations: {
+            type: Map,
+            of: Number,
+            default: {},
+        },
+        cooldown: {
+            type: Number,
+            default: null,
+            min: 0,
+        },
+        group: {
+            type: String,
+            default: null,
+        },
+        maxSelections: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        selectionPolicy: {
+            type: Number,
+            default: SelectionPolicy.REJECT,
+            enum: [SelectionPolicy.REJECT, SelectionPolicy.DROP_OLDEST],
+        },
+        wonAt: {
+            type: Map,
+            of: Number,
+            default: {},
+        },
+        captcha: {
+            type: Number,
+            default: CaptchaMode.NONE,
+            enum: Object.values(CaptchaMode),
+        },
+        opensAt: {
+            type: Number,
+            default: null,
+        },
+        closesAt: {
+            type: Number,
+            default: null,
+        },
+        closePolicy: {
+            type: Number,
+            default: ClosePolicy.IGNORE,
+            enum: [ClosePolicy.IGNORE, ClosePolicy.REMOVE],
+        },
+        clearOnClose: {
+            type: Boolean,
+            default: false,
+        },
+        closed: {
+            type: Boolean,
+            default: false,
+        },
+        swapRoles: idList,
+        swapRemovePolicy: {
+            type: Number,
+            default: SwapRemovePolicy.KEEP,
+            enum: [SwapRemovePolicy.KEEP, SwapRemovePolicy.REVERT, SwapRemovePolicy.TAKE],
+        },
+        waitlist: {
+            type: Boolean,
+            default: false,
+        },
+        waitlisted: idList,
+        notifications: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        component: {
+            type: Number,
+            default: ReactionRoleComponent.REACTION,
+            enum: Object.values(ReactionRoleComponent),
+        },
+        label: {
+            type: String,
+            default: null,
+            maxlength: 80,
+        },
+        description: {
+            type: String,
+            default: null,
+            maxlength: 100,
+        },
+        buttonStyle: {
+            type: Number,
+            default: 2,
+            enum: [1, 2, 3, 4],
+        },
+        panel: {
+            type: Boolean,
+            default: false,
+        },
+    }, { strict: 'throw' });
+
+    schema.index({ guild: 1 });
+    schema.index({ message: 1 });
+    return schema;
+}
+
+/**
+ * Create reaction roles history mongoose schema.
+ * @private
+ * @param {any} mongoose - Mongoose module.
+ * @return {any}
+ */
+function createHistorySchema(mongoose) {
+    const requiredString = {
+        type: String,
+        required: true,
+    };
+    const requiredNumber = {
+        type: Number,
+        required: true,
+    };
+
+    const schema = new mongoose.Schema({
+        guild: requiredString,
+        member: requiredString,
+        reactionRole: requiredString,
+        role: requiredString,
+        action: requiredNumber,
+        trigger: requiredNumber,
+        timestamp: requiredNumber,
+    }, { strict: 'throw' });
+
+    schema.index({ guild: 1, member: 1, timestamp: -1 });
+    schema.index({ reactionRole: 1, timestamp: -1 });
+    return schema;
+}
+
+/**
+ * Errors what mean mongodb is unreachable, so writes can be queued and retried later.
+ * @private
+ */
+const CONNECTION_ERRORS = ['MongoNetworkError', 'MongoNotConnectedError', 'MongoServerSelectionError', 'MongoNetworkTimeoutError'];
+
+/**
+ * Storage adapter what save reaction roles in MongoDB, using mongoose.
+ * While mongodb is disconnected, writes are queued and written when it reconnects.
+ * Failed writes are kept in front of the queue, so they are retried before newer writes.
+ * @extends StorageAdapter
+ * @fires MongoStorageAdapter#disconnected
+ * @fires MongoStorageAdapter#reconnected
+ * @fires MongoStorageAdapter#error
+ */
+class MongoStorageAdapter extends StorageAdapter {
+    /**
+     * Triggered when mongodb connection is lost. Writes will be queued until it reconnects.
+     * @event MongoStorageAdapter#disconnected
+     */
+
+    /**
+     * Triggered when mongodb connection is back and queued writes were written.
+     * @event MongoStorageAdapter#reconnected
+     * @property {number} written - How many queued writes were written.
+     */
+
+    /**
+     * Triggered when queued writes failed after mongodb reconnect, not because of connection. They stay queued.
+     * @event MongoStorageAdapter#error
+     * @property {Error} error - Write error.
+     */
+
+    /**
+     * Mongo storage adapter constructor.
+     * @param {object} options -
+     * @param {string} [options.link] - Link to connect with mongodb. Not needed if `connection` is given.
+     * @param {any} [options.connection] - Your own mongoose connection, the adapter will not connect or close it.
+     * @param {string} [options.modelName='ReactionRoles'] - Name of reaction roles model.
+     * @param {string} [options.collectionPrefix=''] - Prefix of reaction roles collection name.
+     * @return {MongoStorageAdapter}
+     */
+    constructor({
+        link, connection, modelName, collectionPrefix,
+    }) {
+        super();
+        if (!link && !connection) throw new Error('Bad input: mongo storage adapter needs a mongodb link or a mongoose connection.');
+
+        /**
+         * Mongo db connection link.
+         * @type {string?}
+         * @readonly
+         */
+        this.link = link || null;
+        /**
+         * Mongoose connection, available after init if it wasn't given.
+         * @type {any}
+         * @readonly
+         */
+        this.connection = connection || null;
+        /**
+         * Reaction roles model name.
+         * @type {string}
+         * @readonly
+         */
+        this.modelName = modelName || 'ReactionRoles';
+        /**
+         * Reaction roles collection name.
+         * @type {string}
+         * @readonly
+         */
+        this.collectionName = `${collectionPrefix || ''}reactionroles`;
+        /**
+         * Reaction roles history collection name.
+         * @type {string}
+         * @readonly
+         */
+        this.historyCollectionName = `${collectionPrefix || ''}reactionrolehistories`;
+        /**
+         * Reaction roles model, available after init.
+         * @type {any}
+         * @readonly
+         */
+        this.model = null;
+        /**
+         * Reaction roles history model, available after init.
+         * @type {any}
+         * @readonly
+         */
+        this.historyModel = null;
+        /**
+         * Is this adapter owner of connection? If true, it will be closed with adapter.
+         * @private
+         * @type {boolean}
+         */
+        this.__ownConnection = !connection;
+        /**
+         * Writes waiting mongodb reconnect, by reaction role ID (null means delete).
+         * @private
+         * @type {Map<string, object?>}
+         */
+        this.__queue = new Map();
+        /**
+         * History entries waiting mongodb reconnect.
+         * @private
+         * @type {IHistoryEntry[]}
+         */
+        this.__historyQueue = [];
+    }
+
+    /**
+     * Is mongodb connected?
+     * @type {boolean}
+     * @readonly
+     */
+    get connected() {
+        return Boolean(this.connection) && this.connection.readyState === 1;
+    }
+
+    /**
+     * How many writes are waiting mongodb reconnect.
+     * @type {number}
+     * @readonly
+     */
+    get queueSize() {
+        return this.__queue.size + this.__historyQueue.length;
+    }
+
+    /**
+     * Connect to mongodb (if connection wasn't given) and register reaction roles model.
+     * @return {Promise<void>}
+     */
+    async init() {
+        if (!this.connection) {
+            const mongoose = require('mongoose');
+            this.connection = mongoose.createConnection(this.link);
+        }
+        if (typeof this.connection.asPromise === 'function') await this.connection.asPromise();
+
+        this.model = this.connection.models[this.modelName]
+            || this.connection.model(this.modelName, createReactionRoleSchema(this.connection.base), this.collectionName);
+        const historyModelName = `${this.modelName}History`;
+        this.historyModel = this.connection.models[historyModelName]
+            || this.connection.model(historyModelName, createHistorySchema(this.connection.base), this.historyCollectionName);
+
+        this.connection.on('disconnected', () => this.emit('disconnected'));
+        this.connection.on('reconnected', () => this.__onReconnect());
+        this.connection.on('connected', () => this.__onReconnect());
+    }
+
+    /**
+     * @return {Promise<object[]>}
+     */
+    async load() {
+        return this.model.find({}).lean().exec();
+    }
+
+    /**
+     * @param {...object} reactionRoles
+     * @return {Promise<void>}
+     */
+    async upsert(...reactionRoles) {
+        for (let i = 0; i < reactionRoles.length; i += 1) this.__queue.set(reactionRoles[i].id, reactionRoles[i]);
+        await this.flush();
+    }
+
+    /**
+     * @param {...string} ids
+     * @return {Promise<void>}
+     */
+    async delete(...ids) {
+        for (let i = 0; i < ids.length; i += 1) this.__queue.set(ids[i], null);
+        await this.flush();
+    }
+
+    /**
+     * @param {string} guildId
+     * @return {Promise<object[]>}
+     */
+    async listByGuild(guildId) {
+        return this.model.find({ guild: guildId }).lean().exec();
+    }
+
+    /**
+     * @param {...IHistoryEntry} entries
+     * @return {Promise<void>}
+     */
+    async appendHistory(...entries) {
+        this.__historyQueue.push(...entries);
+        await this.flush();
+    }
+
+    /**
+     * @param {IHistoryFilter} [filter={}]
+     * @return {Promise<IHistoryEntry[]>}
+     */
+    async fetchHistory(filter = {}) {
+        const query = {};
+        ['guild', 'member', 'reactionRole', 'role', 'action', 'trigger']
+            .filter((key) => filter[key] !== undefined)
+            .forEach((key) => { query[key] = filter[key]; });
+        if (filter.since !== undefined || filter.until !== undefined) {
+            query.timestamp = {};
+            if (filter.since !== undefined) query.timestamp.$gte = filter.since;
+            if (filter.until !== undefined) query.timestamp.$lte = filter.until;
+        }
+
+        let find = this.historyModel.find(query, { _id: 0, __v: 0 }).sort({ timestamp: -1 });
+        if (filter.limit > 0) find = find.limit(filter.limit);
+        return find.lean().exec();
+    }
+
+    /**
+     * Write queued changes, if mongodb is connected.
+     * @return {Promise<number>} How many writes were done.
+     */
+    async flush() {
+        let written = 0;
+        while (this.connected && this.__queue.size > 0) {
+            const [id, reactionRole] = this.__queue.entries().next().value;
+            try {
+                if (reactionRole) {
+                    await this.model
+                        .replaceOne({ id }, reactionRole, { upsert: true, runValidators: true })
+                        .exec();
+                } else await this.model.deleteOne({ id }).exec();
+            } catch (error) {
+                // Failed write is kept in front of the queue, so it's retried before newer writes.
+                if (CONNECTION_ERRORS.includes(error && error.name)) break;
+                throw error;
+            }
+            // Only dequeue if it wasn't changed while writing.
+            if (this.__queue.get(id) === reactionRole) this.__queue.delete(id);
+            written += 1;
+        }
+
+        if (this.connected && this.__historyQueue.length > 0) {
+            const entries = this.__historyQueue.splice(0, this.__historyQueue.length);
+            try {
+                await this.historyModel.insertMany(entries);
+                written += entries.length;
+            } catch (error) {
+                this.__historyQueue.unshift(...entries);
+                if (!CONNECTION_ERRORS.includes(error && error.name)) throw error;
+            }
+        }
+        return written;
+    }
+
+    /**
+     * Flush queued changes and close connection, if it was opened by this adapter.
+     * @return {Promise<void>}
+     */
+    async close() {
+        await this.flush();
+        if (this.__ownConnection && this.connection) await this.connection.close();
+    }
+
+    /**
+     * Write queued changes after mongodb reconnect. Failed writes stay queued and emit an `error` event (if someone listens to it).
+     * @private
+     * @return {Promise<void>}
+     */
+    async __onReconnect() {
+        if (!this.model) return;
+        try {
+            const written = await this.flush();
+            this.emit('reconnected', written);
+        } catch (error) {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        }
+    }
+}
+
+module.exports = {
+    MongoStorageAdapter,
+};
@@ -0,0 +1,277 @@
+const { StorageAdapter } = require('./storageAdapter');
+
+/**
+ * Reaction role fields saved in their own columns/tables, all other fields are saved in `data` column.
+ * @private
+ */
+const KNOWN_FIELDS = ['id', 'guild', 'channel', 'message', 'emoji', 'type', 'max', 'disabled', 'roles', 'winners', 'requirements'];
+
+/**
+ * Storage adapter what save reaction roles in a SQLite database, using better-sqlite3.
+ * Reaction roles, roles, winners and requirements are saved in their own tables.
+ * @extends StorageAdapter
+ */
+class SqliteStorageAdapter extends StorageAdapter {
+    /**
+     * SQLite storage adapter constructor.
+     * @param {object} options -
+     * @param {string} [options.path] - Path of SQLite database file.
+     * @param {any} [options.database] - Already opened better-sqlite3 database, used instead of path.
+     * @return {SqliteStorageAdapter}
+     */
+    constructor({ path, database }) {
+        super();
+        if (!path && !database) throw new Error('Bad input: sqlite storage adapter needs a database file path.');
+
+        /**
+         * SQLite database file path.
+         * @type {string?}
+         * @readonly
+         */
+        this.path = path || null;
+        /**
+         * better-sqlite3 database, available after init.
+         * @type {any}
+         * @readonly
+         */
+        this.database = database || null;
+        /**
+         * Prepared statements, available after init.
+         * @private
+         * @type {object}
+         */
+        this.__statements = null;
+    }
+
+    /**
+     * Open SQLite database and create reaction roles tables.
+     * @return {Promise<void>}
+     */
+    async init() {
+        if (!this.database) {
+            let Database;
+            try {
+                // eslint-disable-next-line import/no-extraneous-dependencies
+                Database = require('better-sqlite3');
+            } catch {
+                throw new Error('Missing dependency: please install \'better-sqlite3\' to use sqlite storage.');
+            }
+            this.database = new Database(this.path);
+        }
+
+        this.database.pragma('journal_mode = WAL');
+        this.database.pragma('foreign_keys = ON');
+        this.database.exec(`
+            CREATE TABLE IF NOT EXISTS reaction_roles (
+                id TEXT PRIMARY KEY,
+                guild TEXT NOT NULL,
+                channel TEXT NOT NULL,
+                message TEXT NOT NULL,
+                emoji TEXT NOT NULL,
+                type INTEGER NOT NULL DEFAULT 1,
+                max INTEGER NOT NULL DEFAULT 0,
+                disabled INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL DEFAULT '{}'
+            );
+            CREATE INDEX IF NOT EXISTS reaction_roles_guild ON reaction_roles (guild);
+            CREATE INDEX IF NOT EXISTS reaction_roles_message ON reaction_roles (message);
+
+            CREATE TABLE IF NOT EXISTS reaction_role_roles (
+                reaction_role TEXT NOT NULL REFERENCES reaction_roles (id) ON DELETE CASCADE,
+                role TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                PRIMARY KEY (reaction_role, role)
+            );
+
+            CREATE TABLE IF NOT EXISTS reaction_role_winners (
+                reaction_role TEXT NOT NULL REFERENCES reaction_roles (id) ON DELETE CASCADE,
+                member TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                PRIMARY KEY (reaction_role, member)
+            );
+            CREATE INDEX IF NOT EXISTS reaction_role_winners_member ON reaction_role_winners (member);
+
+            CREATE TABLE IF NOT EXISTS reaction_role_history (
+                guild TEXT NOT NULL,
+                member TEXT NOT NULL,
+                reaction_role TEXT NOT NULL,
+                role TEXT NOT NULL,
+                action INTEGER NOT NULL,
+                trigger INTEGER NOT NULL,
+                timestamp INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS reaction_role_history_member ON reaction_role_history (guild, member, timestamp);
+            CREATE INDEX IF NOT EXISTS reaction_role_history_reaction_role ON reaction_role_history (reaction_role, timestamp);
+
+            CREATE TABLE IF NOT EXISTS reaction_role_requirements (
+                reaction_role TEXT NOT NULL REFERENCES reaction_roles (id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (reaction_role, name)
+            );
+        `);
+
+        this.__statements = {
+            selectAll: this.database.prepare('SELECT * FROM reaction_roles'),
+            selectByGuild: this.database.prepare('SELECT * FROM reaction_roles WHERE guild = ?'),
+            selectRoles: this.database.prepare('SELECT role FROM reaction_role_roles WHERE reaction_role = ? ORDER BY position'),
+            selectWinners: this.database.prepare('SELECT member FROM reaction_role_winners WHERE reaction_role = ? ORDER BY position'),
+            selectRequirements: this.database.prepare('SELECT name, value FROM reaction_role_requirements WHERE reaction_role = ?'),
+            upsert: this.database.prepare(`
+                INSERT INTO reaction_roles (id, guild, channel, message, emoji, type, max, disabled, data)
+                VALUES (@id, @guild, @channel, @message, @emoji, @type, @max, @disabled, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    guild = excluded.guild, channel = excluded.channel, message = excluded.message, emoji = excluded.emoji,
+                    type = excluded.type, max = excluded.max, disabled = excluded.disabled, data = excluded.data
+            `),
+            insertRole: this.database.prepare('INSERT OR IGNORE INTO reaction_role_roles (reaction_role, role, position) VALUES (?, ?, ?)'),
+            insertWinner: this.database.prepare('INSERT OR IGNORE INTO reaction_role_winners (reaction_role, member, position) VALUES (?, ?, ?)'),
+            insertRequirement: this.database.prepare('INSERT INTO reaction_role_requirements (reaction_role, name, value) VALUES (?, ?, ?)'),
+            deleteRoles: this.database.prepare('DELETE FROM reaction_role_roles WHERE reaction_role = ?'),
+            deleteWinners: this.database.prepare('DELETE FROM reaction_role_winners WHERE reaction_role = ?'),
+            deleteRequirements: this.database.prepare('DELETE FROM reaction_role_requirements WHERE reaction_role = ?'),
+            delete: this.database.prepare('DELETE FROM reaction_roles WHERE id = ?'),
+            insertHistory: this.database.prepare(`
+                INSERT INTO reaction_role_history (guild, member, reaction_role, role, action, trigger, timestamp)
+                VALUES (@guild, @member, @reactionRole, @role, @action, @trigger, @timestamp)
+            `),
+        };
+    }
+
+    /**
+     * @return {Promise<object[]>}
+     */
+    async load() {
+        return this.__statements.selectAll.all().map((row) => this.__parseRow(row));
+    }
+
+    /**
+     * @param {...object} reactionRoles
+     * @return {Promise<void>}
+     */
+    async upsert(...reactionRoles) {
+        const statements = this.__statements;
+        this.database.transaction(() => {
+            for (let i = 0; i < reactionRoles.length; i += 1) {
+                const reactionRole = reactionRoles[i];
+                const data = {};
+                Object.keys(reactionRole)
+                    .filter((key) => !KNOWN_FIELDS.includes(key))
+                    .forEach((key) => { data[key] = reactionRole[key]; });
+
+                statements.upsert.run({
+                    id: reactionRole.id,
+                    guild: reactionRole.guild,
+                    channel: reactionRole.channel,
+                    message: reactionRole.message,
+                    emoji: reactionRole.emoji,
+                    type: Number(reactionRole.type) || 0,
+                    max: Number(reactionRole.max) || 0,
+                    disabled: reactionRole.disabled ? 1 : 0,
+                    data: JSON.stringify(data),
+                });
+
+                statements.deleteRoles.run(reactionRole.id);
+                (reactionRole.roles || []).forEach((role, position) => statements.insertRole.run(reactionRole.id, role, position));
+
+                statements.deleteWinners.run(reactionRole.id);
+                (reactionRole.winners || []).forEach((member, position) => statements.insertWinner.run(reactionRole.id, member, position));
+
+                statements.deleteRequirements.run(reactionRole.id);
+                Object.entries(reactionRole.requirements || {})
+                    .forEach(([name, value]) => statements.insertRequirement.run(reactionRole.id, name, JSON.stringify(value)));
+            }
+        })();
+    }
+
+    /**
+     * @param {...string} ids
+     * @return {Promise<void>}
+     */
+    async delete(...ids) {
+        this.database.transaction(() => {
+            for (let i = 0; i < ids.length; i += 1) this.__statements.delete.run(ids[i]);
+        })();
+    }
+
+    /**
+     * @param {string} guildId
+     * @return {Promise<object[]>}
+     */
+    async listByGuild(guildId) {
+        return this.__statements.selectByGuild.all(guildId).map((row) => this.__parseRow(row));
+    }
+
+    /**
+     * @param {...IHistoryEntry} entries
+     * @return {Promise<void>}
+     */
+    async appendHistory(...entries) {
+        this.database.transaction(() => {
+            for (let i = 0; i < entries.length; i += 1) this.__statements.insertHistory.run(entries[i]);
+        })();
+    }
+
+    /**
+     * @param {IHistoryFilter} [filter={}]
+     * @return {Promise<IHistoryEntry[]>}
+     */
+    async fetchHistory(filter = {}) {
+        const columns = {
+            guild: 'guild', member: 'member', reactionRole: 'reaction_role', role: 'role', action: 'action', trigger: 'trigger',
+        };
+        const conditions = [];
+        const params = {};
+        Object.keys(columns).filter((key) => filter[key] !== undefined).forEach((key) => {
+            conditions.push(`${columns[key]} = @${key}`);
+            params[key] = filter[key];
+        });
+        if (filter.since !== undefined) {
+            conditions.push('timestamp >= @since');
+            params.since = filter.since;
+        }
+        if (filter.until !== undefined) {
+            conditions.push('timestamp <= @until');
+            params.until = filter.until;
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = filter.limit > 0 ? `LIMIT ${Number(filter.limit)}` : '';
+        return this.database
+            .prepare(`
+                SELECT guild, member, reaction_role AS reactionRole, role, action, trigger, timestamp
+                FROM reaction_role_history ${where} ORDER BY timestamp DESC ${limit}
+            `)
+            .all(params);
+    }
+
+    /**
+     * Transform a reaction roles table row in reaction role data.
+     * @private
+     * @param {object} row
+     * @return {object}
+     */
+    __parseRow(row) {
+        const requirements = {};
+        this.__statements.selectRequirements.all(row.id).forEach(({ name, value }) => { requirements[name] = JSON.parse(value); });
+
+        return {
+            ...JSON.parse(row.data),
+            id: row.id,
+            guild: row.guild,
+            channel: row.channel,
+            message: row.message,
+            emoji: row.emoji,
+            type: row.type,
+            max: row.max,
+            disabled: Boolean(row.disabled),
+            roles: this.__statements.selectRoles.all(row.id).map(({ role }) => role),
+            winners: this.__statements.selectWinners.all(row.id).map(({ member }) => member),
+            requirements,
+        };
+    }
+}
+
+module.exports = {
+    SqliteStorageAdapter,
+};
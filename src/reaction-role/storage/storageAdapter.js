@@ -0,0 +1,166 @@
+/* eslint-disable class-methods-use-this */
+const { EventEmitter } = require('events');
+
+/**
+ * Reaction role history entry, one for each role given or taken.
+ * @typedef {object} IHistoryEntry
+ * @property {string} guild - Guild ID.
+ * @property {string} member - Member ID who won/lost the role.
+ * @property {string} reactionRole - Reaction role ID.
+ * @property {string} role - Role ID given or taken.
+ * @property {ActionType} action - Was the role given or taken?
+ * @property {ActionTrigger} trigger - What triggered this action.
+ * @property {number} timestamp - When it happened, in ms.
+ */
+
+/**
+ * Reaction role history search filter. All fields are optional.
+ * @typedef {object} IHistoryFilter
+ * @property {string} [guild] - Guild ID.
+ * @property {string} [member] - Member ID.
+ * @property {string} [reactionRole] - Reaction role ID.
+ * @property {string} [role] - Role ID.
+ * @property {ActionType} [action] - Action type.
+ * @property {ActionTrigger} [trigger] - Action trigger.
+ * @property {number} [since] - Minimum timestamp.
+ * @property {number} [until] - Maximum timestamp.
+ * @property {number} [limit] - Max entries to return.
+ */
+
+/**
+ * Base class of Reaction Role Manager storage adapters.
+ * Extend it and implement `load`, `upsert` and `delete` to store reaction roles anywhere you want.
+ * `listByGuild` filters `load()` output by default, implement it if your storage can search by guild faster.
+ * All reaction roles given to or returned by an adapter are plain objects, like `ReactionRole#toJSON()` output.
+ * Adapters can emit `disconnected`, `reconnected` and `error` (writes failed in background) events, the Reaction Role Manager will forward them.
+ * To support history of roles given and taken, implement `appendHistory` and `fetchHistory` too.
+ * @abstract
+ * @extends EventEmitter
+ * @example
+ * class MyAdapter extends StorageAdapter {
+ *     async load() { return db.all(); }
+ *     async upsert(...reactionRoles) { await db.save(reactionRoles); }
+ *     async delete(...ids) { await db.remove(ids); }
+ * }
+ *
+ * const reactionRoleManager = new ReactionRoleManager(client, { storageAdapter: new MyAdapter() });
+ */
+class StorageAdapter extends EventEmitter {
+    /**
+     * Setup this adapter (connect to database, open files...). Called once on boot, before `load()`.
+     * @return {Promise<void>}
+     */
+    async init() {
+        // Nothing to setup by default.
+    }
+
+    /**
+     * Load all stored reaction roles.
+     * @abstract
+     * @return {Promise<object[]>}
+     */
+    async load() {
+        throw new Error(`Storage adapter '${this.constructor.name}' must implement load().`);
+    }
+
+    /**
+     * Insert or update reaction roles, matching them by `id`.
+     * @abstract
+     * @param {...object} reactionRoles - Reaction roles data to store.
+     * @return {Promise<void>}
+     */
+    async upsert(...reactionRoles) {
+        throw new Error(`Storage adapter '${this.constructor.name}' must implement upsert().`);
+    }
+
+    /**
+     * Delete reaction roles from storage.
+     * @abstract
+     * @param {...string} ids - Reaction role ID's to delete.
+     * @return {Promise<void>}
+     */
+    async delete(...ids) {
+        throw new Error(`Storage adapter '${this.constructor.name}' must implement delete().`);
+    }
+
+    /**
+     * List all stored reaction roles of some guild. Optional, all reaction roles are loaded and filtered by default.
+     * @param {string} guildId - Guild ID to search reaction roles.
+     * @return {Promise<object[]>}
+     */
+    async listByGuild(guildId) {
+        return (await this.load()).filter((reactionRole) => reactionRole.guild === guildId);
+    }
+
+    /**
+     * Append entries to reaction roles history. Optional, needed only if manager history is enabled.
+     * @param {...IHistoryEntry} entries - History entries to append.
+     * @return {Promise<void>}
+     */
+    async appendHistory(...entries) {
+        throw new Error(`Storage adapter '${this.constructor.name}' doesn't support history.`);
+    }
+
+    /**
+     * Search reaction roles history, newest entries first. Optional, needed only if manager history is enabled.
+     * @param {IHistoryFilter} [filter={}] - Which entries to search.
+     * @return {Promise<IHistoryEntry[]>}
+     */
+    async fetchHistory(filter = {}) {
+        throw new Error(`Storage adapter '${this.constructor.name}' doesn't support history.`);
+    }
+
+    /**
+     * Write all pending changes, if this adapter delays writes.
+     * @return {Promise<void>}
+     */
+    async flush() {
+        // Nothing to flush by default.
+    }
+
+    /**
+     * Flush pending changes and release resources (files, connections...).
+     * @return {Promise<void>}
+     */
+    async close() {
+        await this.flush();
+    }
+
+    /**
+     * Check if a object implements all required storage adapter methods.
+     * @param {object} adapter - Object to check.
+     * @return {boolean}
+     */
+    static isAdapter(adapter) {
+        return Boolean(adapter)
+            && ['load', 'upsert', 'delete'].every((method) => typeof adapter[method] === 'function');
+    }
+}
+
+/**
+ * Check if a history entry matches a history filter.
+ * @param {IHistoryEntry} entry - History entry.
+ * @param {IHistoryFilter} filter - History filter.
+ * @return {boolean}
+ */
+function matchHistoryFilter(entry, filter) {
+    return ['guild', 'member', 'reactionRole', 'role', 'action', 'trigger'].every((key) => filter[key] === undefined || filter[key] === entry[key])
+        && (filter.since === undefined || entry.timestamp >= filter.since)
+        && (filter.until === undefined || entry.timestamp <= filter.until);
+}
+
+/**
+ * Filter, sort (newest first) and limit history entries, for adapters without query language.
+ * @param {IHistoryEntry[]} entries - All history entries.
+ * @param {IHistoryFilter} [filter={}] - Which entries to search.
+ * @return {IHistoryEntry[]}
+ */
+function filterHistory(entries, filter = {}) {
+    const result = entries.filter((entry) => matchHistoryFilter(entry, filter)).sort((a, b) => b.timestamp - a.timestamp);
+    return filter.limit > 0 ? result.slice(0, filter.limit) : result;
+}
+
+module.exports = {
+    StorageAdapter,
+    filterHistory,
+};
@@ -29,12 +29,12 @@ class Constants {
     static DEFAULT_PAGINATOR_REACTIONS_MAP = {
         '⏮️': async (_reaction, _collector, botMessage, pages) => {
             pages.index = 0;
-            await botMessage.edit({ embed: pages[pages.index] });
+            await botMessage.edit({ embeds: [pages[pages.index]] });
         },
         '⏪': async (_reaction, _collector, botMessage, pages) => {
             pages.index--;
             if (pages.index <= 0) pages.index = 0;
-            await botMessage.edit({ embed: pages[pages.index] });
+            await botMessage.edit({ embeds: [pages[pages.index]] });
         },
         '⏹️': async (_reaction, collector, _botMessage, _pages) => {
             collector.stop();
@@ -42,11 +42,11 @@ class Constants {
         '⏩': async (_reaction, _collector, botMessage, pages) => {
             pages.index++;
             if (pages.index >= pages.length) pages.index = pages.length - 1;
-            await botMessage.edit({ embed: pages[pages.index] });
+            await botMessage.edit({ embeds: [pages[pages.index]] });
         },
         '⏭️': async (_reaction, _collector, botMessage, pages) => {
             pages.index = pages.length - 1;
-            await botMessage.edit({ embed: pages[pages.index] });
+            await botMessage.edit({ embeds: [pages[pages.index]] });
         },
     };
     /**
@@ -72,6 +72,12 @@ class Constants {
      * @default 1500
      */
     static DEFAULT_TIMEOUT_TOGGLED_ROLES = 1500;
+    /**
+     * Max delay of setTimeout, longer timers are armed again when it expires.
+     * @constant {number}
+     * @default 2147483647
+     */
+    static MAX_TIMEOUT = 2147483647;
 }
 
 module.exports = Constants;
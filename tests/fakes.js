@@ -0,0 +1,140 @@
+const { EventEmitter } = require('events');
+const { Collection } = require('discord.js');
+
+/**
+ * Fake discord client, with only what reaction role manager uses. Guilds, users and emojis are added to its caches.
+ * @return {EventEmitter}
+ */
+function createClient() {
+    const client = new EventEmitter();
+    const resolve = (cache) => (value) => cache.get(value && value.id ? value.id : value) || null;
+
+    const guilds = new Collection();
+    client.guilds = { cache: guilds, resolve: resolve(guilds) };
+    const users = new Collection();
+    client.users = { cache: users, resolve: resolve(users), resolveId: (user) => (user && user.id ? user.id : user) };
+    const emojis = new Collection();
+    client.emojis = { cache: emojis, resolve: resolve(emojis), resolveIdentifier: (emoji) => (emojis.has(emoji) ? emoji : encodeURIComponent(emoji)) };
+    client.user = { id: '1' };
+    return client;
+}
+
+/**
+ * Fake guild, added to client guilds cache.
+ * @param {EventEmitter} client - Fake client.
+ * @param {object} [data={}] -
+ * @param {string} [data.id='30'] - Guild ID.
+ * @param {Object<string, string>} [data.roles={}] - Role names, by ID.
+ * @return {object}
+ */
+function createGuild(client, { id = '30', roles = {} } = {}) {
+    const guild = { id, client };
+    const cache = new Collection(Object.entries(roles).map(([roleId, name]) => [roleId, {
+        id: roleId, name, guild, editable: true,
+    }]));
+    guild.roles = { cache, resolve: (role) => cache.get(role && role.id ? role.id : role) || null };
+    guild.channels = { cache: new Collection() };
+    guild.emojis = { cache: new Collection() };
+    const members = new Collection();
+    guild.members = {
+        cache: members,
+        all: new Collection(),
+        resolve: (member) => members.get(member && member.id ? member.id : member) || null,
+        fetch: async (memberId) => {
+            if (!guild.members.all.has(memberId)) throw Object.assign(new Error('Unknown Member'), { code: 10007 });
+            return guild.members.all.get(memberId);
+        },
+    };
+    client.guilds.cache.set(id, guild);
+    return guild;
+}
+
+/**
+ * Fake guild member. Uncached members are found only by fetching them.
+ * @param {object} guild - Fake guild.
+ * @param {string} id - Member ID.
+ * @param {object} [data={}] -
+ * @param {string[]} [data.roles=[]] - Member role ID's.
+ * @param {boolean} [data.cached=true] - Is member cached?
+ * @return {object}
+ */
+function createMember(guild, id, { roles = [], cached = true } = {}) {
+    const cache = new Collection(roles.map((roleId) => [roleId, guild.roles.resolve(roleId)]));
+    const user = { id, bot: false, createdTimestamp: 0 };
+    const member = {
+        id,
+        user,
+        guild,
+        joinedTimestamp: 0,
+        premiumSinceTimestamp: null,
+        permissions: { missing: () => [] },
+        roles: {
+            cache,
+            add: async (role) => { cache.set(role.id || role, guild.roles.resolve(role)); },
+            remove: async (role) => { cache.delete(role.id || role); },
+        },
+    };
+    guild.members.all.set(id, member);
+    if (cached) guild.members.cache.set(id, member);
+    return member;
+}
+
+/**
+ * Fake text channel, added to guild channels cache. Its messages are found only by fetching them.
+ * @param {object} guild - Fake guild.
+ * @param {string} [id='20'] - Channel ID.
+ * @param {string[]} [messageIds=[]] - Messages of this channel.
+ * @return {object}
+ */
+function createChannel(guild, id = '20', messageIds = []) {
+    const channel = { id, guild };
+    const messages = new Collection(messageIds.map((messageId) => [messageId, {
+        id: messageId, partial: false, guild, channel, reactions: { cache: new Collection() },
+    }]));
+    channel.messages = {
+        cache: messages,
+        fetch: async (messageId) => {
+            if (!messages.has(messageId)) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+            return messages.get(messageId);
+        },
+    };
+    guild.channels.cache.set(id, channel);
+    return channel;
+}
+
+/**
+ * Fake message reaction of a unicode emoji, with users who reacted.
+ * It's added to reactions of the message, if some guild channel has it.
+ * @param {object} guild - Fake guild.
+ * @param {string} messageId - Message ID.
+ * @param {string} emoji - Unicode emoji.
+ * @param {string[]} [userIds=[]] - Users who reacted.
+ * @return {object}
+ */
+function createReaction(guild, messageId, emoji, userIds = []) {
+    const users = new Collection(userIds.map((userId) => [userId, { id: userId }]));
+    const channel = guild.channels.cache.find((x) => x.messages.cache.has(messageId));
+    const message = channel ? channel.messages.cache.get(messageId) : {
+        id: messageId, partial: false, guild, reactions: { cache: new Collection() },
+    };
+    const reaction = {
+        partial: false,
+        emoji: { id: null, name: emoji },
+        message,
+        users: {
+            cache: users,
+            fetch: async () => users,
+            remove: async (user) => { users.delete(user && user.id ? user.id : user); },
+        },
+    };
+    message.reactions.cache.set(emoji, reaction);
+    return reaction;
+}
+
+module.exports = {
+    createChannel,
+    createClient,
+    createGuild,
+    createMember,
+    createReaction,
+};
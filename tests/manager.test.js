@@ -0,0 +1,498 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { expect } = require('chai');
+const { ReactionRoleManager } = require('../src/reaction-role/manager');
+const { ReactionRole } = require('../src/reaction-role/reactionRole');
+const { JsonStorageAdapter } = require('../src/reaction-role/storage/jsonAdapter');
+const { MemoryStorageAdapter } = require('../src/reaction-role/storage/memoryAdapter');
+const {
+    NotificationMode, NotificationType, ActionTrigger, SelectionPolicy,
+} = require('../src/reaction-role/constants');
+const {
+    createChannel, createClient, createGuild, createMember, createReaction,
+} = require('./fakes');
+
+describe('ReactionRoleManager', () => {
+    describe('storage errors', () => {
+        it('emits storage error if reaction roles cannot be loaded on boot', async () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reaction-roles-'));
+            const file = path.join(directory, 'roles.json');
+            fs.writeFileSync(file, 'not json');
+
+            const client = createClient();
+            const manager = new ReactionRoleManager(client, { storageAdapter: new JsonStorageAdapter({ path: file, flushOnExit: false }) });
+            const failed = new Promise((resolve) => { manager.once('storageError', resolve); });
+            client.emit('ready');
+
+            expect(await failed).to.be.instanceOf(SyntaxError);
+            expect(manager.reactionRoles.size).to.equal(0);
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+    });
+
+    describe('disabled and deleted reaction roles', () => {
+        let directory;
+        let managers;
+
+        // Each manager is a bot restart, loading reaction roles from the same storage file.
+        const start = async () => {
+            const manager = new ReactionRoleManager(createClient(), {
+                storageAdapter: new JsonStorageAdapter({ path: path.join(directory, 'roles.json'), writeDelay: 0 }),
+            });
+            managers.push(manager);
+            await manager.__initStorage();
+            await manager.__parseStorage();
+            return manager;
+        };
+
+        const createReactionRole = async (manager, message = '10') => {
+            const reactionRole = new ReactionRole({
+                message, channel: '20', guild: '30', emoji: '%F0%9F%94%B4', roles: ['40'], winners: ['50'],
+            });
+            manager.reactionRoles.set(reactionRole.id, reactionRole);
+            await manager.store(reactionRole);
+            return reactionRole;
+        };
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reaction-roles-'));
+            managers = [];
+        });
+
+        afterEach(async () => {
+            for (let i = 0; i < managers.length; i += 1) await managers[i].storageAdapter.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('keeps disabled reaction roles after restart and enables them', async () => {
+            const { id } = await createReactionRole(await start());
+            await managers[0].setReactionRoleDisabled(id);
+
+            const manager = await start();
+            expect(manager.reactionRoles.has(id)).to.equal(true);
+            expect(manager.reactionRoles.get(id).disabled).to.equal(true);
+            expect(manager.reactionRoles.get(id).winners).to.deep.equal(['50']);
+
+            await manager.setReactionRoleDisabled(id, false);
+            expect(manager.reactionRoles.get(id).disabled).to.equal(false);
+
+            const restarted = await start();
+            expect(restarted.reactionRoles.get(id).disabled).to.equal(false);
+        });
+
+        it('doesn\'t load deleted reaction roles', async () => {
+            const manager = await start();
+            const reactionRole = await createReactionRole(manager);
+            await manager.deleteReactionRole({ reactionRole });
+
+            expect(reactionRole.deleted).to.equal(true);
+            expect(manager.reactionRoles.has(reactionRole.id)).to.equal(false);
+            expect((await start()).reactionRoles.has(reactionRole.id)).to.equal(false);
+            expect((await manager.storageAdapter.load())[0].deleted).to.equal(true);
+        });
+
+        it('never enables deleted reaction roles', async () => {
+            const manager = await start();
+            const reactionRole = await createReactionRole(manager);
+            await manager.deleteReactionRole({ reactionRole });
+
+            const errors = [];
+            await manager.setReactionRoleDisabled(reactionRole.id, false).catch((error) => errors.push(error.message));
+            await manager.setReactionRoleDisabled(reactionRole, false).catch((error) => errors.push(error.message));
+
+            expect(errors).to.deep.equal(['Bad input: I cannot find this reaction role.', `Bad input: reaction role '${reactionRole.id}' was deleted.`]);
+            expect(reactionRole.disabled).to.equal(true);
+        });
+    });
+
+    describe('importReactionRoles', () => {
+        const exported = (reactionRoles) => ({
+            version: 1,
+            guild: { id: '1', name: 'Old guild' },
+            messages: [{
+                id: '10', channel: { id: '20', name: 'roles' }, content: 'Pick your roles', embeds: [], reactionRoles,
+            }],
+        });
+
+        it('reports reaction roles what failed to be created and imports others', async () => {
+            const client = createClient();
+            const guild = createGuild(client, { roles: { 40: 'Red', 41: 'Blue' } });
+            const manager = new ReactionRoleManager(client, { storage: false });
+            const created = [];
+            manager.createReactionRole = async (options) => {
+                if (options.emoji === '🔵') throw new Error('Unknown Emoji');
+                created.push(options);
+                return options;
+            };
+
+            const data = exported([
+                { emoji: { id: null, name: '🔵' }, roles: [{ id: '41', name: 'Blue' }], requirements: {} },
+                // Exported by older versions, without requirements.
+                { emoji: { id: null, name: '🔴' }, roles: [{ id: '40', name: 'Red' }] },
+            ]);
+            const report = await manager.importReactionRoles(data, { guild, messages: { 10: { id: '11' } } });
+
+            expect(report.created).to.have.lengthOf(1);
+            expect(report.messages).to.deep.equal({ 10: '11' });
+            expect(report.unresolved).to.have.lengthOf(1);
+            expect(report.unresolved[0]).to.include({
+                type: 'reactionRole', id: null, name: '🔵', message: '10',
+            });
+            expect(report.unresolved[0].reason.message).to.equal('Unknown Emoji');
+            expect(created[0].emoji).to.equal('🔴');
+            expect(created[0].requirements).to.deep.equal({ roles: { allowList: [], denyList: [] }, expression: null });
+        });
+
+        it('reports messages what failed to be sent', async () => {
+            const client = createClient();
+            const guild = createGuild(client, { roles: { 40: 'Red' } });
+            guild.channels.cache.set('20', { id: '20', name: 'roles', send: async () => { throw new Error('Missing Access'); } });
+            const manager = new ReactionRoleManager(client, { storage: false });
+
+            const report = await manager.importReactionRoles(exported([{ emoji: { id: null, name: '🔴' }, roles: [{ id: '40', name: 'Red' }] }]), { guild });
+
+            expect(report.created).to.deep.equal([]);
+            expect(report.unresolved.map(({ type, message, reason }) => [type, message, reason.message])).to.deep.equal([['message', '10', 'Missing Access']]);
+        });
+    });
+
+    describe('temporary reaction roles expiration', () => {
+        let client;
+        let guild;
+        let manager;
+        let reactionRole;
+
+        beforeEach(() => {
+            client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red' } });
+            manager = new ReactionRoleManager(client, { storage: false });
+            reactionRole = new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: '%F0%9F%94%B4', roles: ['40'], winners: ['50'], duration: 1000,
+                expirations: { 50: Date.now() - 1 },
+            });
+            manager.reactionRoles.set(reactionRole.id, reactionRole);
+        });
+
+        it('takes roles from uncached members', async () => {
+            const member = createMember(guild, '50', { roles: ['40'], cached: false });
+            const expired = [];
+            manager.on('reactionRoleExpire', (expiredMember, roles) => expired.push([expiredMember.id, roles.map((role) => role.id)]));
+
+            await manager.__expireReactionRole(reactionRole, '50');
+
+            expect(member.roles.cache.has('40')).to.equal(false);
+            expect(reactionRole.winners).to.deep.equal([]);
+            expect(reactionRole.expirations).to.deep.equal({});
+            expect(expired).to.deep.equal([['50', ['40']]]);
+        });
+
+        it('removes winners who left the server', async () => {
+            await manager.__expireReactionRole(reactionRole, '50');
+
+            expect(reactionRole.winners).to.deep.equal([]);
+        });
+
+        it('keeps winners if their roles cannot be taken', async () => {
+            const member = createMember(guild, '50', { roles: ['40'] });
+            member.roles.remove = async () => { throw new Error('Missing Permissions'); };
+
+            await manager.__expireReactionRole(reactionRole, '50');
+            expect(reactionRole.winners).to.deep.equal(['50']);
+            expect(Object.keys(reactionRole.expirations)).to.deep.equal(['50']);
+
+            guild.members.fetch = async () => { throw new Error('Service Unavailable'); };
+            await manager.__expireReactionRole(reactionRole, '50');
+            expect(reactionRole.winners).to.deep.equal(['50']);
+        });
+    });
+
+    describe('notifications', () => {
+        let guild;
+        let member;
+        let sent;
+
+        const notify = async (managerNotifications, reactionRoleNotifications) => {
+            const client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red' } });
+            guild.channels.cache.set('20', {
+                id: '20',
+                send: async (content) => {
+                    const message = { content, deleted: false, delete: async () => { message.deleted = true; } };
+                    sent.push(message);
+                    return message;
+                },
+            });
+            member = createMember(guild, '50');
+            member.send = async () => { throw new Error('Cannot send messages to this user'); };
+            sent = [];
+
+            const manager = new ReactionRoleManager(client, { storage: false, notifications: managerNotifications });
+            const reactionRole = new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: '%F0%9F%94%B4', roles: ['40'], notifications: reactionRoleNotifications,
+            });
+            await manager.__notify(NotificationType.MAX_REACHED, member, reactionRole, ActionTrigger.REACTION);
+        };
+
+        it('falls back to channel if member DM is closed', async () => {
+            await notify({ mode: NotificationMode.DM });
+
+            expect(sent).to.have.lengthOf(1);
+        });
+
+        it('uses fallback option of reaction role before manager one', async () => {
+            await notify({ mode: NotificationMode.DM }, { fallbackToChannel: false });
+            expect(sent).to.deep.equal([]);
+
+            await notify({ mode: NotificationMode.DM, fallbackToChannel: false }, { fallbackToChannel: true });
+            expect(sent).to.have.lengthOf(1);
+        });
+
+        it('deletes channel notifications after delay of reaction role', async () => {
+            await notify({ mode: NotificationMode.CHANNEL, deleteAfter: 60000 }, { deleteAfter: 1 });
+            await new Promise((resolve) => { setTimeout(resolve, 20); });
+            expect(sent[0].deleted).to.equal(true);
+
+            await notify({ mode: NotificationMode.CHANNEL, deleteAfter: 1 }, { deleteAfter: 0 });
+            await new Promise((resolve) => { setTimeout(resolve, 20); });
+            expect(sent[0].deleted).to.equal(false);
+        });
+
+        it('rejects invalid reaction role notification options', () => {
+            const data = {
+                message: '10', channel: '20', guild: '30', emoji: '%F0%9F%94%B4', roles: ['40'],
+            };
+
+            expect(() => new ReactionRole({ ...data, notifications: { deleteAfter: -1 } })).to.throw('notifications.deleteAfter');
+            expect(() => new ReactionRole({ ...data, notifications: { fallbackToChannel: 'yes' } })).to.throw('notifications.fallbackToChannel');
+        });
+    });
+
+    describe('reaction handlers', () => {
+        let client;
+        let guild;
+        let member;
+        let manager;
+        let reactionRole;
+
+        beforeEach(() => {
+            client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red' } });
+            member = createMember(guild, '50');
+            manager = new ReactionRoleManager(client, { storageAdapter: new MemoryStorageAdapter() });
+            reactionRole = new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: encodeURIComponent('🔴'), roles: ['40'],
+            });
+            manager.reactionRoles.set(reactionRole.id, reactionRole);
+        });
+
+        const debugged = (text) => new Promise((resolve) => {
+            manager.on('debug', (message) => { if (message.includes(text)) resolve(message); });
+        });
+
+        it('gives roles and emits storage errors if winners cannot be stored', async () => {
+            manager.storageAdapter.upsert = async () => { throw new Error('disk full'); };
+            const storageError = new Promise((resolve) => { manager.once('storageError', resolve); });
+
+            await manager.__onReactionAdd(createReaction(guild, '10', '🔴', ['50']), member.user);
+
+            expect((await storageError).message).to.equal('disk full');
+            expect(member.roles.cache.has('40')).to.equal(true);
+            expect(reactionRole.winners).to.deep.equal(['50']);
+        });
+
+        it('debugs reactions what failed to be handled', async () => {
+            member.roles.add = async () => { throw new Error('Missing Permissions'); };
+            const failed = debugged('Failed to handle reaction of user \'50\'');
+
+            client.emit('messageReactionAdd', createReaction(guild, '10', '🔴', ['50']), member.user);
+
+            expect(await failed).to.include('Missing Permissions');
+            expect(reactionRole.winners).to.deep.equal([]);
+        });
+
+        it('takes roles and stores winners when reaction is removed', async () => {
+            await manager.__onReactionAdd(createReaction(guild, '10', '🔴', ['50']), member.user);
+            await manager.__onReactionRemove(createReaction(guild, '10', '🔴'), member.user);
+
+            expect(member.roles.cache.has('40')).to.equal(false);
+            expect(reactionRole.winners).to.deep.equal([]);
+            expect((await manager.storageAdapter.load())[0].winners).to.deep.equal([]);
+        });
+    });
+
+    describe('cooldowns', () => {
+        let client;
+        let guild;
+        let member;
+        let manager;
+        let reactionRole;
+
+        beforeEach(() => {
+            client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red' } });
+            member = createMember(guild, '50');
+            manager = new ReactionRoleManager(client, { storage: false, cooldown: { member: 1000 } });
+            reactionRole = new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: encodeURIComponent('🔴'), roles: ['40'],
+            });
+            manager.reactionRoles.set(reactionRole.id, reactionRole);
+        });
+
+        it('throttles reactions added before cooldown is over and removes them', async () => {
+            const throttled = [];
+            manager.on('reactionThrottled', (throttledMember, throttledRole, remaining) => throttled.push([throttledMember.id, remaining]));
+            const reaction = createReaction(guild, '10', '🔴', ['50']);
+
+            expect(await manager.__isThrottled(member, reactionRole, reaction)).to.equal(false);
+            expect(await manager.__isThrottled(member, reactionRole, reaction)).to.equal(true);
+            expect(reaction.users.cache.has('50')).to.equal(false);
+            expect(throttled).to.have.lengthOf(1);
+            expect(throttled[0][1]).to.be.within(1, 1000);
+        });
+
+        it('uses cooldown of reaction role before manager one', async () => {
+            manager.cooldown.member = 0;
+            manager.cooldown.reactionRole = 1000;
+            reactionRole.cooldown = 0;
+            const reaction = createReaction(guild, '10', '🔴', ['50']);
+
+            expect(await manager.__isThrottled(member, reactionRole, reaction)).to.equal(false);
+            expect(await manager.__isThrottled(member, reactionRole, reaction)).to.equal(false);
+            expect(manager.__lastReactions.size).to.equal(0);
+        });
+
+        it('keeps reactions of throttled members if remove reaction is disabled', async () => {
+            manager.cooldown.removeReaction = false;
+            const reaction = createReaction(guild, '10', '🔴', ['50']);
+
+            await manager.__isThrottled(member, reactionRole, reaction);
+            expect(await manager.__isThrottled(member, reactionRole, reaction)).to.equal(true);
+            expect(reaction.users.cache.has('50')).to.equal(true);
+        });
+
+        it('prunes expired cooldowns when too many reactions are saved', async () => {
+            const expired = Date.now() - 2000;
+            for (let i = 0; i < 1001; i += 1) manager.__lastReactions.set(`${guild.id}-${100 + i}`, expired);
+            manager.__lastReactions.set(`${guild.id}-99`, Date.now());
+
+            expect(await manager.__isThrottled(member, reactionRole, createReaction(guild, '10', '🔴', ['50']))).to.equal(false);
+            expect([...manager.__lastReactions.keys()]).to.deep.equal([`${guild.id}-99`, `${guild.id}-50`]);
+        });
+    });
+
+    describe('max selections', () => {
+        let client;
+        let guild;
+        let member;
+        let manager;
+        let reactionRoles;
+
+        beforeEach(() => {
+            client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red', 41: 'Blue', 42: 'Green' } });
+            createChannel(guild, '20', ['10']);
+            member = createMember(guild, '50', { roles: ['40', '41'] });
+            manager = new ReactionRoleManager(client, { storage: false });
+            reactionRoles = ['🔴', '🔵', '🟢'].map((emoji, i) => new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: encodeURIComponent(emoji), roles: [`${40 + i}`], maxSelections: 2,
+            }));
+            reactionRoles.forEach((reactionRole) => manager.reactionRoles.set(reactionRole.id, reactionRole));
+            manager.__addWinner(reactionRoles[0], '50');
+            manager.__addWinner(reactionRoles[1], '50');
+            reactionRoles[0].wonAt[50] -= 1000;
+            createReaction(guild, '10', '🔴', ['50']);
+            createReaction(guild, '10', '🔵', ['50']);
+        });
+
+        it('allows members below max selections or already winners', async () => {
+            reactionRoles[2].maxSelections = 3;
+            const reaction = createReaction(guild, '10', '🟢', ['50']);
+
+            expect(await manager.__checkMaxSelections(member, reactionRoles[2], reaction, ActionTrigger.REACTION)).to.equal(true);
+            expect(await manager.__checkMaxSelections(member, reactionRoles[0], reaction, ActionTrigger.REACTION)).to.equal(true);
+            expect(reaction.users.cache.has('50')).to.equal(true);
+        });
+
+        it('rejects new reaction if max selections is reached', async () => {
+            const reached = [];
+            manager.on('maxSelectionsReached', (reachedMember, reactionRole, selected, policy) => reached.push([reactionRole.id, selected.length, policy]));
+            const reaction = createReaction(guild, '10', '🟢', ['50']);
+
+            expect(await manager.__checkMaxSelections(member, reactionRoles[2], reaction, ActionTrigger.REACTION)).to.equal(false);
+            expect(reaction.users.cache.has('50')).to.equal(false);
+            expect(reached).to.deep.equal([[reactionRoles[2].id, 2, SelectionPolicy.REJECT]]);
+            expect(reactionRoles[0].winners).to.deep.equal(['50']);
+            expect([...member.roles.cache.keys()]).to.deep.equal(['40', '41']);
+        });
+
+        it('drops oldest selection if max selections is reached', async () => {
+            reactionRoles[2].selectionPolicy = SelectionPolicy.DROP_OLDEST;
+            const reaction = createReaction(guild, '10', '🟢', ['50']);
+            const rolesTaken = [];
+
+            expect(await manager.__checkMaxSelections(member, reactionRoles[2], reaction, ActionTrigger.REACTION, rolesTaken)).to.equal(true);
+            expect(rolesTaken.map((role) => role.id)).to.deep.equal(['40']);
+            expect(reactionRoles[0].winners).to.deep.equal([]);
+            expect(reactionRoles[1].winners).to.deep.equal(['50']);
+            expect([...member.roles.cache.keys()]).to.deep.equal(['41']);
+            expect(guild.channels.cache.get('20').messages.cache.get('10').reactions.cache.get('🔴').users.cache.has('50')).to.equal(false);
+            expect(reaction.users.cache.has('50')).to.equal(true);
+        });
+    });
+
+    describe('waitlist', () => {
+        let client;
+        let guild;
+        let manager;
+        let reactionRole;
+
+        beforeEach(() => {
+            client = createClient();
+            guild = createGuild(client, { roles: { 40: 'Red' } });
+            createChannel(guild, '20', ['10']);
+            ['51', '52', '53'].forEach((memberId) => createMember(guild, memberId));
+            manager = new ReactionRoleManager(client, { storageAdapter: new MemoryStorageAdapter() });
+            reactionRole = new ReactionRole({
+                message: '10', channel: '20', guild: guild.id, emoji: encodeURIComponent('🔴'), roles: ['40'], max: 1, waitlist: true,
+                waitlisted: ['51', '52', '53'],
+            });
+            manager.reactionRoles.set(reactionRole.id, reactionRole);
+            createReaction(guild, '10', '🔴', ['52', '53']);
+        });
+
+        it('promotes first waitlisted members who still reacted while there are free slots', async () => {
+            const promoted = [];
+            manager.on('waitlistPromoted', (member) => promoted.push(member.id));
+
+            await manager.__promoteWaitlist(reactionRole);
+
+            expect(promoted).to.deep.equal(['52']);
+            expect(reactionRole.winners).to.deep.equal(['52']);
+            expect(reactionRole.waitlisted).to.deep.equal(['53']);
+            expect(guild.members.cache.get('52').roles.cache.has('40')).to.equal(true);
+            expect((await manager.storageAdapter.load())[0].waitlisted).to.deep.equal(['53']);
+        });
+
+        it('promotes each free slot once when promotions run together', async () => {
+            await Promise.all([manager.__promoteWaitlist(reactionRole), manager.__promoteWaitlist(reactionRole)]);
+
+            expect(reactionRole.winners).to.deep.equal(['52']);
+            expect(reactionRole.waitlisted).to.deep.equal(['53']);
+            expect(guild.members.cache.get('53').roles.cache.has('40')).to.equal(false);
+        });
+
+        it('doesn\'t promote members of full or closed reaction roles', async () => {
+            reactionRole.closed = true;
+            await manager.__promoteWaitlist(reactionRole);
+            expect(reactionRole.winners).to.deep.equal([]);
+
+            reactionRole.closed = false;
+            manager.__addWinner(reactionRole, '54');
+            await manager.__promoteWaitlist(reactionRole);
+            expect(reactionRole.winners).to.deep.equal(['54']);
+            expect(reactionRole.waitlisted).to.deep.equal(['51', '52', '53']);
+        });
+    });
+});
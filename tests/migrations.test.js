@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const { expect } = require('chai');
+const { SCHEMA_VERSION, MIGRATIONS, migrateReactionRole } = require('../src/reaction-role/migrations');
+const { ReactionRole } = require('../src/reaction-role/reactionRole');
+const { ReactionRoleType } = require('../src/reaction-role/constants');
+
+const legacyData = (data = {}) => ({
+    id: '1-%F0%9F%94%B4',
+    message: '1',
+    channel: '2',
+    guild: '3',
+    emoji: '%F0%9F%94%B4',
+    winners: [],
+    ...data,
+});
+
+describe('migrateReactionRole', () => {
+    it('has migrations sorted up to current schema version', () => {
+        const versions = MIGRATIONS.map((migration) => migration.version);
+        expect(versions).to.deep.equal([...versions].sort((a, b) => a - b));
+        expect(versions[versions.length - 1]).to.equal(SCHEMA_VERSION);
+    });
+
+    it('replaces deprecated toggle flag by toggle type', () => {
+        const report = migrateReactionRole(legacyData({ toggle: true, type: ReactionRoleType.NORMAL, roles: ['4'] }));
+
+        expect(report.data.type).to.equal(ReactionRoleType.TOGGLE);
+        expect(report.data).to.not.have.property('toggle');
+        expect(report.changes).to.include('type set to TOGGLE from deprecated toggle flag');
+    });
+
+    it('sets unknown type to normal', () => {
+        const report = migrateReactionRole(legacyData({ roles: ['4'] }));
+
+        expect(report.data.type).to.equal(ReactionRoleType.NORMAL);
+        expect(report.changes).to.include('unknown type set to NORMAL');
+    });
+
+    it('moves deprecated role to roles list without duplicates', () => {
+        expect(migrateReactionRole(legacyData({ role: '4' })).data.roles).to.deep.equal(['4']);
+        expect(migrateReactionRole(legacyData({ role: { id: '4' }, roles: ['5'] })).data.roles).to.deep.equal(['5', '4']);
+
+        const report = migrateReactionRole(legacyData({ role: '4', roles: ['4'] }));
+        expect(report.data.roles).to.deep.equal(['4']);
+        expect(report.data).to.not.have.property('role');
+        expect(report.changes).to.deep.equal(['unknown type set to NORMAL', 'deprecated role field removed']);
+    });
+
+    it('marks legacy disabled reaction roles as deleted', () => {
+        const report = migrateReactionRole(legacyData({ schemaVersion: 2, disabled: true, roles: ['4'], type: ReactionRoleType.NORMAL }));
+
+        expect(report.data.deleted).to.equal(true);
+        expect(report.changes).to.deep.equal(['disabled reaction role marked as deleted']);
+        expect(migrateReactionRole(legacyData({ schemaVersion: 2, roles: ['4'], type: ReactionRoleType.NORMAL })).data).to.not.have.property('deleted');
+    });
+
+    it('reports schema versions and stamps current one', () => {
+        const report = migrateReactionRole(legacyData({ role: '4' }));
+
+        expect(report.from).to.equal(0);
+        expect(report.to).to.equal(SCHEMA_VERSION);
+        expect(report.data.schemaVersion).to.equal(SCHEMA_VERSION);
+    });
+
+    it('runs only migrations newer than data schema version', () => {
+        const report = migrateReactionRole(legacyData({ schemaVersion: 1, toggle: true, type: ReactionRoleType.NORMAL, role: '4' }));
+
+        expect(report.data.type).to.equal(ReactionRoleType.NORMAL);
+        expect(report.data.toggle).to.equal(true);
+        expect(report.data.roles).to.deep.equal(['4']);
+    });
+
+    it('doesn\'t change up to date data', () => {
+        const data = new ReactionRole(legacyData({ roles: ['4'], type: ReactionRoleType.TOGGLE })).toJSON();
+        const report = migrateReactionRole(data);
+
+        expect(report.from).to.equal(SCHEMA_VERSION);
+        expect(report.changes).to.deep.equal([]);
+        expect(report.data).to.deep.equal(data);
+    });
+
+    it('keeps newer schema versions', () => {
+        const report = migrateReactionRole(legacyData({ schemaVersion: SCHEMA_VERSION + 1, roles: ['4'], type: ReactionRoleType.NORMAL }));
+
+        expect(report.to).to.equal(SCHEMA_VERSION + 1);
+        expect(report.changes).to.deep.equal([]);
+    });
+
+    it('doesn\'t change given data', () => {
+        const data = legacyData({ toggle: true, role: '4', roles: ['5'] });
+        const copy = JSON.parse(JSON.stringify(data));
+        migrateReactionRole(data);
+
+        expect(data).to.deep.equal(copy);
+    });
+
+    it('migrates data what reaction roles can load', () => {
+        const { data } = migrateReactionRole(legacyData({ toggle: true, role: '4' }));
+        const reactionRole = new ReactionRole(data);
+
+        expect(reactionRole.isToggle).to.equal(true);
+        expect(reactionRole.roles).to.deep.equal(['4']);
+    });
+});
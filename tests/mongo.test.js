@@ -0,0 +1,123 @@
+const { EventEmitter } = require('events');
+const { describe, it, beforeEach } = require('node:test');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { MongoStorageAdapter } = require('../src/reaction-role/storage/mongoAdapter');
+
+const networkError = () => Object.assign(new Error('connection lost'), { name: 'MongoNetworkError' });
+
+/**
+ * Fake mongoose model, writing in a map. Next write errors can be set in `failures`.
+ * @return {object}
+ */
+function createModel() {
+    const model = { documents: new Map(), inserted: [], failures: [] };
+    const run = (write) => ({
+        exec: async () => {
+            const failure = model.failures.shift();
+            if (failure) throw failure;
+            write();
+        },
+    });
+    model.replaceOne = ({ id }, document) => run(() => model.documents.set(id, document));
+    model.deleteOne = ({ id }) => run(() => model.documents.delete(id));
+    model.insertMany = (entries) => run(() => model.inserted.push(...entries)).exec();
+    return model;
+}
+
+describe('MongoStorageAdapter queue', () => {
+    let connection;
+    let models;
+    let adapter;
+
+    const flushed = () => new Promise((resolve) => { setImmediate(resolve); });
+    const reconnect = async () => {
+        connection.readyState = 1;
+        connection.emit('reconnected');
+        await flushed();
+    };
+
+    beforeEach(async () => {
+        models = {};
+        connection = new EventEmitter();
+        Object.assign(connection, {
+            readyState: 1,
+            base: mongoose,
+            models,
+            model: (name) => {
+                models[name] = createModel();
+                return models[name];
+            },
+        });
+        adapter = new MongoStorageAdapter({ connection });
+        await adapter.init();
+    });
+
+    it('writes now if mongodb is connected', async () => {
+        await adapter.upsert({ id: '1', guild: '100' }, { id: '2', guild: '100' });
+        await adapter.delete('1');
+
+        expect([...adapter.model.documents.keys()]).to.deep.equal(['2']);
+        expect(adapter.queueSize).to.equal(0);
+    });
+
+    it('queues writes while mongodb is disconnected and replays them in order on reconnect', async () => {
+        connection.readyState = 0;
+        connection.emit('disconnected');
+        await adapter.upsert({ id: '1', guild: '100' });
+        await adapter.upsert({ id: '2', guild: '100' });
+        await adapter.upsert({ id: '1', guild: '101' });
+        await adapter.delete('2');
+        await adapter.appendHistory({ member: '400', timestamp: 10 });
+        expect(adapter.queueSize).to.equal(3);
+
+        const reconnected = [];
+        adapter.on('reconnected', (written) => reconnected.push(written));
+        await reconnect();
+
+        expect(reconnected).to.deep.equal([3]);
+        expect([...adapter.model.documents.entries()]).to.deep.equal([['1', { id: '1', guild: '101' }]]);
+        expect(adapter.historyModel.inserted).to.deep.equal([{ member: '400', timestamp: 10 }]);
+        expect(adapter.queueSize).to.equal(0);
+    });
+
+    it('keeps writes queued if connection fails while writing', async () => {
+        adapter.model.failures.push(networkError());
+        await adapter.upsert({ id: '1', guild: '100' });
+        expect(adapter.queueSize).to.equal(1);
+
+        await reconnect();
+        expect(adapter.model.documents.has('1')).to.equal(true);
+        expect(adapter.queueSize).to.equal(0);
+    });
+
+    it('emits error and keeps failed write in front of the queue on reconnect', async () => {
+        connection.readyState = 0;
+        await adapter.upsert({ id: '1', guild: '100' });
+        await adapter.upsert({ id: '2', guild: '100' });
+        await adapter.appendHistory({ member: '400', timestamp: 10 });
+
+        const errors = [];
+        adapter.on('error', (error) => errors.push(error));
+        adapter.model.failures.push(new Error('validation failed'));
+        await reconnect();
+
+        expect(errors.map((error) => error.message)).to.deep.equal(['validation failed']);
+        expect(adapter.model.documents.size).to.equal(0);
+        expect(adapter.queueSize).to.equal(3);
+
+        await adapter.upsert({ id: '3', guild: '100' });
+        expect([...adapter.model.documents.keys()]).to.deep.equal(['1', '2', '3']);
+        expect(adapter.historyModel.inserted).to.have.lengthOf(1);
+        expect(adapter.queueSize).to.equal(0);
+    });
+
+    it('keeps history queued if its write fails', async () => {
+        adapter.historyModel.failures.push(new Error('validation failed'));
+        const error = await adapter.appendHistory({ member: '400', timestamp: 10 }).catch((e) => e);
+
+        expect(error.message).to.equal('validation failed');
+        expect(adapter.queueSize).to.equal(1);
+        expect(await adapter.flush()).to.equal(1);
+    });
+});
@@ -0,0 +1,271 @@
+const { describe, it } = require('node:test');
+const { expect } = require('chai');
+const { Collection } = require('discord.js');
+const {
+    validateRequirementExpression, evaluateRequirementExpression, mapRequirementExpressionRoles, checkCustomRequirement,
+} = require('../src/reaction-role/requirements');
+const { ReactionRoleManager } = require('../src/reaction-role/manager');
+const { ReactionRole } = require('../src/reaction-role/reactionRole');
+const { RequirementType, ActionTrigger } = require('../src/reaction-role/constants');
+const { createClient } = require('./fakes');
+
+/**
+ * Fake guild member, with only what requirements check.
+ * @param {object} [data={}] -
+ * @param {string[]} [data.roles=[]] - Member role ID's.
+ * @param {boolean} [data.booster=false] - Is member a booster?
+ * @return {object}
+ */
+const fakeMember = ({ roles = [], booster = false } = {}) => ({
+    id: '400',
+    premiumSinceTimestamp: booster ? Date.now() : null,
+    joinedTimestamp: Date.now() - 1000,
+    user: { createdTimestamp: Date.now() - 1000 },
+    guild: { roles: { resolve: (roleId) => ({ id: roleId }) } },
+    roles: { cache: new Collection(roles.map((roleId) => [roleId, { id: roleId }])) },
+    permissions: { missing: (permissions) => permissions },
+});
+
+const SUPPORTER = '1';
+const STAFF = '2';
+const MUTED = '3';
+
+// Booster or supporter, and not muted unless staff.
+const expression = {
+    and: [
+        { or: [{ boost: true }, { roles: [SUPPORTER] }] },
+        { or: [{ roles: [STAFF] }, { not: { roles: [MUTED] } }] },
+    ],
+};
+
+describe('validateRequirementExpression', () => {
+    it('accepts nested expressions', () => {
+        expect(() => validateRequirementExpression(expression)).to.not.throw();
+        expect(() => validateRequirementExpression({ not: { custom: { name: 'level', options: 10 } } })).to.not.throw();
+    });
+
+    it('rejects bad expressions with their path', () => {
+        const invalid = [
+            [null, 'requirements.expression must be an object'],
+            [[{ boost: true }], 'requirements.expression must be an object'],
+            [{ boost: true, roles: [] }, 'must have only one operator or requirement'],
+            [{}, 'must have only one operator or requirement'],
+            [{ and: [] }, 'requirements.expression.and must be a non empty array'],
+            [{ or: { boost: true } }, 'requirements.expression.or must be a non empty array'],
+            [{ and: [{ boost: true }, { not: { xor: [] } }] }, '\'xor\' in requirements.expression.and[1].not is not a valid operator'],
+            [{ boost: 'yes' }, 'requirements.expression.boost must be a boolean'],
+            [{ roles: SUPPORTER }, 'requirements.expression.roles must be a array'],
+            [{ memberAge: -1 }, 'requirements.expression.memberAge must be a positive number'],
+            [{ custom: { options: 10 } }, 'requirements.expression.custom must be a requirement name'],
+        ];
+        invalid.forEach(([invalidExpression, message]) => {
+            expect(() => validateRequirementExpression(invalidExpression)).to.throw(message);
+        });
+    });
+
+    it('is checked by reaction roles', () => {
+        const data = {
+            message: '10', channel: '20', guild: '30', emoji: '%F0%9F%94%B4', roles: ['40'],
+        };
+
+        expect(new ReactionRole({ ...data, requirements: { expression } }).requirements.expression).to.deep.equal(expression);
+        expect(() => new ReactionRole({ ...data, requirements: { expression: { or: [] } } })).to.throw('Invalid property');
+    });
+});
+
+describe('evaluateRequirementExpression', () => {
+    it('passes if expression is satisfied', async () => {
+        expect(await evaluateRequirementExpression(expression, fakeMember({ booster: true }))).to.equal(null);
+        expect(await evaluateRequirementExpression(expression, fakeMember({ roles: [SUPPORTER] }))).to.equal(null);
+        expect(await evaluateRequirementExpression(expression, fakeMember({ roles: [SUPPORTER, STAFF, MUTED] }))).to.equal(null);
+    });
+
+    it('reports failed or branch with failures of each option', async () => {
+        const failure = await evaluateRequirementExpression(expression, fakeMember());
+
+        expect(failure).to.include({ path: 'and[0].or', operator: 'or', type: null });
+        expect(failure.failures).to.deep.equal([
+            {
+                path: 'and[0].or[0].boost', operator: null, type: RequirementType.BOOST, missing: null, failures: [],
+            },
+            {
+                path: 'and[0].or[1].roles', operator: null, type: RequirementType.ROLES, missing: [SUPPORTER], failures: [],
+            },
+        ]);
+    });
+
+    it('reports failed not operator', async () => {
+        const failure = await evaluateRequirementExpression(expression, fakeMember({ booster: true, roles: [MUTED] }));
+
+        expect(failure.path).to.equal('and[1].or');
+        expect(failure.operator).to.equal('or');
+        expect(failure.failures.map((branch) => [branch.path, branch.operator])).to.deep.equal([
+            ['and[1].or[0].roles', null],
+            ['and[1].or[1].not', 'not'],
+        ]);
+    });
+
+    it('stops and at first failure', async () => {
+        const failure = await evaluateRequirementExpression({ and: [{ roles: [STAFF] }, { boost: true }] }, fakeMember());
+
+        expect(failure).to.deep.equal({
+            path: 'and[0].roles', operator: null, type: RequirementType.ROLES, missing: [STAFF], failures: [],
+        });
+    });
+});
+
+describe('member age requirement', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Partial member without join date, like members of uncached guilds.
+     * @param {Function} fetch - Fetch member.
+     * @return {object}
+     */
+    const partialMember = (fetch) => ({ ...fakeMember(), joinedTimestamp: null, fetch });
+
+    it('fetches members without join date', async () => {
+        const member = partialMember(async () => ({ ...member, joinedTimestamp: Date.now() - 2 * DAY }));
+
+        expect(await evaluateRequirementExpression({ memberAge: DAY }, member)).to.equal(null);
+    });
+
+    it('handles members what cannot be fetched like they just joined', async () => {
+        const member = partialMember(async () => { throw new Error('Unknown Member'); });
+        const failure = await evaluateRequirementExpression({ memberAge: DAY }, member);
+
+        expect(failure.type).to.equal(RequirementType.MEMBER_AGE);
+        expect(failure.missing).to.be.within(DAY - 1000, DAY);
+    });
+
+    it('fetches members without join date in manager requirements', async () => {
+        const manager = new ReactionRoleManager(createClient(), { storage: false });
+        const rr = new ReactionRole({
+            message: '10', channel: '20', guild: '30', emoji: '%F0%9F%94%B4', roles: ['40'], requirements: { memberAge: DAY },
+        });
+        const reaction = { users: { remove: async () => null } };
+        let joinedTimestamp = Date.now() - 2 * DAY;
+        const member = partialMember(async () => ({ ...member, joinedTimestamp }));
+
+        expect(await manager.__checkRequirements(rr, reaction, member, ActionTrigger.BOOT)).to.equal(true);
+        joinedTimestamp = Date.now();
+        expect(await manager.__checkRequirements(rr, reaction, member, ActionTrigger.BOOT)).to.equal(false);
+    });
+});
+
+describe('mapRequirementExpressionRoles', () => {
+    it('maps all role lists and keeps other requirements', () => {
+        const mapped = mapRequirementExpressionRoles(expression, (roles) => roles.map((roleId) => `role-${roleId}`));
+
+        expect(mapped).to.deep.equal({
+            and: [
+                { or: [{ boost: true }, { roles: [`role-${SUPPORTER}`] }] },
+                { or: [{ roles: [`role-${STAFF}`] }, { not: { roles: [`role-${MUTED}`] } }] },
+            ],
+        });
+        expect(expression.and[0].or[1].roles).to.deep.equal([SUPPORTER]);
+    });
+});
+
+describe('checkCustomRequirement', () => {
+    const reactionRole = { id: '10-%F0%9F%94%B4' };
+    const check = (requirement, providers) => checkCustomRequirement(requirement, fakeMember(), reactionRole, new Map(Object.entries(providers)));
+
+    it('passes registered predicates with their options', async () => {
+        const calls = [];
+        const level = (member, rr, options) => {
+            calls.push([member.id, rr, options]);
+            return true;
+        };
+
+        expect(await check({ name: 'level', options: { min: 10 } }, { level })).to.deep.equal({
+            passed: true, missing: { name: 'level', options: { min: 10 }, reason: null },
+        });
+        expect(await check('level', { level })).to.deep.equal({ passed: true, missing: { name: 'level', options: null, reason: null } });
+        expect(calls).to.deep.equal([['400', reactionRole, { min: 10 }], ['400', reactionRole, null]]);
+    });
+
+    it('gives reason of async predicates', async () => {
+        const level = async () => ({ passed: false, reason: 'You need level 10.' });
+
+        expect(await check('level', { level })).to.deep.equal({ passed: false, missing: { name: 'level', options: null, reason: 'You need level 10.' } });
+    });
+
+    it('fails unknown requirements', async () => {
+        const { passed, missing } = await check('level', {});
+
+        expect(passed).to.equal(false);
+        expect(missing.reason).to.equal('Requirement \'level\' is not registered.');
+    });
+
+    it('fails requirements what throw or reject', async () => {
+        const error = new Error('xp api is down');
+        const throwing = await check('level', { level: () => { throw error; } });
+        const rejecting = await check('level', { level: async () => Promise.reject(error) });
+
+        expect(throwing).to.deep.equal({ passed: false, missing: { name: 'level', options: null, reason: error } });
+        expect(rejecting).to.deep.equal(throwing);
+    });
+});
+
+describe('ReactionRoleManager custom requirements', () => {
+    const reactionRole = (requirements) => new ReactionRole({
+        message: '10', channel: '20', guild: '30', emoji: '%F0%9F%94%B4', roles: ['40'], requirements,
+    });
+
+    /**
+     * Check requirements of a reaction role, like when member reacts.
+     * @param {ReactionRoleManager} manager - Manager with registered requirements.
+     * @param {ReactionRole} rr - Reaction role to check.
+     * @return {Promise<{ passed: boolean, removed: boolean, missing: any[] }>}
+     */
+    const checkRequirements = async (manager, rr) => {
+        const missing = [];
+        const onMissing = (type, member, failedRole, details) => missing.push([type, details]);
+        let removed = false;
+        const reaction = { users: { remove: async () => { removed = true; } } };
+
+        manager.on('missingRequirements', onMissing);
+        const passed = await manager.__checkRequirements(rr, reaction, fakeMember(), ActionTrigger.BOOT);
+        manager.off('missingRequirements', onMissing);
+        return { passed, removed, missing };
+    };
+
+    it('passes registered requirements', async () => {
+        const manager = new ReactionRoleManager(createClient(), { storage: false });
+        manager.registerRequirement('level', async (member, rr, options) => options.min <= 10);
+
+        const result = await checkRequirements(manager, reactionRole({ custom: [{ name: 'level', options: { min: 10 } }] }));
+        expect(result).to.deep.equal({ passed: true, removed: false, missing: [] });
+    });
+
+    it('treats unknown requirements as failed inside not operator', async () => {
+        const manager = new ReactionRoleManager(createClient(), { storage: false });
+
+        const result = await checkRequirements(manager, reactionRole({ expression: { not: { custom: 'staff' } } }));
+        expect(result.passed).to.equal(true);
+    });
+
+    it('emits missing requirement of unknown, throwing and rejected requirements', async () => {
+        const manager = new ReactionRoleManager(createClient(), { storage: false });
+        const error = new Error('xp api is down');
+        manager.registerRequirement('throwing', () => { throw error; });
+        manager.registerRequirement('rejecting', async () => Promise.reject(error));
+
+        const unknown = await checkRequirements(manager, reactionRole({ custom: ['level'] }));
+        expect(unknown.passed).to.equal(false);
+        expect(unknown.removed).to.equal(true);
+        expect(unknown.missing).to.deep.equal([
+            [RequirementType.CUSTOM, { name: 'level', options: null, reason: 'Requirement \'level\' is not registered.' }],
+        ]);
+
+        const throwing = await checkRequirements(manager, reactionRole({ custom: ['throwing'] }));
+        expect(throwing.missing).to.deep.equal([[RequirementType.CUSTOM, { name: 'throwing', options: null, reason: error }]]);
+
+        const rejected = await checkRequirements(manager, reactionRole({ expression: { custom: 'rejecting' } }));
+        expect(rejected.passed).to.equal(false);
+        expect(rejected.missing).to.deep.equal([[RequirementType.EXPRESSION, {
+            path: 'custom', operator: null, type: RequirementType.CUSTOM, missing: { name: 'rejecting', options: null, reason: error }, failures: [],
+        }]]);
+    });
+});
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { expect } = require('chai');
+const { ReactionRole } = require('../src/reaction-role/reactionRole');
+const { ActionType, ActionTrigger } = require('../src/reaction-role/constants');
+const { JsonStorageAdapter } = require('../src/reaction-role/storage/jsonAdapter');
+const { SqliteStorageAdapter } = require('../src/reaction-role/storage/sqliteAdapter');
+const { MemoryStorageAdapter } = require('../src/reaction-role/storage/memoryAdapter');
+const { StorageAdapter } = require('../src/reaction-role/storage/storageAdapter');
+
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch {
+    hasSqlite = false;
+}
+
+const reactionRole = (message, guild, data = {}) => new ReactionRole({
+    message,
+    channel: '200',
+    guild,
+    emoji: '%F0%9F%94%B4',
+    roles: ['300'],
+    winners: ['400'],
+    requirements: { boost: true, roles: { allowList: ['301'], denyList: [] } },
+    ...data,
+}).toJSON();
+
+const historyEntry = (member, timestamp, action = ActionType.GIVE) => ({
+    guild: '100',
+    member,
+    reactionRole: '1-%F0%9F%94%B4',
+    role: '300',
+    action,
+    trigger: ActionTrigger.REACTION,
+    timestamp,
+});
+
+/**
+ * Check load, upsert, delete, listByGuild and history of a storage adapter.
+ * @param {string} name - Adapter name.
+ * @param {Function} createAdapter - Create adapter, receiving a temporary directory.
+ * @param {object} [options={}] -
+ * @param {boolean} [options.persistent=true] - Is data kept when adapter is opened again?
+ * @param {boolean|string} [options.skip=false] - Skip these tests.
+ */
+function describeAdapter(name, createAdapter, { persistent = true, skip = false } = {}) {
+    describe(name, { skip }, () => {
+        let directory;
+        let adapter;
+
+        beforeEach(async () => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reaction-roles-'));
+            adapter = createAdapter(directory);
+            await adapter.init();
+        });
+
+        afterEach(async () => {
+            await adapter.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('loads nothing from empty storage', async () => {
+            expect(await adapter.load()).to.deep.equal([]);
+        });
+
+        it('loads what was upserted', async () => {
+            const first = reactionRole('1', '100');
+            const second = reactionRole('2', '101', { type: 2, closesAt: 1000, closed: true });
+            await adapter.upsert(first, second);
+
+            const loaded = await adapter.load();
+            expect(loaded).to.have.lengthOf(2);
+            expect(loaded.find((rr) => rr.id === first.id)).to.deep.equal(first);
+            expect(loaded.find((rr) => rr.id === second.id)).to.deep.equal(second);
+        });
+
+        it('updates reaction roles upserted again', async () => {
+            const first = reactionRole('1', '100');
+            await adapter.upsert(first);
+            await adapter.upsert({ ...first, winners: ['401', '402'], roles: ['302'], max: 2 });
+
+            const loaded = await adapter.load();
+            expect(loaded).to.have.lengthOf(1);
+            expect(loaded[0].winners).to.deep.equal(['401', '402']);
+            expect(loaded[0].roles).to.deep.equal(['302']);
+            expect(loaded[0].max).to.equal(2);
+        });
+
+        it('lists reaction roles by guild', async () => {
+            await adapter.upsert(reactionRole('1', '100'), reactionRole('2', '100'), reactionRole('3', '101'));
+
+            const listed = await adapter.listByGuild('100');
+            expect(listed.map((rr) => rr.message).sort()).to.deep.equal(['1', '2']);
+            expect(await adapter.listByGuild('102')).to.deep.equal([]);
+        });
+
+        it('deletes reaction roles', async () => {
+            const first = reactionRole('1', '100');
+            const second = reactionRole('2', '100');
+            await adapter.upsert(first, second);
+            await adapter.delete(first.id, 'unknown');
+
+            expect((await adapter.load()).map((rr) => rr.id)).to.deep.equal([second.id]);
+        });
+
+        it('fetches history by filter, newest first', async () => {
+            await adapter.appendHistory(historyEntry('400', 10), historyEntry('401', 20), historyEntry('400', 30, ActionType.TAKE));
+
+            expect(await adapter.fetchHistory({ member: '400' })).to.deep.equal([historyEntry('400', 30, ActionType.TAKE), historyEntry('400', 10)]);
+            expect(await adapter.fetchHistory({ action: ActionType.GIVE, since: 15 })).to.deep.equal([historyEntry('401', 20)]);
+            expect(await adapter.fetchHistory({ limit: 1 })).to.deep.equal([historyEntry('400', 30, ActionType.TAKE)]);
+        });
+
+        if (persistent) {
+            it('keeps reaction roles and history when opened again', async () => {
+                const first = reactionRole('1', '100');
+                await adapter.upsert(first, reactionRole('2', '100'));
+                await adapter.delete(reactionRole('2', '100').id);
+                await adapter.appendHistory(historyEntry('400', 10));
+                await adapter.close();
+
+                adapter = createAdapter(directory);
+                await adapter.init();
+                expect(await adapter.load()).to.deep.equal([first]);
+                expect(await adapter.fetchHistory()).to.deep.equal([historyEntry('400', 10)]);
+            });
+        }
+    });
+}
+
+describe('JsonStorageAdapter errors', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reaction-roles-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('emits errors of delayed writes and writes changes later', async () => {
+        const file = path.join(directory, 'missing', 'roles.json');
+        const adapter = new JsonStorageAdapter({ path: file, writeDelay: 1, flushOnExit: false });
+        const errors = [];
+        adapter.on('error', (error) => errors.push(error));
+
+        await adapter.upsert(reactionRole('1', '100'));
+        await new Promise((resolve) => { setTimeout(resolve, 20); });
+        expect(errors).to.have.lengthOf(1);
+        expect(errors[0].code).to.equal('ENOENT');
+
+        fs.mkdirSync(path.dirname(file));
+        await adapter.upsert(reactionRole('2', '100'));
+        await adapter.close();
+        expect(JSON.parse(fs.readFileSync(file).toString()).map((rr) => rr.message).sort()).to.deep.equal(['1', '2']);
+    });
+
+    it('fails to load if json file and all backups are corrupted', async () => {
+        const file = path.join(directory, 'roles.json');
+        fs.writeFileSync(file, '[{');
+        fs.writeFileSync(`${file}.1.bak`, '{}');
+        const adapter = new JsonStorageAdapter({ path: file, flushOnExit: false });
+
+        const error = await adapter.load().catch((e) => e);
+        expect(error).to.be.instanceOf(SyntaxError);
+    });
+
+    it('loads newest good backup if json file is corrupted', async () => {
+        const file = path.join(directory, 'roles.json');
+        fs.writeFileSync(file, '[{');
+        fs.writeFileSync(`${file}.1.bak`, JSON.stringify([reactionRole('1', '100')]));
+        const adapter = new JsonStorageAdapter({ path: file, writeDelay: 0, flushOnExit: false });
+
+        expect(await adapter.load()).to.deep.equal([reactionRole('1', '100')]);
+        expect(adapter.recoveredFrom).to.equal(`${file}.1.bak`);
+        expect(JSON.parse(fs.readFileSync(file).toString())).to.deep.equal([reactionRole('1', '100')]);
+    });
+});
+
+describe('StorageAdapter', () => {
+    class ArrayStorageAdapter extends StorageAdapter {
+        constructor() {
+            super();
+            this.reactionRoles = [reactionRole('1', '100'), reactionRole('2', '101')];
+        }
+
+        async load() { return this.reactionRoles; }
+
+        async upsert() {}
+
+        async delete() {}
+    }
+
+    it('requires only load, upsert and delete methods', () => {
+        expect(StorageAdapter.isAdapter(new ArrayStorageAdapter())).to.equal(true);
+        expect(StorageAdapter.isAdapter({ load() {}, upsert() {}, delete() {} })).to.equal(true);
+        expect(StorageAdapter.isAdapter({ load() {}, upsert() {} })).to.equal(false);
+    });
+
+    it('lists reaction roles by guild from loaded ones by default', async () => {
+        expect(await new ArrayStorageAdapter().listByGuild('100')).to.deep.equal([reactionRole('1', '100')]);
+    });
+});
+
+describeAdapter('JsonStorageAdapter', (directory) => new JsonStorageAdapter({ path: path.join(directory, 'roles.json'), writeDelay: 0 }));
+describeAdapter('SqliteStorageAdapter', (directory) => new SqliteStorageAdapter({ path: path.join(directory, 'roles.db') }), {
+    skip: !hasSqlite && 'better-sqlite3 is not installed',
+});
+describeAdapter('MemoryStorageAdapter', () => new MemoryStorageAdapter(), { persistent: false });
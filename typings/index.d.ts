@@ -31,6 +31,161 @@ declare module "discord-collector" {
     TAKE = 2,
   }
 
+  export enum ActionTrigger {
+    UNKNOWN = 0,
+    REACTION = 1,
+    TOGGLE = 2,
+    BOOT = 3,
+    ALL_REACTIONS_REMOVE = 4,
+    RECONCILE = 5,
+    EXPIRE = 6,
+    WAITLIST = 7,
+    INTERACTION = 8,
+  }
+
+  export enum SelectionPolicy {
+    UNKNOWN = 0,
+    REJECT = 1,
+    DROP_OLDEST = 2,
+  }
+
+  export enum CaptchaMode {
+    NONE = 0,
+    DM = 1,
+    CHANNEL = 2,
+  }
+
+  export enum CaptchaFailReason {
+    UNKNOWN = 0,
+    TIMEOUT = 1,
+    WRONG_ANSWER = 2,
+    UNREACHABLE = 3,
+  }
+
+  export enum ClosePolicy {
+    UNKNOWN = 0,
+    IGNORE = 1,
+    REMOVE = 2,
+  }
+
+  export enum SwapRemovePolicy {
+    UNKNOWN = 0,
+    KEEP = 1,
+    REVERT = 2,
+    TAKE = 3,
+  }
+
+  export interface ICaptchaChallenge {
+    question: string | object;
+    answer: string | ((content: string) => boolean | Promise<boolean>);
+  }
+
+  export function textCaptchaGenerator(
+    member: GuildMember,
+    reactionRole: ReactionRole,
+    attempt: number,
+    attempts: number
+  ): ICaptchaChallenge;
+
+  export enum NotificationType {
+    MISSING_REQUIREMENTS = "missingRequirements",
+    MAX_REACHED = "maxReached",
+    MISSING_PERMISSIONS = "missingPermissions",
+    JUST_LOSE = "justLose",
+    ROLES_WON = "rolesWon",
+    ROLES_LOST = "rolesLost",
+    WAITLISTED = "waitlisted",
+    WAITLIST_LEFT = "waitlistLeft",
+    NOT_OPEN = "notOpen",
+    THROTTLED = "throttled",
+    CAPTCHA_PENDING = "captchaPending",
+    NOTHING_CHANGED = "nothingChanged",
+    UNAVAILABLE = "unavailable",
+    INTERACTION_FAILED = "interactionFailed",
+  }
+
+  export enum NotificationMode {
+    NONE = 0,
+    DM = 1,
+    CHANNEL = 2,
+  }
+
+  export interface INotificationContext {
+    type: NotificationType;
+    member: GuildMember;
+    reactionRole: ReactionRole | null;
+    roles: Role[];
+    requirement: RequirementType | null;
+    missing: any;
+    position?: number | null;
+  }
+
+  export type NotificationTemplate =
+    | string
+    | ((context: INotificationContext) => string | object | null | Promise<string | object | null>)
+    | null;
+
+  export interface IReactionRoleNotifications {
+    mode?: NotificationMode;
+    templates?: { [type in NotificationType]?: string | null };
+    deleteAfter?: number;
+    fallbackToChannel?: boolean;
+  }
+
+  export interface INotificationOptions {
+    mode?: NotificationMode;
+    templates?: { [type in NotificationType]?: NotificationTemplate };
+    deleteAfter?: number;
+    fallbackToChannel?: boolean;
+  }
+
+  export const DEFAULT_NOTIFICATION_TEMPLATES: { readonly [type in NotificationType]: string };
+
+  export function formatMissingRequirement(type: RequirementType, missing: any, guild: Guild): string;
+
+  export interface IReactionRoleCommandsOptions {
+    name?: string;
+    permissions?: PermissionResolvable[];
+    pageSize?: number;
+  }
+
+  export class ReactionRoleCommands {
+    constructor(reactionRoleManager: ReactionRoleManager, options?: IReactionRoleCommandsOptions);
+    readonly manager: ReactionRoleManager;
+    readonly name: string;
+    readonly permissions: PermissionResolvable[];
+    readonly pageSize: number;
+    get data(): object;
+    public register(guild?: GuildResolvable): Promise<any>;
+    public handle(interaction: any): Promise<boolean>;
+    private __run(subcommand: string, interaction: any): Promise<string | object>;
+    private __create(interaction: any): Promise<string>;
+    private __editRequirements(interaction: any, reactionRole: ReactionRole): Promise<string>;
+    private __listPage(guild: Guild, page: number): { content: string; components: object[] };
+    private __autocomplete(interaction: any): Array<{ name: string; value: string }>;
+    private __describe(reactionRole: ReactionRole, markdown?: boolean): string;
+    private __allowed(interaction: any): boolean;
+  }
+
+  export enum ReactionRoleComponent {
+    REACTION = 0,
+    BUTTON = 1,
+    SELECT_MENU = 2,
+  }
+
+  export class ComponentReaction {
+    constructor(message: Message, users: Collection<Snowflake, User>);
+    readonly message: Message;
+    readonly partial: false;
+    readonly users: {
+      cache: Collection<Snowflake, User>;
+      fetch(): Promise<Collection<Snowflake, User>>;
+      remove(user: UserResolvable): Promise<ComponentReaction>;
+    };
+    public fetch(): Promise<ComponentReaction>;
+    public remove(): Promise<ComponentReaction>;
+  }
+
   export enum ReactionRoleType {
     UNKNOWN = 0,
     NORMAL = 1,
@@ -38,6 +193,7 @@ declare module "discord-collector" {
     JUST_WIN = 3,
     JUST_LOSE = 4,
     REVERSED = 5,
+    SWAP = 6,
   }
 
   export class ReactionRole {
@@ -65,14 +221,16 @@ declare module "discord-collector" {
     get isJustWin(): boolean;
     get isJustLose(): boolean;
     get isReversed(): boolean;
+    get isSwap(): boolean;
+    get isComponent(): boolean;
     get roles(): string[];
+    get schemaVersion(): number;
     /**
      * @deprecated since 1.8.0, please use `new ReactionRole(json)` instead.
      */
     static fromJSON(json: JSON): ReactionRole;
     public checkDeveloperRequirement(member: GuildMember): Promise<boolean>;
     public checkBoostRequirement(member: GuildMember): boolean;
-    private __handleDeprecation(): void;
     /**
      * @deprecated since 1.8.0, please use `new ReactionRole(json)` method instead.
      */
@@ -85,6 +243,42 @@ declare module "discord-collector" {
     roles: IRequirementRolesType;
     users: IRequirementUsersType;
     permissionsNeed: PermissionResolvable[];
+    accountAge?: number;
+    memberAge?: number;
+    custom?: (ICustomRequirement | string)[];
+    expression?: IRequirementExpression | null;
+  }
+
+  export interface ICustomRequirement {
+    name: string;
+    options?: any;
+  }
+
+  export type RequirementPredicate = (
+    member: GuildMember,
+    reactionRole: ReactionRole,
+    options: any
+  ) => boolean | { passed: boolean; reason?: any } | Promise<boolean | { passed: boolean; reason?: any }>;
+
+  export type IRequirementExpression =
+    | { and: IRequirementExpression[] }
+    | { or: IRequirementExpression[] }
+    | { not: IRequirementExpression }
+    | { boost: boolean }
+    | { verifiedDeveloper: boolean }
+    | { permissions: PermissionResolvable[] }
+    | { roles: Snowflake[] }
+    | { users: Snowflake[] }
+    | { accountAge: number }
+    | { memberAge: number }
+    | { custom: ICustomRequirement | string };
+
+  export interface IRequirementFailure {
+    path: string;
+    operator: "and" | "or" | "not" | null;
+    type: RequirementType | null;
+    missing: any;
+    failures: IRequirementFailure[];
   }
 
   export interface IRequirementRolesType {
@@ -106,6 +300,34 @@ declare module "discord-collector" {
     max?: number;
     toggle?: boolean;
     type?: ReactionRoleType;
+    schemaVersion?: number;
+    duration?: number;
+    expirations?: { [memberId: string]: number };
+    cooldown?: number | null;
+    group?: string | null;
+    maxSelections?: number;
+    selectionPolicy?: SelectionPolicy;
+    wonAt?: { [memberId: string]: number };
+    captcha?: CaptchaMode;
+    opensAt?: number | null;
+    closesAt?: number | null;
+    closePolicy?: ClosePolicy;
+    clearOnClose?: boolean;
+    closed?: boolean;
+    deleted?: boolean;
+    swapRoles?: string[];
+    swapRemovePolicy?: SwapRemovePolicy;
+    waitlist?: boolean;
+    waitlisted?: string[];
+    notifications?: IReactionRoleNotifications | null;
+    component?: ReactionRoleComponent;
+    label?: string | null;
+    description?: string | null;
+    buttonStyle?: number;
+    panel?: boolean;
+    get isTemporary(): boolean;
+    get isScheduled(): boolean;
+    get isOpen(): boolean;
   }
 
   export class ReactionRoleManager extends EventEmitter {
@@ -113,7 +335,7 @@ declare module "discord-collector" {
     private __withoutPermissionsWarned: Set<string>;
     public reactionRoles: Collection<string, ReactionRole>;
     public timeouts: Collection<string, Function>;
-    private mongoose: any;
+    public storageAdapter: StorageAdapter | null;
     public get isReady(): boolean;
     public get readyAt(): Date;
     public get client(): Client;
@@ -121,9 +343,15 @@ declare module "discord-collector" {
     public get debug(): boolean;
     public get mongoDbLink(): string?;
     public get storageJsonPath(): string?;
+    public get sqlitePath(): string?;
     public get disabledProperty(): boolean;
     public get hooks(): IHooks;
     public get keepReactions(): boolean;
+    public get history(): boolean;
+    public get reconcileInterval(): number;
+    public get reconcileConcurrency(): number;
+    public get cooldown(): ICooldownOptions;
+    public get captcha(): ICaptchaOptions;
     private __withoutPermissionsWarned: Set<string>;
     public createReactionRole(
       options: ICreateRoleOptions
@@ -132,8 +360,56 @@ declare module "discord-collector" {
       options: IDeleteRoleOptions,
       deleted = false
     ): Promise<ReactionRole | void>;
+    public createPanel(channel: TextChannel, options: ICreatePanelOptions): Promise<{ message: Message; reactionRoles: ReactionRole[] }>;
+    public setReactionRoleDisabled(reactionRole: ReactionRole | string, disabled?: boolean): Promise<ReactionRole>;
+    public exportReactionRoles(
+      guild: GuildResolvable
+    ): Promise<IReactionRoleExport>;
+    public importReactionRoles(
+      data: IReactionRoleExport,
+      options: IImportReactionRolesOptions
+    ): Promise<IImportReport>;
     public store(...roles: ReactionRole): Promise<void>;
-    private __parseStorage(): Collection<string, any>;
+    public flush(): Promise<void>;
+    public registerRequirement(name: string, predicate: RequirementPredicate): this;
+    public unregisterRequirement(name: string): boolean;
+    public getWaitlistPosition(reactionRole: ReactionRole | string, member: UserResolvable): number;
+    private __requirementProviders: Map<string, RequirementPredicate>;
+    public fetchHistory(filter?: IHistoryFilter): Promise<IHistoryEntry[]>;
+    public reconcile(options?: { guild?: GuildResolvable; message?: Message | Snowflake }): Promise<IReconcileSummary>;
+    private __challengeCaptcha(
+      member: GuildMember,
+      reactionRole: ReactionRole,
+      msgReaction: MessageReaction,
+      trigger: ActionTrigger
+    ): Promise<void>;
+    private __createCaptchaChannel(member: GuildMember, reactionRole: ReactionRole): Promise<TextChannel>;
+    private __armSchedule(reactionRole: ReactionRole): Promise<void>;
+    private __clearSchedule(reactionRole: ReactionRole): void;
+    private __closeReactionRole(reactionRole: ReactionRole): Promise<void>;
+    private __swapRoles(action: ActionType, member: GuildMember, reactionRole: ReactionRole, trigger: ActionTrigger): Promise<Role[]>;
+    private __isThrottled(member: GuildMember, reactionRole: ReactionRole, msgReaction: MessageReaction): Promise<boolean>;
+    private __checkMaxSelections(
+      member: GuildMember,
+      reactionRole: ReactionRole,
+      msgReaction: MessageReaction,
+      trigger: ActionTrigger,
+      rolesTaken?: Role[]
+    ): Promise<boolean>;
+    private __addWinner(reactionRole: ReactionRole, memberId: Snowflake): boolean;
+    private __removeWinner(reactionRole: ReactionRole, memberId: Snowflake): boolean;
+    private __queueWaitlist(member: GuildMember, reactionRole: ReactionRole): Promise<void>;
+    private __promoteWaitlist(reactionRole: ReactionRole): Promise<void>;
+    private __onMemberRemove(member: GuildMember): Promise<void>;
+    private __fetchReaction(reactionRole: ReactionRole): Promise<MessageReaction | ComponentReaction | null>;
+    private __syncMessage(reactionRole: ReactionRole): Promise<void>;
+    private __armExpiration(reactionRole: ReactionRole, memberId: Snowflake): void;
+    private __clearExpiration(reactionRole: ReactionRole, memberId: Snowflake): void;
+    private __expireReactionRole(reactionRole: ReactionRole, memberId: Snowflake): Promise<void>;
+    private __takeRoles(member: GuildMember, reactionRole: ReactionRole, trigger: ActionTrigger): Promise<Role[]>;
+    private __reconcileReactionRole(reactionRole: ReactionRole, trigger: ActionTrigger, summary?: IReconcileSummary): Promise<boolean>;
+    private __initStorage(): Promise<void>;
+    private __parseStorage(): Promise<void>;
     private __onReactionAdd(
       msgReaction: MessageReaction,
       user: User
@@ -142,10 +418,17 @@ declare module "discord-collector" {
       msgReaction: MessageReaction,
       user: User
     ): Promise<void>;
+    private __onInteraction(interaction: any): Promise<void>;
     private __onRemoveAllReaction(message: Message): Promise<void>;
     private __resfreshOnBoot(): Promise<void>;
     private __debug(type: string, message: string, ...args: any): void;
     private __timeoutToggledRoles(member: GuildMember, message: Message): void;
+    private __checkToggledRoles(
+      member: GuildMember,
+      message: Message,
+      reactedRole: ReactionRole | null,
+      trigger: ActionTrigger
+    ): Promise<{ given: Role[]; taken: Role[] }>;
     private __handleDeleted(
       reactionRole: ReactionRole,
       guildResolvable: GuildResolvable
@@ -153,20 +436,45 @@ declare module "discord-collector" {
     private __checkRequirements(
       reactionRole: ReactionRole,
       reaction: MessageReaction,
-      member: GuildMember
-    );
+      member: GuildMember,
+      trigger?: ActionTrigger
+    ): Promise<boolean>;
+    private __notify(
+      type: NotificationType,
+      member: GuildMember,
+      reactionRole: ReactionRole,
+      trigger: ActionTrigger,
+      details?: { roles?: Role[]; requirement?: RequirementType | null; missing?: any }
+    ): Promise<void>;
+    private __notificationTemplate(type: NotificationType, reactionRole: ReactionRole | null): NotificationTemplate;
+    private __renderReply(
+      type: NotificationType,
+      member: GuildMember,
+      reactionRole: ReactionRole | null,
+      details?: { roles?: Role[]; position?: number | null }
+    ): Promise<string | object | null>;
+    private __onMissingRequirements(
+      trigger: ActionTrigger,
+      type: RequirementType,
+      member: GuildMember,
+      reactionRole: ReactionRole,
+      missing?: any
+    ): Promise<void>;
+    private __runHook(name: keyof IHooks, ...args: any[]): Promise<void>;
     private __checkRolesPermissions(
       action: ActionType,
       reactionRole: ReactionRole,
-      member: GuildMember
+      member: GuildMember,
+      roleIds?: Snowflake[]
     ): Role[];
     private __resolveReactionEmoji(emoji: any): Emoji | undefined;
     private async __handleReactionRoleAction(
       action: ActionType,
       member: GuildMember,
       reactionRole: ReactionRole,
-      msgReaction: MessageReaction
-    );
+      msgReaction: MessageReaction,
+      trigger?: ActionTrigger
+    ): Promise<{ given: Role[]; taken: Role[] }>;
     private __readyTimeout();
 
     public on(event: string, listener: (...args: any[]) => void): this;
@@ -243,6 +551,52 @@ declare module "discord-collector" {
         reactionRole: ReactionRole
       ) => void
     ): this;
+    public on(
+      event: "storageMigrated",
+      listener: (reports: IMigrationReport[]) => void
+    ): this;
+    public on(event: "storageDisconnected", listener: () => void): this;
+    public on(
+      event: "storageReconnected",
+      listener: (written: number) => void
+    ): this;
+    public on(event: "storageError", listener: (error: Error) => void): this;
+    public on(
+      event: "maxSelectionsReached",
+      listener: (member: GuildMember, reactionRole: ReactionRole, selected: ReactionRole[], policy: SelectionPolicy) => void
+    ): this;
+    public on(
+      event: "reactionThrottled",
+      listener: (member: GuildMember, reactionRole: ReactionRole, remaining: number) => void
+    ): this;
+    public on(
+      event: "reactionRoleExpire",
+      listener: (member: GuildMember, roles: Role[], reactionRole: ReactionRole) => void
+    ): this;
+    public on(
+      event: "reactionRoleOpened" | "reactionRoleClosed",
+      listener: (reactionRole: ReactionRole) => void
+    ): this;
+    public on(
+      event: "waitlistQueued",
+      listener: (member: GuildMember, reactionRole: ReactionRole, position: number) => void
+    ): this;
+    public on(
+      event: "waitlistPromoted",
+      listener: (member: GuildMember, reactionRole: ReactionRole) => void
+    ): this;
+    public on(
+      event: "captchaSolved",
+      listener: (member: GuildMember, reactionRole: ReactionRole, attempts: number) => void
+    ): this;
+    public on(
+      event: "captchaFailed",
+      listener: (member: GuildMember, reactionRole: ReactionRole, reason: CaptchaFailReason, attempts: number) => void
+    ): this;
+    public on(
+      event: "reconciled",
+      listener: (summary: IReconcileSummary) => void
+    ): this;
     public on(event: "ready", listener: () => void): this;
     public on(event: "debug", listener: (message: string) => void): this;
   }
@@ -254,6 +608,10 @@ declare module "discord-collector" {
     PERMISSION,
     ROLES,
     USERS,
+    ACCOUNT_AGE,
+    MEMBER_AGE,
+    EXPRESSION,
+    CUSTOM,
   }
 
   export interface ICreateRoleOptions {
@@ -263,6 +621,81 @@ declare module "discord-collector" {
     max?: number;
     type?: ReactionRoleType;
     requirements?: IRequirementType;
+    duration?: number;
+    cooldown?: number;
+    group?: string;
+    maxSelections?: number;
+    selectionPolicy?: SelectionPolicy;
+    captcha?: CaptchaMode;
+    opensAt?: Date | number;
+    closesAt?: Date | number;
+    closePolicy?: ClosePolicy;
+    clearOnClose?: boolean;
+    swapRoles?: RoleResolvable[];
+    swapRemovePolicy?: SwapRemovePolicy;
+    waitlist?: boolean;
+    notifications?: IReactionRoleNotifications;
+    component?: ReactionRoleComponent;
+    label?: string;
+    description?: string;
+    buttonStyle?: number;
+    panel?: boolean;
+  }
+
+  export interface IPanelEntry extends Omit<ICreateRoleOptions, 'message' | 'panel'> {}
+
+  export interface ICreatePanelOptions {
+    title: string;
+    description?: string;
+    color?: number;
+    entries: IPanelEntry[];
+    component?: ReactionRoleComponent;
+  }
+
+  export interface IExportedEntity {
+    id: string | null;
+    name: string | null;
+  }
+
+  export interface IExportedReactionRole {
+    emoji: IExportedEntity;
+    roles: IExportedEntity[];
+    type: ReactionRoleType;
+    max: number;
+    requirements: object;
+  }
+
+  export interface IExportedMessage {
+    id: string;
+    channel: IExportedEntity;
+    content: string | null;
+    embeds: object[];
+    reactionRoles: IExportedReactionRole[];
+  }
+
+  export interface IReactionRoleExport {
+    version: number;
+    exportedAt: string;
+    guild: IExportedEntity;
+    messages: IExportedMessage[];
+  }
+
+  export interface IImportReactionRolesOptions {
+    guild: GuildResolvable;
+    channel?: TextChannel;
+    messages?: { [exportedMessageId: string]: Message };
+  }
+
+  export interface IImportReport {
+    created: ReactionRole[];
+    messages: { [exportedMessageId: string]: string };
+    unresolved: {
+      type: "role" | "channel" | "emoji" | "message" | "reactionRole";
+      id: string | null;
+      name: string | null;
+      message: string;
+      reason?: Error;
+    }[];
   }
 
   export interface IDeleteRoleOptions {
@@ -276,9 +709,153 @@ declare module "discord-collector" {
     path: string;
     mongoDbLink?: string;
     storageJsonPath?: string;
+    sqlitePath?: string;
+    mongo?: IMongoStorageOptions;
+    storageAdapter?: StorageAdapter;
     disabledProperty?: boolean | true;
     hooks?: IHooks | null;
     keepReactions?: boolean | false;
+    history?: boolean | false;
+    reconcile?: { interval?: number; concurrency?: number };
+    cooldown?: ICooldownOptions;
+    captcha?: ICaptchaOptions;
+    notifications?: INotificationOptions;
+  }
+
+  export interface ICaptchaOptions {
+    time?: number;
+    retries?: number;
+    generator?: (member: GuildMember, reactionRole: ReactionRole, attempt: number, attempts: number) => ICaptchaChallenge | Promise<ICaptchaChallenge>;
+    fallbackToChannel?: boolean;
+  }
+
+  export interface ICooldownOptions {
+    member?: number;
+    reactionRole?: number;
+    removeReaction?: boolean;
+  }
+
+  export interface IReconcileSummary {
+    guild: Snowflake | null;
+    message: Snowflake | null;
+    reactionRoles: number;
+    rolesGiven: number;
+    rolesTaken: number;
+    winnersAdded: number;
+    winnersRemoved: number;
+    reactionsRemoved: number;
+    expired: number;
+    deleted: string[];
+    failed: string[];
+    duration: number;
+  }
+
+  export interface IHistoryEntry {
+    guild: Snowflake;
+    member: Snowflake;
+    reactionRole: string;
+    role: Snowflake;
+    action: ActionType;
+    trigger: ActionTrigger;
+    timestamp: number;
+  }
+
+  export interface IHistoryFilter {
+    guild?: Snowflake;
+    member?: Snowflake;
+    reactionRole?: string;
+    role?: Snowflake;
+    action?: ActionType;
+    trigger?: ActionTrigger;
+    since?: number;
+    until?: number;
+    limit?: number;
+  }
+
+  export const REACTION_ROLE_SCHEMA_VERSION: number;
+
+  export interface IMigrationReport {
+    data: object;
+    from: number;
+    to: number;
+    changes: string[];
+  }
+
+  export function migrateReactionRole(data: object): IMigrationReport;
+
+  export abstract class StorageAdapter extends EventEmitter {
+    public init(): Promise<void>;
+    public abstract load(): Promise<object[]>;
+    public abstract upsert(...reactionRoles: object[]): Promise<void>;
+    public abstract delete(...ids: string[]): Promise<void>;
+    public listByGuild(guildId: string): Promise<object[]>;
+    public appendHistory(...entries: IHistoryEntry[]): Promise<void>;
+    public fetchHistory(filter?: IHistoryFilter): Promise<IHistoryEntry[]>;
+    public flush(): Promise<void>;
+    public close(): Promise<void>;
+    public static isAdapter(adapter: any): boolean;
+  }
+
+  export class JsonStorageAdapter extends StorageAdapter {
+    constructor(options: { path: string; writeDelay?: number; backups?: number; flushOnExit?: boolean; historyPath?: string });
+    public readonly path: string;
+    public readonly historyPath: string;
+    public readonly writeDelay: number;
+    public readonly backups: number;
+    public readonly flushOnExit: boolean;
+    public readonly recoveredFrom: string | null;
+    public backupPath(index: number): string;
+    public flushSync(): void;
+    public load(): Promise<object[]>;
+    public upsert(...reactionRoles: object[]): Promise<void>;
+    public delete(...ids: string[]): Promise<void>;
+    public listByGuild(guildId: string): Promise<object[]>;
+  }
+
+  export class MongoStorageAdapter extends StorageAdapter {
+    constructor(options: IMongoStorageOptions & { link?: string });
+    public readonly link: string | null;
+    public readonly connection: any;
+    public readonly modelName: string;
+    public readonly collectionName: string;
+    public readonly model: any;
+    public readonly historyCollectionName: string;
+    public readonly historyModel: any;
+    public get connected(): boolean;
+    public get queueSize(): number;
+    public flush(): Promise<number>;
+    public on(event: "disconnected", listener: () => void): this;
+    public on(event: "reconnected", listener: (written: number) => void): this;
+    public load(): Promise<object[]>;
+    public upsert(...reactionRoles: object[]): Promise<void>;
+    public delete(...ids: string[]): Promise<void>;
+    public listByGuild(guildId: string): Promise<object[]>;
+  }
+
+  export interface IMongoStorageOptions {
+    connection?: any;
+    modelName?: string;
+    collectionPrefix?: string;
+  }
+
+  export class SqliteStorageAdapter extends StorageAdapter {
+    constructor(options: { path?: string; database?: any });
+    public readonly path: string | null;
+    public readonly database: any;
+    public load(): Promise<object[]>;
+    public upsert(...reactionRoles: object[]): Promise<void>;
+    public delete(...ids: string[]): Promise<void>;
+    public listByGuild(guildId: string): Promise<object[]>;
+  }
+
+  export class MemoryStorageAdapter extends StorageAdapter {
+    constructor(reactionRoles?: object[]);
+    public readonly reactionRoles: Map<string, object>;
+    public readonly history: IHistoryEntry[];
+    public load(): Promise<object[]>;
+    public upsert(...reactionRoles: object[]): Promise<void>;
+    public delete(...ids: string[]): Promise<void>;
+    public listByGuild(guildId: string): Promise<object[]>;
   }
 
   export interface IHooks {
@@ -292,8 +869,28 @@ declare module "discord-collector" {
       role?: Role,
       reactionRole: ReactionRole
     ) => Promise<Boolean>;
+    postRoleAdd?: ReactionRoleHook;
+    postRoleRemove?: ReactionRoleHook;
+    onRequirementFailed?: (
+      member: GuildMember,
+      roles: Role[],
+      reactionRole: ReactionRole,
+      trigger: ActionTrigger,
+      error: null,
+      details: { type: RequirementType; missing?: any }
+    ) => void | Promise<void>;
+    onPermissionFailed?: ReactionRoleHook;
+    onMaxReached?: ReactionRoleHook;
   }
 
+  export type ReactionRoleHook = (
+    member: GuildMember,
+    roles: Role[],
+    reactionRole: ReactionRole,
+    trigger: ActionTrigger,
+    error: Error | null
+  ) => void | Promise<void>;
+
   export class MessageCollector {
     public static question(
       options: IMessageQuestionOptions